@@ -0,0 +1,139 @@
+const crypto = require("crypto");
+const { admin, db } = require("./firebase");
+const { hashToken } = require("./authTokens");
+
+// generate: /generate and /generate-auto; gallery:read: gallery and saved selections
+const API_KEY_SCOPES = ["generate", "gallery:read"];
+const MAX_ACTIVE_KEYS = 20;
+
+// Keys look like "lyt_<keyId>_<secret>"; only the hash of the secret is stored
+const KEY_PREFIX = "lyt_";
+
+const isApiKey = (token) => typeof token === "string" && token.startsWith(KEY_PREFIX);
+
+const toApiKey = (doc) => {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    name: data.name,
+    scopes: data.scopes,
+    hint: data.hint,
+    created_at: data.created_at?.toDate?.() || null,
+    last_used_at: data.last_used_at?.toDate?.() || null,
+    usage_count: data.usage_count || 0,
+    revoked_at: data.revoked_at?.toDate?.() || null,
+  };
+};
+
+/**
+ * Create a key. The plain key is only returned here, it cannot be read back later.
+ * @param {string} email
+ * @param {{ name: string, scopes: string[] }} options
+ * @returns {Promise<{ key: string, apiKey: object }>}
+ */
+const createApiKey = async (email, { name, scopes }) => {
+  const keyRef = db.collection("api_keys").doc();
+  const secret = crypto.randomBytes(32).toString("hex");
+
+  await keyRef.set({
+    email,
+    name,
+    scopes,
+    key_hash: hashToken(secret),
+    hint: secret.slice(-4),
+    created_at: new Date(),
+    last_used_at: null,
+    usage_count: 0,
+    revoked_at: null,
+  });
+
+  return { key: `${KEY_PREFIX}${keyRef.id}_${secret}`, apiKey: toApiKey(await keyRef.get()) };
+};
+
+/**
+ * Look up an active key from its plain value
+ * @returns {Promise<{ id: string, email: string, scopes: string[] } | null>}
+ */
+const verifyApiKey = async (token) => {
+  if (!isApiKey(token)) return null;
+  const [keyId, secret] = token.slice(KEY_PREFIX.length).split("_");
+  if (!keyId || !secret) return null;
+
+  const keyDoc = await db.collection("api_keys").doc(keyId).get();
+  if (!keyDoc.exists || keyDoc.data().revoked_at) return null;
+
+  const expected = Buffer.from(keyDoc.data().key_hash, "hex");
+  const actual = Buffer.from(hashToken(secret), "hex");
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  return { id: keyDoc.id, email: keyDoc.data().email, scopes: keyDoc.data().scopes || [] };
+};
+
+/**
+ * Bump the usage counter and last-used timestamp of a key
+ */
+const recordApiKeyUse = (keyId) =>
+  db
+    .collection("api_keys")
+    .doc(keyId)
+    .update({ last_used_at: new Date(), usage_count: admin.firestore.FieldValue.increment(1) });
+
+const listApiKeys = async (email) => {
+  const snapshot = await db.collection("api_keys").where("email", "==", email).get();
+  return snapshot.docs.map(toApiKey).sort((a, b) => (b.created_at || 0) - (a.created_at || 0));
+};
+
+const countActiveApiKeys = async (email) => {
+  const snapshot = await db
+    .collection("api_keys")
+    .where("email", "==", email)
+    .where("revoked_at", "==", null)
+    .count()
+    .get();
+  return snapshot.data().count;
+};
+
+/**
+ * Revoke one key of a user
+ * @returns {Promise<boolean>} false if the key does not exist or belongs to someone else
+ */
+const revokeApiKey = async (email, keyId) => {
+  const keyRef = db.collection("api_keys").doc(keyId);
+  const keyDoc = await keyRef.get();
+  if (!keyDoc.exists || keyDoc.data().email !== email) return false;
+
+  if (!keyDoc.data().revoked_at) {
+    await keyRef.update({ revoked_at: new Date() });
+  }
+  return true;
+};
+
+/**
+ * Revoke every active key of a user
+ * @returns {Promise<number>} number of keys revoked
+ */
+const revokeAllApiKeys = async (email) => {
+  const snapshot = await db
+    .collection("api_keys")
+    .where("email", "==", email)
+    .where("revoked_at", "==", null)
+    .get();
+
+  const batch = db.batch();
+  snapshot.forEach((docItem) => batch.update(docItem.ref, { revoked_at: new Date() }));
+  await batch.commit();
+  return snapshot.size;
+};
+
+module.exports = {
+  API_KEY_SCOPES,
+  MAX_ACTIVE_KEYS,
+  isApiKey,
+  createApiKey,
+  verifyApiKey,
+  recordApiKeyUse,
+  listApiKeys,
+  countActiveApiKeys,
+  revokeApiKey,
+  revokeAllApiKeys,
+};
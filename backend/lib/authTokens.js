@@ -0,0 +1,89 @@
+const crypto = require("crypto");
+const { db } = require("./firebase");
+const { sendMail } = require("./mailer");
+
+const FRONTEND_URL = process.env.FRONTEND_URL || "https://stage-ghofrane.web.app";
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * SHA-256 hex digest, used so raw tokens are never stored in Firestore
+ */
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Create a single-use token (password reset, email verification) stored hashed in auth_tokens.
+ * @param {string} email
+ * @param {"password_reset" | "email_verification"} type
+ * @param {number} ttlMs
+ * @returns {Promise<string>} raw token to send to the user
+ */
+const createAuthToken = async (email, type, ttlMs) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  const now = new Date();
+
+  await db.collection("auth_tokens").doc(hashToken(token)).set({
+    email,
+    type,
+    created_at: now,
+    expires_at: new Date(now.getTime() + ttlMs),
+    used_at: null,
+  });
+
+  return token;
+};
+
+/**
+ * Atomically mark a single-use token as used.
+ * @returns {Promise<string|null>} the token's email, or null if invalid, expired or already used
+ */
+const consumeAuthToken = async (token, type) => {
+  if (!token || typeof token !== "string") return null;
+
+  const tokenRef = db.collection("auth_tokens").doc(hashToken(token));
+
+  return db.runTransaction(async (tx) => {
+    const tokenDoc = await tx.get(tokenRef);
+    if (!tokenDoc.exists) return null;
+
+    const data = tokenDoc.data();
+    const expiresAt = data.expires_at?.toDate?.() || new Date(data.expires_at);
+    if (data.type !== type || data.used_at || expiresAt < new Date()) return null;
+
+    tx.update(tokenRef, { used_at: new Date() });
+    return data.email;
+  });
+};
+
+const sendVerificationEmail = async (email) => {
+  const token = await createAuthToken(email, "email_verification", EMAIL_VERIFICATION_TTL_MS);
+  const link = `${FRONTEND_URL}/?verifyToken=${token}`;
+
+  await sendMail({
+    to: email,
+    subject: "Confirm your email address",
+    text: `Welcome to Lyter!\n\nConfirm your email address to start generating images:\n${link}\n\nThis link expires in 24 hours.`,
+    html: `<p>Welcome to Lyter!</p><p><a href="${link}">Confirm your email address</a> to start generating images.</p><p>This link expires in 24 hours.</p>`,
+  });
+};
+
+const sendPasswordResetEmail = async (email) => {
+  const token = await createAuthToken(email, "password_reset", PASSWORD_RESET_TTL_MS);
+  const link = `${FRONTEND_URL}/?resetToken=${token}`;
+
+  await sendMail({
+    to: email,
+    subject: "Reset your password",
+    text: `Someone asked to reset the password of your Lyter account.\n\nChoose a new password here:\n${link}\n\nThis link expires in 1 hour. If you did not ask for it, ignore this email.`,
+    html: `<p>Someone asked to reset the password of your Lyter account.</p><p><a href="${link}">Choose a new password</a></p><p>This link expires in 1 hour. If you did not ask for it, ignore this email.</p>`,
+  });
+};
+
+module.exports = {
+  FRONTEND_URL,
+  hashToken,
+  createAuthToken,
+  consumeAuthToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+};
@@ -0,0 +1,240 @@
+const sharp = require("sharp");
+
+// Post-processing of generated images for company posts: frame, title/subtitle overlay and logo.
+// Everything is composited with sharp (text as SVG rendered by librsvg), no browser involved.
+
+const FRAME_TEMPLATES = [
+  { id: "none", label: "No frame" },
+  { id: "border", label: "Solid border" },
+  { id: "polaroid", label: "Polaroid (text under the image)" },
+  { id: "band", label: "Bottom band behind the text" },
+  { id: "rounded", label: "Rounded corners" },
+];
+
+const LOGO_POSITIONS = ["top-left", "top-right", "bottom-left", "bottom-right"];
+const TEXT_POSITIONS = ["top", "center", "bottom"];
+
+// Font choices; any other value is used as a family name with a sans-serif fallback
+const FONTS = {
+  sans: "DejaVu Sans, Arial, Helvetica, sans-serif",
+  serif: "DejaVu Serif, Georgia, Times New Roman, serif",
+  mono: "DejaVu Sans Mono, Courier New, monospace",
+};
+
+const MAX_TITLE_LENGTH = 120;
+const MAX_SUBTITLE_LENGTH = 200;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+const FRAMES_BY_ID = new Map(FRAME_TEMPLATES.map((frame) => [frame.id, frame]));
+
+const escapeXml = (value) =>
+  String(value).replace(/[<>&"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const fontFamily = (font) => FONTS[font] || `${font.replace(/[^\w\s-]/g, "")}, ${FONTS.sans}`;
+
+/**
+ * Validate branding options. Missing values fall back to the workspace brand, then to defaults.
+ * @param {object} body request body (multipart fields are strings)
+ * @param {object} [brand] workspace brand settings (primaryColor, secondaryColor, font)
+ * @returns {{ error?: string, value?: object }}
+ */
+const parseBrandingOptions = (body, brand = {}) => {
+  const pick = (field, fallback) => {
+    const value = typeof body[field] === "string" ? body[field].trim() : "";
+    return value || fallback;
+  };
+
+  const value = {
+    title: pick("title", ""),
+    subtitle: pick("subtitle", ""),
+    font: pick("font", brand.font || "sans"),
+    textColor: pick("textColor", "#ffffff"),
+    textPosition: pick("textPosition", "bottom"),
+    frame: pick("frame", "none"),
+    frameColor: pick("frameColor", brand.primaryColor || "#ffffff"),
+    logoPosition: pick("logoPosition", "bottom-right"),
+    logoScale: Number(pick("logoScale", "0.18")),
+  };
+
+  if (value.title.length > MAX_TITLE_LENGTH) return { error: `title must be ${MAX_TITLE_LENGTH} characters max.` };
+  if (value.subtitle.length > MAX_SUBTITLE_LENGTH) {
+    return { error: `subtitle must be ${MAX_SUBTITLE_LENGTH} characters max.` };
+  }
+  if (value.font.length > 60) return { error: "font must be 60 characters max." };
+  if (!COLOR_PATTERN.test(value.textColor) || !COLOR_PATTERN.test(value.frameColor)) {
+    return { error: "Colors must be hex values like #1e3a8a." };
+  }
+  if (!TEXT_POSITIONS.includes(value.textPosition)) {
+    return { error: `textPosition must be one of: ${TEXT_POSITIONS.join(", ")}.` };
+  }
+  if (!FRAMES_BY_ID.has(value.frame)) {
+    return { error: `frame must be one of: ${FRAME_TEMPLATES.map((f) => f.id).join(", ")}.` };
+  }
+  if (!LOGO_POSITIONS.includes(value.logoPosition)) {
+    return { error: `logoPosition must be one of: ${LOGO_POSITIONS.join(", ")}.` };
+  }
+  if (!Number.isFinite(value.logoScale) || value.logoScale < 0.05 || value.logoScale > 0.4) {
+    return { error: "logoScale must be between 0.05 and 0.4." };
+  }
+  return { value };
+};
+
+/**
+ * Split text into lines fitting a width, from an average glyph width of 0.55em
+ */
+const wrapText = (text, fontSize, maxWidth, maxLines) => {
+  const maxChars = Math.max(Math.floor(maxWidth / (fontSize * 0.55)), 8);
+  const lines = [];
+  let line = "";
+  for (const word of text.split(/\s+/)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (candidate.length <= maxChars) {
+      line = candidate;
+      continue;
+    }
+    if (line) lines.push(line);
+    line = word.slice(0, maxChars);
+  }
+  if (line) lines.push(line);
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] = `${lines[maxLines - 1].slice(0, maxChars - 1)}…`;
+  }
+  return lines;
+};
+
+/**
+ * SVG layer with the title and subtitle, laid out in a box of the canvas
+ */
+const renderTextLayer = (canvas, box, options, withShadow) => {
+  // Relative to the box, so text also fits in the polaroid margin
+  const titleSize = Math.round(Math.min(box.width * 0.06, box.height * 0.22));
+  const subtitleSize = Math.round(Math.min(box.width * 0.035, box.height * 0.13));
+  const padding = Math.round(box.width * 0.05);
+  const titleLines = options.title ? wrapText(options.title, titleSize, box.width - 2 * padding, 3) : [];
+  const subtitleLines = options.subtitle ? wrapText(options.subtitle, subtitleSize, box.width - 2 * padding, 3) : [];
+
+  const blockHeight = titleLines.length * titleSize * 1.2 + subtitleLines.length * subtitleSize * 1.3;
+  let y;
+  if (options.textPosition === "top") y = box.top + padding;
+  else if (options.textPosition === "center") y = box.top + (box.height - blockHeight) / 2;
+  else y = box.top + box.height - padding - blockHeight;
+
+  const family = escapeXml(fontFamily(options.font));
+  const shadow = withShadow ? ' filter="url(#shadow)"' : "";
+  const lines = [];
+  for (const text of titleLines) {
+    y += titleSize * 1.2;
+    lines.push(
+      `<text x="${canvas.width / 2}" y="${Math.round(y - titleSize * 0.25)}" font-size="${titleSize}" font-weight="bold"${shadow}>${escapeXml(text)}</text>`
+    );
+  }
+  for (const text of subtitleLines) {
+    y += subtitleSize * 1.3;
+    lines.push(
+      `<text x="${canvas.width / 2}" y="${Math.round(y - subtitleSize * 0.3)}" font-size="${subtitleSize}"${shadow}>${escapeXml(text)}</text>`
+    );
+  }
+
+  return Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${canvas.width}" height="${canvas.height}">
+  <defs><filter id="shadow"><feDropShadow dx="0" dy="2" stdDeviation="3" flood-color="#000000" flood-opacity="0.6"/></filter></defs>
+  <g font-family="${family}" fill="${options.textColor}" text-anchor="middle">
+    ${lines.join("\n    ")}
+  </g>
+</svg>`);
+};
+
+/**
+ * Composite frame, text and logo over an image
+ * @param {Buffer} source image to brand
+ * @param {object} options from parseBrandingOptions
+ * @param {Buffer | null} [logo] PNG/JPEG/WebP logo
+ * @returns {Promise<string>} JPEG data URL
+ */
+const renderBrandedImage = async (source, options, logo = null) => {
+  const image = await sharp(source).rotate().toBuffer({ resolveWithObject: true });
+  const { width, height } = image.info;
+  const border = Math.round(Math.min(width, height) * 0.03);
+
+  // Frame: margins around the image, and the area where the text goes
+  let margins = { top: 0, bottom: 0, left: 0, right: 0 };
+  if (options.frame === "border") margins = { top: border, bottom: border, left: border, right: border };
+  if (options.frame === "polaroid") margins = { top: border, bottom: border * 6, left: border, right: border };
+
+  const canvas = { width: width + margins.left + margins.right, height: height + margins.top + margins.bottom };
+  const imageBox = { top: margins.top, left: margins.left, width, height };
+  const textBox =
+    options.frame === "polaroid"
+      ? { top: margins.top + height, left: 0, width: canvas.width, height: margins.bottom }
+      : imageBox;
+
+  const layers = [];
+
+  if (options.frame === "band" && (options.title || options.subtitle)) {
+    const bandHeight = Math.round(height * 0.22);
+    let bandTop = height - bandHeight;
+    if (options.textPosition === "top") bandTop = 0;
+    if (options.textPosition === "center") bandTop = (height - bandHeight) / 2;
+    layers.push({
+      input: Buffer.from(
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${canvas.width}" height="${canvas.height}"><rect x="0" y="${Math.round(bandTop)}" width="${width}" height="${bandHeight}" fill="${options.frameColor}" fill-opacity="0.85"/></svg>`
+      ),
+      top: 0,
+      left: 0,
+    });
+  }
+
+  if (options.title || options.subtitle) {
+    // Text directly over the photo gets a shadow to stay readable
+    const overPhoto = options.frame !== "polaroid" && options.frame !== "band";
+    layers.push({ input: renderTextLayer(canvas, textBox, options, overPhoto), top: 0, left: 0 });
+  }
+
+  if (logo) {
+    const logoImage = await sharp(logo)
+      .rotate()
+      .resize({
+        width: Math.round(width * options.logoScale),
+        height: Math.round(height * options.logoScale),
+        fit: "inside",
+      })
+      .png()
+      .toBuffer({ resolveWithObject: true });
+    const inset = Math.round(Math.min(width, height) * 0.04);
+    const [vertical, horizontal] = options.logoPosition.split("-");
+    layers.push({
+      input: logoImage.data,
+      top: imageBox.top + (vertical === "top" ? inset : height - logoImage.info.height - inset),
+      left: imageBox.left + (horizontal === "left" ? inset : width - logoImage.info.width - inset),
+    });
+  }
+
+  if (options.frame === "rounded") {
+    const radius = Math.round(Math.min(width, height) * 0.06);
+    layers.push({
+      input: Buffer.from(
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}"><rect width="${width}" height="${height}" rx="${radius}" ry="${radius}"/></svg>`
+      ),
+      blend: "dest-in",
+    });
+  }
+
+  const output = await sharp(image.data)
+    .ensureAlpha()
+    .extend({ ...margins, background: options.frameColor })
+    .composite(layers)
+    .flatten({ background: options.frameColor })
+    .jpeg({ quality: 92, mozjpeg: true })
+    .toBuffer();
+
+  return `data:image/jpeg;base64,${output.toString("base64")}`;
+};
+
+module.exports = {
+  FRAME_TEMPLATES,
+  LOGO_POSITIONS,
+  TEXT_POSITIONS,
+  FONTS,
+  parseBrandingOptions,
+  renderBrandedImage,
+};
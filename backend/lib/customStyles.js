@@ -0,0 +1,90 @@
+const { db } = require("./firebase");
+const { getMembership, hasWorkspaceRole } = require("./workspaces");
+
+// /generate receives custom styles as "custom:<documentId>", built-in ones by their plain id
+const CUSTOM_STYLE_PREFIX = "custom:";
+
+const MAX_LABEL_LENGTH = 60;
+const MAX_PROMPT_LENGTH = 2000;
+
+const isCustomStyleId = (style) => typeof style === "string" && style.startsWith(CUSTOM_STYLE_PREFIX);
+
+const toCustomStyle = (doc) => {
+  const data = doc.data();
+  return {
+    id: `${CUSTOM_STYLE_PREFIX}${doc.id}`,
+    label: data.label,
+    category: "custom",
+    prompt: data.prompt,
+    defaultCount: data.defaultCount,
+    workspaceId: data.workspaceId || null,
+    createdBy: data.email,
+    updated_at: data.updated_at?.toDate?.() || null,
+  };
+};
+
+/**
+ * Validate the editable fields of a custom style
+ * @param {object} body request body
+ * @param {boolean} partial true for updates, where missing fields are left unchanged
+ * @returns {{ error?: string, value?: object }}
+ */
+const parseCustomStyle = (body, partial = false) => {
+  const value = {};
+
+  if (body.label !== undefined || !partial) {
+    const label = typeof body.label === "string" ? body.label.trim() : "";
+    if (!label || label.length > MAX_LABEL_LENGTH) {
+      return { error: `Label is required (${MAX_LABEL_LENGTH} characters max).` };
+    }
+    value.label = label;
+  }
+
+  if (body.prompt !== undefined || !partial) {
+    const prompt = typeof body.prompt === "string" ? body.prompt.trim() : "";
+    if (!prompt || prompt.length > MAX_PROMPT_LENGTH) {
+      return { error: `Prompt is required (${MAX_PROMPT_LENGTH} characters max).` };
+    }
+    value.prompt = prompt;
+  }
+
+  if (body.defaultCount !== undefined) {
+    const count = Number(body.defaultCount);
+    if (!Number.isInteger(count) || count < 1 || count > 4) {
+      return { error: "defaultCount must be an integer between 1 and 4." };
+    }
+    value.defaultCount = count;
+  } else if (!partial) {
+    value.defaultCount = 2;
+  }
+
+  return { value };
+};
+
+/**
+ * Load a custom style usable by a user: one of their personal styles,
+ * or a style of a workspace where they are an active member
+ * @param {string} style "custom:<documentId>"
+ * @returns {Promise<object | null>}
+ */
+const getCustomStyleForUser = async (style, email) => {
+  const docId = style.slice(CUSTOM_STYLE_PREFIX.length);
+  if (!docId || docId.includes("/")) return null;
+
+  const doc = await db.collection("custom_styles").doc(docId).get();
+  if (!doc.exists) return null;
+
+  const { workspaceId, email: owner } = doc.data();
+  if (workspaceId) {
+    return hasWorkspaceRole(await getMembership(workspaceId, email), "viewer") ? toCustomStyle(doc) : null;
+  }
+  return owner === email ? toCustomStyle(doc) : null;
+};
+
+module.exports = {
+  CUSTOM_STYLE_PREFIX,
+  isCustomStyleId,
+  toCustomStyle,
+  parseCustomStyle,
+  getCustomStyleForUser,
+};
@@ -0,0 +1,174 @@
+const archiver = require("archiver");
+const { admin, db, bucket, storagePathFromUrl } = require("./firebase");
+const { USER_OWNED_COLLECTIONS, BATCH_SIZE } = require("./userData");
+
+// Fields never exported, even to their owner
+const PRIVATE_USER_FIELDS = ["password", "password_hash"];
+
+// Fields holding image URLs, per collection
+const URL_FIELDS = {
+  images: ["url", "originalUrl"],
+  selections: ["imageUrl"],
+  posts_analysis: ["selectedImageUrl"],
+};
+
+// Fields holding Storage paths of private files, per collection
+const PATH_FIELDS = {
+  reference_photos: ["storage_path"],
+};
+
+// Firestore Timestamps have no toJSON: turn them into ISO strings
+const toJson = (data) =>
+  JSON.stringify(
+    data,
+    (key, value) => (value && typeof value.toDate === "function" ? value.toDate().toISOString() : value),
+    2
+  );
+
+/**
+ * Append an entry and wait until the archive has consumed it,
+ * so only one Storage download is open at a time.
+ * @param {{ aborted: Error | null, cancel: ((err: Error) => void) | null }} control
+ *   cancel is set while waiting: it destroys the source and rejects the wait
+ */
+const appendAndWait = (archive, source, name, control) =>
+  new Promise((resolve, reject) => {
+    if (control.aborted) {
+      if (source.destroy) source.destroy();
+      reject(control.aborted);
+      return;
+    }
+    const cleanup = () => {
+      archive.off("entry", onEntry);
+      archive.off("error", onError);
+      control.cancel = null;
+    };
+    const onError = (err) => {
+      cleanup();
+      reject(err);
+    };
+    const onEntry = (entry) => {
+      if (entry.name !== name) return;
+      cleanup();
+      resolve();
+    };
+    control.cancel = (err) => {
+      if (source.destroy) source.destroy();
+      onError(err);
+    };
+    archive.on("entry", onEntry);
+    archive.once("error", onError);
+    if (source.on) source.on("error", onError);
+    archive.append(source, { name });
+  });
+
+/**
+ * Stream a ZIP of everything stored about a user into a writable stream (HTTP response):
+ * profile.json, one JSON file per document, the referenced Storage files and manifest.json.
+ * Documents are read page by page and files streamed one by one, nothing is buffered whole.
+ * If the output closes before the end (client gone), the archive and the current download are
+ * aborted and the promise rejects with an error whose code is EXPORT_ABORTED.
+ * @param {string} email
+ * @param {NodeJS.WritableStream} output
+ */
+const streamUserExport = async (email, output) => {
+  const archive = archiver("zip", { zlib: { level: 6 } });
+  const control = { aborted: null, cancel: null };
+  const finished = new Promise((resolve, reject) => {
+    output.on("close", resolve);
+    output.on("finish", resolve);
+    archive.on("error", reject);
+  });
+  // Awaited at the end; avoid an unhandled rejection if the archive fails earlier
+  finished.catch(() => {});
+
+  output.on("close", () => {
+    if (output.writableFinished || control.aborted) return;
+    control.aborted = new Error(`Export for ${email} aborted: the client disconnected`);
+    control.aborted.code = "EXPORT_ABORTED";
+    archive.abort();
+    if (control.cancel) control.cancel(control.aborted);
+  });
+  archive.pipe(output);
+  const append = (source, name) => appendAndWait(archive, source, name, control);
+
+  const manifest = {
+    exported_at: new Date().toISOString(),
+    email,
+    collections: {},
+    files: [],
+    missing_files: [],
+  };
+
+  const userDoc = await db.collection("users").doc(email).get();
+  const profile = { ...(userDoc.data() || {}) };
+  PRIVATE_USER_FIELDS.forEach((field) => delete profile[field]);
+  await append(toJson(profile), "profile.json");
+
+  const storagePaths = new Map();
+
+  for (const collectionName of USER_OWNED_COLLECTIONS) {
+    manifest.collections[collectionName] = 0;
+    let lastDoc = null;
+
+    for (;;) {
+      let query = db
+        .collection(collectionName)
+        .where("email", "==", email)
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(BATCH_SIZE);
+      if (lastDoc) query = query.startAfter(lastDoc);
+
+      const snapshot = await query.get();
+      if (snapshot.empty) break;
+
+      for (const docItem of snapshot.docs) {
+        const data = docItem.data();
+        await append(toJson({ id: docItem.id, ...data }), `${collectionName}/${docItem.id}.json`);
+        manifest.collections[collectionName] += 1;
+
+        for (const field of URL_FIELDS[collectionName] || []) {
+          const path = storagePathFromUrl(data[field]);
+          if (path && !storagePaths.has(path)) {
+            storagePaths.set(path, { collection: collectionName, documentId: docItem.id, url: data[field] });
+          }
+        }
+        for (const field of PATH_FIELDS[collectionName] || []) {
+          const path = data[field];
+          if (typeof path === "string" && !storagePaths.has(path)) {
+            storagePaths.set(path, { collection: collectionName, documentId: docItem.id });
+          }
+        }
+      }
+
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
+      if (snapshot.size < BATCH_SIZE) break;
+    }
+  }
+
+  for (const [path, origin] of storagePaths) {
+    const file = bucket.file(path);
+    try {
+      const [exists] = await file.exists();
+      if (!exists) {
+        manifest.missing_files.push({ path, ...origin });
+        continue;
+      }
+      await append(file.createReadStream(), `files/${path}`);
+      manifest.files.push({ path: `files/${path}`, ...origin });
+    } catch (err) {
+      if (control.aborted) throw control.aborted;
+      console.error(`Export: could not add ${path}:`, err?.message || err);
+      manifest.missing_files.push({ path, ...origin, error: err?.message || String(err) });
+    }
+  }
+
+  if (control.aborted) throw control.aborted;
+  archive.append(toJson(manifest), { name: "manifest.json" });
+  await archive.finalize();
+  await finished;
+
+  return manifest;
+};
+
+module.exports = { streamUserExport };
@@ -0,0 +1,26 @@
+const admin = require("firebase-admin");
+const { getStorage } = require("firebase-admin/storage");
+//const serviceAccount = require("../config/serviceAccountKey.json");
+
+const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+
+// Shared by server.js and the one-off scripts in scripts/
+admin.initializeApp({
+  credential: admin.credential.cert(serviceAccount),
+  storageBucket: process.env.FIREBASE_STORAGE_BUCKET,
+  projectId: serviceAccount.project_id,
+});
+
+const bucket = getStorage().bucket();
+const db = admin.firestore();
+
+/**
+ * Storage path of one of our public URLs, or null for external/base64 URLs
+ */
+const storagePathFromUrl = (url) => {
+  const prefix = `https://storage.googleapis.com/${bucket.name}/`;
+  if (typeof url !== "string" || !url.startsWith(prefix)) return null;
+  return decodeURIComponent(url.slice(prefix.length));
+};
+
+module.exports = { admin, db, bucket, storagePathFromUrl };
@@ -0,0 +1,29 @@
+// LinkedIn output formats, served to the frontend by GET /formats.
+// Generated images are cropped to the chosen format; the original is kept alongside.
+
+const FORMAT_PRESETS = [
+  { id: "feed_square", label: "Feed post (square)", width: 1200, height: 1200, aspect: "1:1" },
+  { id: "feed_portrait", label: "Feed post (portrait)", width: 1080, height: 1350, aspect: "4:5" },
+  { id: "link_share", label: "Link share", width: 1200, height: 627, aspect: "1.91:1" },
+  { id: "profile_banner", label: "Profile banner", width: 1584, height: 396, aspect: "4:1" },
+  { id: "profile_photo", label: "Profile photo", width: 400, height: 400, aspect: "1:1" },
+];
+
+const FORMATS_BY_ID = new Map(FORMAT_PRESETS.map((format) => [format.id, format]));
+
+/**
+ * @returns {object | null} preset for a format id
+ */
+const getFormatPreset = (id) => FORMATS_BY_ID.get(id) || null;
+
+/**
+ * Framing instruction appended to the image prompt, so the crop loses as little as possible
+ */
+const formatPromptHint = (format) =>
+  `Frame the scene for a ${format.aspect} ${format.label.toLowerCase()} image (this aspect ratio takes precedence over any other), keeping the subject centered with margin around it.`;
+
+module.exports = {
+  FORMAT_PRESETS,
+  getFormatPreset,
+  formatPromptHint,
+};
@@ -0,0 +1,500 @@
+const crypto = require("crypto");
+const { db, bucket, storagePathFromUrl } = require("./firebase");
+const { getStyle, DEFAULT_STYLE_PROMPT, addFidelityRequirements } = require("./styles");
+const { isCustomStyleId, getCustomStyleForUser } = require("./customStyles");
+const { getImageProvider, generateImages } = require("./imageProviders");
+const { complete } = require("./llm");
+const { getPromptTemplate } = require("./prompts");
+const { getFormatPreset, formatPromptHint } = require("./formats");
+const { cropToFormat } = require("./imagePipeline");
+
+// Generation shared by the synchronous routes (/generate, /generate-auto) and the job worker
+
+const MAX_IMAGES = 4;
+const clampNumberOfImages = (value) => {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric)) return 1;
+  return Math.min(Math.max(Math.round(numeric), 1), MAX_IMAGES);
+};
+
+/**
+ * Upload generated base64 image to Firebase Storage
+ * and return public URL
+ * @param {string} [suffix] appended to the file name, e.g. "-original"
+ */
+const uploadGeneratedImageToStorage = async (base64DataUrl, email, suffix = "") => {
+  const match = base64DataUrl.match(/^data:(image\/\w+);base64,(.+)$/);
+  if (!match) {
+    throw new Error("Invalid base64 image format");
+  }
+
+  const mimeType = match[1];
+  const base64Data = match[2];
+  const buffer = Buffer.from(base64Data, "base64");
+  const extension = mimeType.split("/")[1];
+
+  // Random part: images generated in parallel can finish within the same millisecond
+  const fileName = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}${suffix}`;
+  const filePath = `generated/${email || "anonymous"}/${fileName}.${extension}`;
+  const file = bucket.file(filePath);
+
+  // Save the file
+  await file.save(buffer, {
+    metadata: { contentType: mimeType },
+    validation: "md5",
+  });
+
+  // Make the file publicly accessible
+  await file.makePublic();
+
+  // Return the public URL
+  return `https://storage.googleapis.com/${bucket.name}/${filePath}`;
+};
+
+/**
+ * Save generated images to Firestore - stores only Firebase Storage URLs, never base64.
+ * @param {object[]} [perImage] extra fields for each image, by position (e.g. originalUrl)
+ * @returns {Promise<(string | null)[]>} document id of each image, by position (null when not saved)
+ */
+const saveImagesToFirestore = async (email, imageUrls, metadata = {}, perImage = []) => {
+  const imageIds = [];
+  try {
+    if (!imageUrls || !Array.isArray(imageUrls) || imageUrls.length === 0) {
+      console.warn("No images to save to Firestore");
+      return imageIds;
+    }
+
+    const userEmail = email || "anonymous";
+    console.log(`Starting to save ${imageUrls.length} image(s) to Firestore for email: ${userEmail}`);
+
+    for (let i = 0; i < imageUrls.length; i++) {
+      const imageUrl = imageUrls[i];
+      imageIds[i] = null;
+      
+      // Ensure we only save Firebase Storage URLs, never base64
+      if (!imageUrl || typeof imageUrl !== 'string') {
+        console.warn(`Invalid image URL, skipping: ${imageUrl}`);
+        continue;
+      }
+
+      // Check if it's a base64 data URL (should not happen, but safety check)
+      if (imageUrl.startsWith('data:image/')) {
+        console.error(`ERROR: Attempted to save base64 to Firestore! This should not happen. URL starts with data:image/`);
+        continue; // Skip base64 - should never be saved
+      }
+
+      // Ensure it's a valid HTTP/HTTPS URL (Firebase Storage URL)
+      if (!imageUrl.startsWith('http://') && !imageUrl.startsWith('https://')) {
+        console.warn(`Invalid URL format, skipping: ${imageUrl}`);
+        continue;
+      }
+
+      const imageData = {
+        email: userEmail,
+        url: imageUrl, // Store only the Firebase Storage URL
+        created_at: new Date(),
+        ...metadata,
+        ...(perImage[i] || {}),
+      };
+
+      try {
+        const docRef = await db.collection("images").add(imageData);
+        const docId = docRef.id;
+        imageIds[i] = docId;
+        console.log(`✅ Image ${i + 1} saved successfully to Firestore! Doc ID: ${docId}, email: ${userEmail}, URL: ${imageUrl}`);
+        
+        // Verify the document was actually saved
+        const verifyDoc = await db.collection("images").doc(docId).get();
+        if (verifyDoc.exists) {
+          console.log(`✅ Verified: Document ${docId} exists in Firestore`);
+        } else {
+          console.error(`❌ WARNING: Document ${docId} was not found after save!`);
+        }
+      } catch (saveError) {
+        console.error(`❌ Failed to save image ${i + 1} to Firestore:`, saveError?.message || saveError);
+        console.error(`❌ Error details:`, saveError);
+        // Continue with next image even if one fails
+      }
+    }
+    
+    // Final verification: count documents for this email
+    try {
+      const verifySnapshot = await db.collection("images").where("email", "==", userEmail).get();
+      console.log(`✅ Final verification: Found ${verifySnapshot.size} document(s) in Firestore for email: ${userEmail}`);
+    } catch (verifyError) {
+      console.error(`❌ Error during final verification:`, verifyError?.message || verifyError);
+    }
+    
+    console.log(`✅ Completed saving ${imageUrls.length} image(s) to Firestore for email: ${userEmail}`);
+  } catch (e) {
+    console.error("❌ Firestore save error (global):", e?.message || e);
+    console.error("Stack trace:", e?.stack);
+    // Continue even if save fails - the images are still returned to frontend
+  }
+  return imageIds;
+};
+
+/**
+ * Keep a trace of a failed generation for the admin console. Never throws.
+ */
+const recordGenerationFailure = async (email, details) => {
+  try {
+    await db.collection("generation_failures").add({
+      email: email || "anonymous",
+      ...details,
+      created_at: new Date(),
+    });
+  } catch (e) {
+    console.error("❌ Could not record generation failure:", e?.message || e);
+  }
+};
+
+/**
+ * Fail with an HTTP status the caller can answer with
+ */
+const generationError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Check the body of a generation request
+ * @param {"style" | "auto"} type
+ * @returns {string | null} error message, null when valid
+ */
+const validateGenerationInput = (type, { style, photos, postText, format }) => {
+  if (format && !getFormatPreset(format)) return `Unknown format "${format}"`;
+
+  if (type === "auto") {
+    if (!postText || typeof postText !== "string") return "postText is required";
+    if (!Array.isArray(photos) || photos.length < 1) return "Provide at least 1 selfie";
+    if (photos.length > 2) return "Maximum 2 photos allowed in auto mode";
+    return null;
+  }
+
+  if (!style || !Array.isArray(photos)) return "Style and photos array required";
+  if (photos.length === 0) return "At least one photo required";
+  if (photos.length > 10) return "Maximum 10 photos allowed";
+  return null;
+};
+
+/**
+ * Image provider of a request (its `provider` field, or the default one)
+ * @returns {object} provider, throws 400 if unknown and 500 if not configured
+ */
+const resolveImageProvider = (name) => {
+  const provider = getImageProvider(name);
+  if (!provider) {
+    throw generationError(400, `Unknown image provider "${name}".`);
+  }
+  if (provider.missingConfig()) {
+    throw generationError(500, `Missing ${provider.missingConfig()}`);
+  }
+  return provider;
+};
+
+/**
+ * Generate images, upload each one as soon as it is ready and report progress through hooks.
+ * With a format preset, the image is cropped to it and the untouched original is uploaded too.
+ * @param {object | null} format preset from getFormatPreset
+ * @returns {Promise<{ url: string, originalUrl: string | null, generation: object }[]>} public Storage URLs,
+ *   with how each image was produced (see generateImages), in index order even when generated in parallel
+ */
+const produceImages = async (provider, request, email, hooks, format = null) => {
+  const storedImages = [];
+
+  await generateImages(provider, request, {
+    onImageStart: hooks.onImageStart,
+    onImage: async (index, dataUrl, generation) => {
+      let image;
+      if (format) {
+        const originalUrl = await uploadGeneratedImageToStorage(dataUrl, email, "-original");
+        const url = await uploadGeneratedImageToStorage(await cropToFormat(dataUrl, format), email, `-${format.id}`);
+        image = { url, originalUrl, generation };
+      } else {
+        image = { url: await uploadGeneratedImageToStorage(dataUrl, email), originalUrl: null, generation };
+      }
+      storedImages[index] = image;
+      if (hooks.onImage) await hooks.onImage(index, image.url, { originalUrl: image.originalUrl });
+    },
+    onImageError: hooks.onImageError,
+  });
+
+  return storedImages.filter(Boolean);
+};
+
+/**
+ * Provenance fields shared by all images of a request; generateImages adds model, attempts,
+ * latency, finish reason and reference photo hashes for each image
+ * @param {object} fields e.g. promptTemplate, optimizedPrompt, jobId
+ */
+const requestProvenance = (provider, prompt, fields = {}) => ({
+  provider: provider.name,
+  prompt,
+  promptTemplate: null,
+  optimizedPrompt: null,
+  ...fields,
+});
+
+/**
+ * Save produced images (only URLs, not base64), with their original when they were cropped to a format
+ * and their provenance record
+ * @param {object} provenance from requestProvenance
+ * @returns {Promise<{ imageUrls: string[], originalUrls: (string | null)[], imageIds: (string | null)[] }>}
+ */
+const saveProducedImages = async (email, storedImages, format, metadata, provenance) => {
+  const imageUrls = storedImages.map((image) => image.url);
+  const originalUrls = storedImages.map((image) => image.originalUrl);
+  const imageIds = await saveImagesToFirestore(
+    email,
+    imageUrls,
+    { ...metadata, format: format ? format.id : null },
+    storedImages.map((image) => ({
+      ...(image.originalUrl ? { originalUrl: image.originalUrl } : {}),
+      provenance: { ...provenance, ...image.generation },
+    }))
+  );
+  return { imageUrls, originalUrls, imageIds };
+};
+
+/**
+ * Style mode: prompt from a built-in or custom style, all photos sent, count chosen by the user
+ * @param {{ email: string, style: string, photos: string[], numberOfImages?: number, format?: string, provider: object, metadata?: object, provenance?: object }} params
+ *   format is a preset id (see lib/formats.js), metadata is stored on every image record (e.g. workspaceId),
+ *   provenance is added to every image's provenance record (e.g. jobId)
+ * @param {{ onStart?: Function, onImageStart?: Function, onImage?: Function, onImageError?: Function }} [hooks]
+ *   onStart({ total, prompt }) runs before each round of images (auto mode may retry with fewer images),
+ *   onImage(index, url, { originalUrl }) once an image is stored
+ * @returns {Promise<{ imageUrls: string[], originalUrls: (string | null)[], imageIds: (string | null)[], prompt: string }>}
+ */
+const runStyleGeneration = async (
+  { email, style, photos, numberOfImages, format: formatId, provider, metadata = {}, provenance = {} },
+  hooks = {}
+) => {
+  const format = getFormatPreset(formatId);
+
+  // Prompts by style (English for better model results)
+  let styleEntry;
+  if (isCustomStyleId(style)) {
+    styleEntry = await getCustomStyleForUser(style, email);
+    if (!styleEntry) {
+      throw generationError(404, "Custom style not found.");
+    }
+  } else {
+    styleEntry = getStyle(style);
+    if (!styleEntry) {
+      console.warn(`⚠️ Unknown style "${style}", using the default portrait prompt`);
+    }
+  }
+  const stylePrompt = addFidelityRequirements(styleEntry ? styleEntry.prompt : DEFAULT_STYLE_PROMPT);
+  const finalPrompt = format ? `${stylePrompt} ${formatPromptHint(format)}` : stylePrompt;
+
+  // A style's defaultCount only preselects the count in the UI, the API default stays 4
+  const safeNumberOfImages = clampNumberOfImages(numberOfImages || 4);
+  if (hooks.onStart) await hooks.onStart({ total: safeNumberOfImages, prompt: finalPrompt });
+
+  // Mode style: send all photos (up to 10), generate the number chosen by user
+  const storedImages = await produceImages(
+    provider,
+    { prompt: finalPrompt, photos, count: safeNumberOfImages },
+    email,
+    hooks,
+    format
+  );
+
+  if (storedImages.length < safeNumberOfImages) {
+    await recordGenerationFailure(email, {
+      route: "/generate",
+      style,
+      provider: provider.name,
+      stage: "partial",
+      requested: safeNumberOfImages,
+      generated: storedImages.length,
+    });
+  }
+
+  const { imageUrls, originalUrls, imageIds } = await saveProducedImages(
+    email,
+    storedImages,
+    format,
+    { prompt: finalPrompt, style, provider: provider.name, photosCount: photos.length, ...metadata },
+    requestProvenance(provider, finalPrompt, { style, ...provenance })
+  );
+
+  return { imageUrls, originalUrls, imageIds, prompt: finalPrompt };
+};
+
+/**
+ * Auto-prompt mode: the LLM writes the prompt from the post text, 2 images (1 as a fallback)
+ * @param {{ email: string, postText: string, photos: string[], format?: string, provider: object, metadata?: object, provenance?: object }} params
+ * @param {{ onStart?: Function, onImageStart?: Function, onImage?: Function, onImageError?: Function }} [hooks]
+ * @returns {Promise<{ imageUrls: string[], originalUrls: (string | null)[], imageIds: (string | null)[], prompt: string, optimizedPrompt: string }>}
+ */
+const runAutoGeneration = async (
+  { email, postText, photos, format: formatId, provider, metadata = {}, provenance = {} },
+  hooks = {}
+) => {
+  const format = getFormatPreset(formatId);
+  // Auto mode: fixed to 2 images for stability
+  const requestedCount = 2;
+
+  // Recorded here: the callers skip errors carrying a status, which these get
+  const promptFailure = async (message) => {
+    await recordGenerationFailure(email, {
+      route: "/generate-auto",
+      provider: provider.name,
+      stage: "prompt",
+      error: message,
+    });
+    return generationError(500, message);
+  };
+
+  let promptResult;
+  try {
+    promptResult = await complete("autoPrompt", { postText, photoCount: photos.length, requestedCount }, { email });
+  } catch (err) {
+    console.error("LLM prompt error:", err?.message || err);
+    throw await promptFailure(err?.message || "Prompt generation failed");
+  }
+
+  const optimizedPrompt = promptResult.text.trim();
+
+  if (!optimizedPrompt) {
+    throw await promptFailure("No prompt returned by the LLM");
+  }
+
+  // Shorten and normalize prompt to avoid overly long requests that can fail with high image counts
+  const normalizedPrompt = optimizedPrompt.replace(/\s+/g, " ").trim().slice(0, 700);
+  const requirements = getPromptTemplate("autoPrompt").imageRequirements(format);
+  const finalPrompt = `${normalizedPrompt}\n${requirements}${format ? ` ${formatPromptHint(format)}` : ""}`;
+
+  // Try generation; fallback to smaller counts if needed
+  const countsToTry = [requestedCount, 1].filter((c) => c >= 1 && c <= MAX_IMAGES);
+  let storedImages = [];
+  let lastError = null;
+
+  for (const c of countsToTry) {
+    try {
+      if (hooks.onStart) await hooks.onStart({ total: c, prompt: finalPrompt });
+      storedImages = await produceImages(provider, { prompt: finalPrompt, photos, count: c }, email, hooks, format);
+      if (storedImages.length > 0) break;
+    } catch (err) {
+      // Bad input (e.g. an undecodable photo) will not get better with fewer images
+      if (err.status) throw err;
+      lastError = err;
+      console.error(`Generation failed at ${c} images:`, err?.message || err);
+    }
+  }
+
+  if (storedImages.length === 0) {
+    const message = lastError?.message || "Image model returned no images";
+    await recordGenerationFailure(email, {
+      route: "/generate-auto",
+      provider: provider.name,
+      stage: "no_images",
+      error: message,
+    });
+    throw generationError(502, message);
+  }
+
+  const { imageUrls, originalUrls, imageIds } = await saveProducedImages(
+    email,
+    storedImages,
+    format,
+    {
+      prompt: finalPrompt,
+      source: "auto_prompt",
+      provider: provider.name,
+      photosCount: photos.length,
+      postText,
+      promptTemplate: promptResult.template,
+      ...metadata,
+    },
+    requestProvenance(provider, finalPrompt, {
+      promptTemplate: promptResult.template,
+      optimizedPrompt,
+      promptModel: promptResult.model,
+      ...provenance,
+    })
+  );
+
+  return { imageUrls, originalUrls, imageIds, prompt: finalPrompt, optimizedPrompt };
+};
+
+const MAX_INSTRUCTION_LENGTH = 500;
+// The image being edited is sent larger than reference selfies, it is the base of the result
+const EDIT_BASE_PHOTO_OPTIONS = { maxEdge: 1536, maxBytes: 1024 * 1024 };
+
+/**
+ * Check an edit instruction
+ * @returns {string | null} error message, null when valid
+ */
+const validateEditInstruction = (instruction) => {
+  if (typeof instruction !== "string" || !instruction.trim()) return "instruction is required";
+  if (instruction.trim().length > MAX_INSTRUCTION_LENGTH) {
+    return `instruction must be ${MAX_INSTRUCTION_LENGTH} characters max`;
+  }
+  return null;
+};
+
+/**
+ * Edit an existing image: it is sent back to the image model as the base, with the instruction.
+ * The result is saved as a new version (parentId, rootId, version), cropped to the source's format if it had one.
+ * @param {{ email: string, sourceId: string, source: object, instruction: string, provider: object }} params
+ *   source is the image document data
+ * @returns {Promise<{ imageId: string | null, url: string, originalUrl: string | null, prompt: string, version: number }>}
+ */
+const runImageEdit = async ({ email, sourceId, source, instruction, provider }, hooks = {}) => {
+  // Edit the uncropped original when there is one, the crop is applied again afterwards
+  const sourcePath = storagePathFromUrl(source.originalUrl) || storagePathFromUrl(source.url);
+  if (!sourcePath) {
+    throw generationError(422, "This image is not stored in Storage and cannot be edited.");
+  }
+  const [baseImage] = await bucket.file(sourcePath).download();
+
+  const prompt = `Edit the provided image: ${instruction.trim()}. Change only what this instruction asks for and keep everything else identical: same person and face, same clothing, same framing and overall style. Only the user should appear in the image—no other people or humans. Style: photorealistic.`;
+  const format = getFormatPreset(source.format);
+
+  if (hooks.onStart) await hooks.onStart({ total: 1, prompt });
+  const [edited] = await produceImages(
+    provider,
+    { prompt, photos: [baseImage], count: 1, photoOptions: EDIT_BASE_PHOTO_OPTIONS },
+    email,
+    hooks,
+    format
+  );
+
+  const version = (source.version || 1) + 1;
+  const { imageIds } = await saveProducedImages(
+    email,
+    [edited],
+    format,
+    {
+      prompt,
+      instruction: instruction.trim(),
+      parentId: sourceId,
+      rootId: source.rootId || sourceId,
+      version,
+      style: source.style || null,
+      provider: provider.name,
+      ...(source.workspaceId ? { workspaceId: source.workspaceId } : {}),
+    },
+    requestProvenance(provider, prompt, { instruction: instruction.trim(), sourceImageId: sourceId })
+  );
+
+  return { imageId: imageIds[0], url: edited.url, originalUrl: edited.originalUrl, prompt, version };
+};
+
+module.exports = {
+  MAX_IMAGES,
+  clampNumberOfImages,
+  uploadGeneratedImageToStorage,
+  validateGenerationInput,
+  resolveImageProvider,
+  runStyleGeneration,
+  runAutoGeneration,
+  validateEditInstruction,
+  runImageEdit,
+  recordGenerationFailure,
+};
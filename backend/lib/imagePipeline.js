@@ -0,0 +1,124 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const sharp = require("sharp");
+
+// Reference photos sent to image models: long edge and encoded size limits
+const REFERENCE_MAX_EDGE = 1024;
+const REFERENCE_MAX_BYTES = 200 * 1024;
+// Tried in order until the photo fits in the byte budget
+const JPEG_QUALITIES = [85, 75, 65, 55, 45];
+const MIN_EDGE = 256;
+
+const MIME_TYPES = {
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+};
+
+/**
+ * Fail with an HTTP status the caller can answer with
+ */
+const imageError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Detect the real format of an image from its magic bytes, whatever its name or declared type
+ * @param {Buffer} buffer
+ * @returns {"jpeg" | "png" | "webp" | null}
+ */
+const sniffImageFormat = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "jpeg";
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return "png";
+  if (buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WEBP") return "webp";
+  return null;
+};
+
+/**
+ * Decode base64 photo data, with or without a data: prefix
+ * @returns {Buffer}
+ */
+const decodeBase64Photo = (base64Data) =>
+  Buffer.from(String(base64Data).replace(/^data:[^;,]+;base64,/, ""), "base64");
+
+/**
+ * Decode a JPEG/PNG/WebP photo, apply its EXIF orientation, downscale it to a long edge
+ * and re-encode it as JPEG within a byte budget (lower quality first, then smaller size)
+ * @param {Buffer | string | { path: string }} input image buffer, base64 string or temporary file from
+ *   photoUpload (req.uploads; the path is read as is, so never one from the request body)
+ * @param {{ maxEdge?: number, maxBytes?: number }} [options]
+ * @returns {Promise<{ data: string, mimeType: string, width: number, height: number, bytes: number, sha256: string }>}
+ *   data is base64 without data: prefix, sha256 the hash of the photo as received;
+ *   throws 415 for an unsupported format, 400 for a corrupt image
+ */
+const prepareReferencePhoto = async (input, { maxEdge = REFERENCE_MAX_EDGE, maxBytes = REFERENCE_MAX_BYTES } = {}) => {
+  let buffer;
+  if (Buffer.isBuffer(input)) buffer = input;
+  else if (input?.path) buffer = await fs.promises.readFile(input.path);
+  else buffer = decodeBase64Photo(input);
+  const format = sniffImageFormat(buffer);
+  if (!format) {
+    throw imageError(415, "Unsupported photo format: only JPEG, PNG and WebP images are accepted.");
+  }
+
+  let edge = maxEdge;
+  let output;
+  try {
+    for (;;) {
+      for (const quality of JPEG_QUALITIES) {
+        output = await sharp(buffer)
+          .rotate()
+          .resize({ width: edge, height: edge, fit: "inside", withoutEnlargement: true })
+          .flatten({ background: "#ffffff" })
+          .jpeg({ quality, mozjpeg: true })
+          .toBuffer({ resolveWithObject: true });
+        if (output.info.size <= maxBytes) break;
+      }
+      if (output.info.size <= maxBytes || edge <= MIN_EDGE) break;
+      edge = Math.max(MIN_EDGE, Math.round(edge * 0.75));
+    }
+  } catch (err) {
+    throw imageError(400, `Could not decode the ${format.toUpperCase()} photo: ${err?.message || err}`);
+  }
+
+  console.log(
+    `Photo ${format} ${(buffer.length / 1024).toFixed(0)}KB -> JPEG ${output.info.width}x${output.info.height} ${(output.info.size / 1024).toFixed(0)}KB`
+  );
+
+  return {
+    data: output.data.toString("base64"),
+    mimeType: MIME_TYPES.jpeg,
+    width: output.info.width,
+    height: output.info.height,
+    bytes: output.info.size,
+    sha256: crypto.createHash("sha256").update(buffer).digest("hex"),
+  };
+};
+
+/**
+ * Crop a generated image to a format preset: resized to cover the target size,
+ * the crop window following the most salient region (sharp attention strategy)
+ * @param {string} dataUrl base64 data URL of the generated image
+ * @param {{ width: number, height: number }} format
+ * @returns {Promise<string>} JPEG data URL
+ */
+const cropToFormat = async (dataUrl, { width, height }) => {
+  const output = await sharp(decodeBase64Photo(dataUrl))
+    .rotate()
+    .resize({ width, height, fit: "cover", position: sharp.strategy.attention })
+    .flatten({ background: "#ffffff" })
+    .jpeg({ quality: 90, mozjpeg: true })
+    .toBuffer();
+  return `data:${MIME_TYPES.jpeg};base64,${output.toString("base64")}`;
+};
+
+module.exports = {
+  MIME_TYPES,
+  sniffImageFormat,
+  decodeBase64Photo,
+  prepareReferencePhoto,
+  cropToFormat,
+};
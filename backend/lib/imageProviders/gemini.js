@@ -0,0 +1,128 @@
+const { upstreamError } = require("../retry");
+
+const fetch = (...args) => import("node-fetch").then(({ default: fetchFn }) => fetchFn(...args));
+
+const GEMINI_IMAGE_MODEL = process.env.GEMINI_IMAGE_MODEL || "gemini-2.5-flash-image-preview";
+
+// Finish reasons of blocked content: the same prompt and photos will be blocked again, never retried.
+// IMAGE_OTHER, NO_IMAGE and OTHER are not blocks, a new attempt can succeed.
+const BLOCKED_FINISH_REASONS = [
+  "SAFETY",
+  "RECITATION",
+  "BLOCKLIST",
+  "PROHIBITED_CONTENT",
+  "SPII",
+  "IMAGE_SAFETY",
+  "IMAGE_PROHIBITED_CONTENT",
+  "IMAGE_RECITATION",
+];
+
+/**
+ * Extract the first image of a generateContent response as a data URL, with its candidate's finish reason
+ * @returns {{ dataUrl: string, finishReason: string | null } | null}
+ */
+const parseImage = (data) => {
+  // The prompt itself was rejected (any block reason), there are no candidates
+  const blockReason = data?.promptFeedback?.blockReason;
+  if (blockReason) {
+    const message = data.promptFeedback.blockReasonMessage || `Block reason: ${blockReason}`;
+    throw upstreamError(`Gemini blocked the prompt: ${message}`, { retryable: false });
+  }
+
+  const candidates = Array.isArray(data?.candidates) ? data.candidates : [];
+
+  for (const cand of candidates) {
+    // Check finishReason to understand why image wasn't generated
+    if (cand?.finishReason && cand.finishReason !== "STOP") {
+      const reason = cand.finishReason;
+      const message = cand?.finishMessage || `Finish reason: ${reason}`;
+      console.warn(`Gemini finishReason: ${reason}, message: ${message}`);
+
+      if (BLOCKED_FINISH_REASONS.includes(reason)) {
+        throw upstreamError(`Gemini blocked generation: ${message}`, { retryable: false });
+      }
+    }
+
+    const parts = cand?.content?.parts || [];
+    for (const part of parts) {
+      const inlineData = part?.inline_data || part?.inlineData;
+      if (inlineData?.data) {
+        const mime = inlineData?.mime_type || inlineData?.mimeType || "image/png";
+        return { dataUrl: `data:${mime};base64,${inlineData.data}`, finishReason: cand.finishReason || null };
+      }
+      if (typeof part?.text === "string" && part.text.startsWith("data:image/")) {
+        return { dataUrl: part.text, finishReason: cand.finishReason || null };
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Google Gemini image model (generateContent with inline reference photos)
+ */
+module.exports = {
+  name: "gemini",
+  label: "Google Gemini",
+  model: GEMINI_IMAGE_MODEL,
+  retryPolicy: { maxAttempts: 3, baseDelayMs: 5000 },
+  // Shared by all requests of the process (see limiterFor)
+  limits: { maxConcurrent: 2, ratePerMinute: 10 },
+
+  missingConfig: () => (process.env.GOOGLE_API_KEY ? null : "GOOGLE_API_KEY"),
+
+  /**
+   * @param {{ prompt: string, photos: { data: string, mimeType: string }[] }} request
+   *   photos prepared by prepareReferencePhoto (base64 without data: prefix)
+   * @returns {Promise<{ dataUrl: string, finishReason: string | null }>} base64 data URL
+   */
+  generateImage: async ({ prompt, photos }) => {
+    let response;
+    try {
+      response = await fetch(
+        `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_IMAGE_MODEL}:generateContent?key=${process.env.GOOGLE_API_KEY}`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            contents: [
+              {
+                parts: [
+                  { text: prompt },
+                  ...photos.map((p) => ({
+                    inline_data: {
+                      mime_type: p.mimeType,
+                      data: p.data,
+                    },
+                  })),
+                ],
+              },
+            ],
+          }),
+        }
+      );
+    } catch (err) {
+      throw upstreamError(`Gemini request failed: ${err?.message || err}`);
+    }
+
+    const data = await response.json().catch(() => ({}));
+    console.log("Gemini response:", JSON.stringify(data, null, 2));
+
+    if (!response.ok || data.error) {
+      throw upstreamError(data?.error?.message || `Generation failed with status ${response.status}`, {
+        status: response.status,
+        retryAfter: response.headers.get("retry-after"),
+      });
+    }
+
+    const image = parseImage(data);
+    if (!image) {
+      // Check if there's a finishMessage that explains the issue; the model sometimes answers with text only
+      const finishMessage = data?.candidates?.[0]?.finishMessage || "Unknown error";
+      throw upstreamError(`No image found in response. ${finishMessage}`, { retryable: true });
+    }
+
+    return image;
+  },
+};
@@ -0,0 +1,165 @@
+const gemini = require("./gemini");
+const openai = require("./openai");
+const mock = require("./mock");
+const { prepareReferencePhoto } = require("../imagePipeline");
+const { createRetryPolicy, withRetry } = require("../retry");
+const { createCallLimiter } = require("../rateLimiter");
+
+const PROVIDERS = { gemini, openai, mock };
+
+// Provider used when the request does not choose one
+const DEFAULT_IMAGE_PROVIDER = process.env.IMAGE_PROVIDER || "gemini";
+
+// Images generated at the same time for one request (1: one after the other)
+const IMAGE_GENERATION_CONCURRENCY = Number(process.env.IMAGE_GENERATION_CONCURRENCY) || 1;
+
+// Environment overrides applied to every provider's retry policy and call limits
+const RETRY_POLICY_ENV = {
+  maxAttempts: Number(process.env.IMAGE_RETRY_MAX_ATTEMPTS) || undefined,
+  baseDelayMs: Number(process.env.IMAGE_RETRY_BASE_DELAY_MS) || undefined,
+  maxDelayMs: Number(process.env.IMAGE_RETRY_MAX_DELAY_MS) || undefined,
+};
+const LIMITS_ENV = {
+  maxConcurrent: Number(process.env.IMAGE_PROVIDER_MAX_CONCURRENT) || undefined,
+  ratePerMinute: Number(process.env.IMAGE_PROVIDER_RATE_PER_MINUTE) || undefined,
+};
+
+// One limiter per provider for the whole process, whatever the number of concurrent requests
+const limiters = new Map();
+
+const limiterFor = (provider) => {
+  if (!limiters.has(provider.name)) {
+    const limits = { ...provider.limits };
+    if (LIMITS_ENV.maxConcurrent) limits.maxConcurrent = LIMITS_ENV.maxConcurrent;
+    if (LIMITS_ENV.ratePerMinute) limits.ratePerMinute = LIMITS_ENV.ratePerMinute;
+    limiters.set(
+      provider.name,
+      createCallLimiter({
+        name: `image-provider:${provider.name}`,
+        maxConcurrent: limits.maxConcurrent || 1,
+        ratePerMinute: limits.ratePerMinute || 0,
+      })
+    );
+  }
+  return limiters.get(provider.name);
+};
+
+/**
+ * @param {string} [name] provider name, defaults to IMAGE_PROVIDER
+ * @returns {object | null} provider, null if unknown
+ */
+const getImageProvider = (name) => PROVIDERS[name || DEFAULT_IMAGE_PROVIDER] || null;
+
+/**
+ * Providers with their configuration state, for the frontend and the admin console
+ */
+const listImageProviders = () =>
+  Object.values(PROVIDERS).map((provider) => ({
+    name: provider.name,
+    label: provider.label,
+    configured: !provider.missingConfig(),
+    default: provider.name === DEFAULT_IMAGE_PROVIDER,
+  }));
+
+/**
+ * Generate images with a provider, `concurrency` at a time, each call going through the provider's
+ * limiter (shared with every other request) and retried according to its retry policy.
+ * Failed images are skipped as long as at least one succeeds.
+ * onImage also receives how the image was produced, for its provenance record:
+ * { model, attempts, latencyMs (all attempts of this image), finishReason, referencePhotoHashes }
+ * @param {object} provider from getImageProvider
+ * @param {{ prompt: string, photos: string[], count: number, maxPhotos?: number | null, photoOptions?: object, concurrency?: number }} request
+ *   photos are JPEG/PNG/WebP images (see prepareReferencePhoto, which receives photoOptions),
+ *   maxPhotos limits how many are sent (default: all)
+ * @param {{ onImageStart?: (index: number, count: number) => Promise<void>, onImage?: (index: number, dataUrl: string, details: object) => Promise<void>, onImageError?: (index: number, error: Error) => Promise<void> }} [hooks]
+ *   called before each image, then as soon as it is generated or has failed for good (in completion order)
+ * @returns {Promise<string[]>} base64 data URLs, in index order
+ */
+const generateImages = async (
+  provider,
+  { prompt, photos, count, maxPhotos = null, photoOptions, concurrency = IMAGE_GENERATION_CONCURRENCY },
+  hooks = {}
+) => {
+  // Decode, orient, downscale and re-encode photos to keep requests small and avoid timeouts
+  const selectedPhotos = maxPhotos ? photos.slice(0, maxPhotos) : photos;
+  const photosToSend = [];
+  for (const photo of selectedPhotos) {
+    photosToSend.push(await prepareReferencePhoto(photo, photoOptions));
+  }
+  console.log(
+    `Sending ${photosToSend.length} photo(s) to ${provider.name} (${photos.length} total provided, max: ${maxPhotos || "all"})`
+  );
+  const referencePhotoHashes = photosToSend.map((photo) => photo.sha256);
+
+  const retryPolicy = createRetryPolicy(provider.retryPolicy, RETRY_POLICY_ENV);
+  const limiter = limiterFor(provider);
+
+  const generateSingleImage = async (index) => {
+    const startedAt = Date.now();
+    let attempts = 0;
+    const { dataUrl, finishReason } = await withRetry(
+      (attempt) => {
+        attempts = attempt;
+        return limiter.run(() => provider.generateImage({ prompt, photos: photosToSend, index }));
+      },
+      retryPolicy,
+      { label: `${provider.label} image ${index + 1}` }
+    );
+    return {
+      dataUrl,
+      details: {
+        model: provider.model,
+        attempts,
+        latencyMs: Date.now() - startedAt,
+        finishReason,
+        referencePhotoHashes,
+      },
+    };
+  };
+
+  const images = new Array(count).fill(null);
+  let nextIndex = 0;
+  let hookError = null;
+
+  // Each worker takes the next image until none is left; a failing hook stops them all
+  const worker = async () => {
+    while (nextIndex < count && !hookError) {
+      const i = nextIndex;
+      nextIndex += 1;
+      try {
+        console.log(`Generating image ${i + 1}/${count} with ${provider.name}...`);
+        if (hooks.onImageStart) await hooks.onImageStart(i, count);
+        let result;
+        try {
+          result = await generateSingleImage(i);
+        } catch (error) {
+          console.error(`Failed to generate image ${i + 1}:`, error?.message || error);
+          if (hooks.onImageError) await hooks.onImageError(i, error);
+          continue;
+        }
+
+        images[i] = result.dataUrl;
+        if (hooks.onImage) await hooks.onImage(i, result.dataUrl, result.details);
+      } catch (error) {
+        hookError = hookError || error;
+      }
+    }
+  };
+  const workerCount = Math.min(Math.max(Math.floor(concurrency) || 1, 1), count);
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  if (hookError) throw hookError;
+
+  const generated = images.filter(Boolean);
+  if (generated.length === 0) {
+    throw new Error("Failed to generate any images");
+  }
+
+  return generated;
+};
+
+module.exports = {
+  DEFAULT_IMAGE_PROVIDER,
+  getImageProvider,
+  listImageProviders,
+  generateImages,
+};
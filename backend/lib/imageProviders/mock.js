@@ -0,0 +1,53 @@
+const crypto = require("crypto");
+const { encodePng } = require("../png");
+
+const SIZE = 256;
+
+/**
+ * Deterministic placeholder: a diagonal gradient between two colors derived from the request,
+ * with a checkerboard band whose position encodes the image index.
+ */
+const renderPlaceholder = (seed) => {
+  const digest = crypto.createHash("sha256").update(seed).digest();
+  const from = [digest[0], digest[1], digest[2]];
+  const to = [digest[3], digest[4], digest[5]];
+  const band = digest[6] % (SIZE - 32);
+  const pixels = Buffer.alloc(SIZE * SIZE * 3);
+
+  for (let y = 0; y < SIZE; y += 1) {
+    for (let x = 0; x < SIZE; x += 1) {
+      const offset = (y * SIZE + x) * 3;
+      const t = (x + y) / (2 * (SIZE - 1));
+      const inBand = y >= band && y < band + 32 && ((x >> 3) + (y >> 3)) % 2 === 0;
+      for (let c = 0; c < 3; c += 1) {
+        const value = Math.round(from[c] + (to[c] - from[c]) * t);
+        pixels[offset + c] = inBand ? 255 - value : value;
+      }
+    }
+  }
+
+  return encodePng(SIZE, SIZE, pixels);
+};
+
+/**
+ * Offline provider: no network, no key. The same prompt, photos and index always give the same image.
+ */
+module.exports = {
+  name: "mock",
+  label: "Local placeholder (offline)",
+  model: "placeholder-gradient",
+  retryPolicy: { baseDelayMs: 0 },
+  limits: { maxConcurrent: 4 },
+
+  missingConfig: () => null,
+
+  /**
+   * @param {{ prompt: string, photos: { data: string, mimeType: string }[], index?: number }} request
+   * @returns {Promise<{ dataUrl: string, finishReason: string }>} base64 PNG data URL
+   */
+  generateImage: async ({ prompt, photos, index }) => {
+    const photosDigest = crypto.createHash("sha256").update(photos.map((p) => p.data).join("|")).digest("hex");
+    const png = renderPlaceholder(`${prompt}|${photosDigest}|${index || 0}`);
+    return { dataUrl: `data:image/png;base64,${png.toString("base64")}`, finishReason: "STOP" };
+  },
+};
@@ -0,0 +1,70 @@
+const { upstreamError } = require("../retry");
+
+const loadFetch = () => import("node-fetch");
+
+const OPENAI_IMAGE_MODEL = process.env.OPENAI_IMAGE_MODEL || "gpt-image-1";
+const OPENAI_IMAGE_SIZE = process.env.OPENAI_IMAGE_SIZE || "1024x1024";
+
+/**
+ * OpenAI Images API: /images/edits when reference photos are given, /images/generations otherwise
+ */
+module.exports = {
+  name: "openai",
+  label: "OpenAI Images",
+  model: OPENAI_IMAGE_MODEL,
+  retryPolicy: { maxAttempts: 3, baseDelayMs: 5000 },
+  // Shared by all requests of the process (see limiterFor)
+  limits: { maxConcurrent: 2, ratePerMinute: 5 },
+
+  missingConfig: () => (process.env.OPENAI_API_KEY ? null : "OPENAI_API_KEY"),
+
+  /**
+   * @param {{ prompt: string, photos: { data: string, mimeType: string }[] }} request
+   *   photos prepared by prepareReferencePhoto (base64 without data: prefix)
+   * @returns {Promise<{ dataUrl: string, finishReason: null }>} base64 data URL; the Images API reports no finish reason
+   */
+  generateImage: async ({ prompt, photos }) => {
+    const { default: fetch, FormData, File } = await loadFetch();
+    const headers = { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` };
+    let response;
+
+    try {
+      if (photos.length > 0) {
+        const form = new FormData();
+        form.append("model", OPENAI_IMAGE_MODEL);
+        form.append("prompt", prompt);
+        form.append("size", OPENAI_IMAGE_SIZE);
+        form.append("n", "1");
+        photos.forEach((p, index) => {
+          const extension = p.mimeType.split("/")[1];
+          form.append("image[]", new File([Buffer.from(p.data, "base64")], `reference-${index + 1}.${extension}`, { type: p.mimeType }));
+        });
+        response = await fetch("https://api.openai.com/v1/images/edits", { method: "POST", headers, body: form });
+      } else {
+        response = await fetch("https://api.openai.com/v1/images/generations", {
+          method: "POST",
+          headers: { ...headers, "Content-Type": "application/json" },
+          body: JSON.stringify({ model: OPENAI_IMAGE_MODEL, prompt, size: OPENAI_IMAGE_SIZE, n: 1 }),
+        });
+      }
+    } catch (err) {
+      throw upstreamError(`OpenAI request failed: ${err?.message || err}`);
+    }
+
+    const data = await response.json().catch(() => ({}));
+
+    // Content policy rejections come back as 400 and are not retried
+    if (!response.ok || data.error) {
+      throw upstreamError(data?.error?.message || `Generation failed with status ${response.status}`, {
+        status: response.status,
+        retryAfter: response.headers.get("retry-after"),
+      });
+    }
+
+    const image = data?.data?.[0];
+    if (image?.b64_json) {
+      return { dataUrl: `data:image/png;base64,${image.b64_json}`, finishReason: null };
+    }
+    throw upstreamError("No image found in response", { retryable: true });
+  },
+};
@@ -0,0 +1,421 @@
+const crypto = require("crypto");
+const os = require("os");
+const { admin, db, bucket } = require("./firebase");
+const { MIME_TYPES, sniffImageFormat, decodeBase64Photo } = require("./imagePipeline");
+const {
+  resolveImageProvider,
+  runStyleGeneration,
+  runAutoGeneration,
+  recordGenerationFailure,
+} = require("./generation");
+
+const JOB_TYPES = ["style", "auto"];
+
+// A running job whose lease has expired is considered abandoned (crash, restart).
+// The worker renews it while the job runs, every write extends it too.
+const LEASE_MS = 10 * 60 * 1000;
+const LEASE_RENEW_MS = 2 * 60 * 1000;
+const MAX_JOB_ATTEMPTS = 2;
+const POLL_INTERVAL_MS = Number(process.env.JOBS_POLL_INTERVAL_MS) || 5000;
+const STALE_CHECK_INTERVAL_MS = 60 * 1000;
+
+// Server-Sent Events: keep-alive comments stop proxies from closing an idle stream,
+// the retry field tells the browser how soon to reconnect
+const SSE_HEARTBEAT_MS = 15 * 1000;
+const SSE_RETRY_MS = 3000;
+const FINISHED_STATUSES = ["succeeded", "failed"];
+
+const FieldValue = admin.firestore.FieldValue;
+
+// Input photos are kept in Storage, Firestore documents are limited to 1 MB
+const jobInputPrefix = (email, jobId) => `jobs/${email}/${jobId}/`;
+
+/**
+ * Field update appending an event to the job's log, replayed by streamJobEvents.
+ * Only the worker holding the job writes events, so a local counter gives the sequence numbers.
+ */
+const jobEvent = (seq, type, data = {}) => ({
+  events: FieldValue.arrayUnion({ seq, type, data, at: new Date().toISOString() }),
+});
+
+/**
+ * Public view of a job document
+ */
+const toJob = (doc) => {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    type: data.type,
+    status: data.status,
+    progress: data.progress,
+    results: [...(data.results || [])].sort((a, b) => a.index - b.index),
+    errors: data.errors || [],
+    prompt: data.prompt || null,
+    imageIds: data.image_ids || [],
+    error: data.error || null,
+    workspaceId: data.workspaceId || null,
+    created_at: data.created_at?.toDate?.() || null,
+    started_at: data.started_at?.toDate?.() || null,
+    finished_at: data.finished_at?.toDate?.() || null,
+  };
+};
+
+/**
+ * Queue a generation job. Photos (base64 or Buffer JPEG/PNG/WebP, or files from photoUpload) are stored in Storage first,
+ * 415 for any other format. Pass req.photos (see referencePhotoInput): a { path } entry is uploaded as is,
+ * so it must come from req.uploads, never from the request body.
+ * @param {{ email: string, type: "style" | "auto", params: object, photos: (string | Buffer | { path: string, format: string })[], workspaceId?: string }} job
+ *   params holds the other request fields (style, numberOfImages, postText, provider)
+ * @returns {Promise<object>} the queued job
+ */
+const createJob = async ({ email, type, params, photos, workspaceId = null }) => {
+  const jobRef = db.collection("jobs").doc();
+  const prefix = jobInputPrefix(email, jobRef.id);
+
+  // Check every photo before storing any of them. Uploaded files were already checked by photoUpload.
+  const sources = photos.map((photo) => (photo?.path || Buffer.isBuffer(photo) ? photo : decodeBase64Photo(photo)));
+  const formats = sources.map((source) => (source.path ? source.format : sniffImageFormat(source)));
+  const invalid = formats.indexOf(null);
+  if (invalid !== -1) {
+    const error = new Error(`Photo ${invalid + 1} is not a JPEG, PNG or WebP image.`);
+    error.status = 415;
+    throw error;
+  }
+
+  const inputPaths = [];
+  for (let i = 0; i < sources.length; i++) {
+    const filePath = `${prefix}photo-${i + 1}.${formats[i]}`;
+    const metadata = { contentType: MIME_TYPES[formats[i]] };
+    if (sources[i].path) {
+      await bucket.upload(sources[i].path, { destination: filePath, metadata });
+    } else {
+      await bucket.file(filePath).save(sources[i], { metadata });
+    }
+    inputPaths.push(filePath);
+  }
+
+  const now = new Date();
+  await jobRef.set({
+    email,
+    type,
+    params,
+    workspaceId,
+    input_paths: inputPaths,
+    status: "queued",
+    progress: { done: 0, total: 0 },
+    results: [],
+    errors: [],
+    events: [],
+    attempts: 0,
+    created_at: now,
+    updated_at: now,
+  });
+
+  return toJob(await jobRef.get());
+};
+
+/**
+ * Take the oldest queued job, marking it running under a lease
+ * @returns {Promise<object | null>} job data with its ref, null when the queue is empty
+ */
+const claimNextJob = (workerId) =>
+  db.runTransaction(async (tx) => {
+    const snapshot = await tx.get(
+      db.collection("jobs").where("status", "==", "queued").orderBy("created_at").limit(1)
+    );
+    if (snapshot.empty) return null;
+
+    const doc = snapshot.docs[0];
+    const now = new Date();
+    tx.update(doc.ref, {
+      status: "running",
+      worker: workerId,
+      attempts: FieldValue.increment(1),
+      started_at: now,
+      updated_at: now,
+      lease_expires_at: new Date(now.getTime() + LEASE_MS),
+      // A re-claimed job starts over
+      progress: { done: 0, total: 0 },
+      results: [],
+      errors: [],
+    });
+    return { id: doc.id, ref: doc.ref, ...doc.data() };
+  });
+
+/**
+ * Put abandoned running jobs back in the queue, or fail them after MAX_JOB_ATTEMPTS
+ * @returns {Promise<number>} number of jobs recovered
+ */
+const requeueStaleJobs = async () => {
+  const snapshot = await db
+    .collection("jobs")
+    .where("status", "==", "running")
+    .where("lease_expires_at", "<", new Date())
+    .get();
+
+  let recovered = 0;
+  for (const doc of snapshot.docs) {
+    // Read again in a transaction: the worker may have renewed the lease since the query
+    const outcome = await db.runTransaction(async (tx) => {
+      const data = (await tx.get(doc.ref)).data();
+      if (data?.status !== "running" || data.lease_expires_at?.toDate?.() >= new Date()) return null;
+
+      const exhausted = (data.attempts || 0) >= MAX_JOB_ATTEMPTS;
+      const error = "The job was interrupted too many times.";
+      tx.update(
+        doc.ref,
+        exhausted
+          ? {
+              status: "failed",
+              error,
+              finished_at: new Date(),
+              ...jobEvent((data.events || []).length + 1, "done", { status: "failed", error }),
+            }
+          : { status: "queued", updated_at: new Date() }
+      );
+      return exhausted ? "marked failed" : "requeued";
+    });
+    if (!outcome) continue;
+    recovered += 1;
+    console.warn(`⚠️ Job ${doc.id} was abandoned by its worker, ${outcome}`);
+  }
+  return recovered;
+};
+
+const deleteJobInputs = async (job) => {
+  for (const filePath of job.input_paths || []) {
+    await bucket.file(filePath).delete({ ignoreNotFound: true });
+  }
+};
+
+/**
+ * Run a claimed job to completion, writing progress and each image to the job document.
+ * Every write checks the job is still held by this worker: once it was requeued (expired lease),
+ * the worker stops without writing anything more and leaves the input photos to the next attempt.
+ * @param {object} job from claimNextJob
+ * @param {string} workerId the worker that claimed it
+ */
+const processJob = async (job, workerId) => {
+  let leaseLost = false;
+  const write = (fields) =>
+    db.runTransaction(async (tx) => {
+      const current = (await tx.get(job.ref)).data();
+      if (current?.status !== "running" || current.worker !== workerId) {
+        leaseLost = true;
+        // A status makes runAutoGeneration rethrow it as is instead of trying fewer images
+        const error = new Error(`Job ${job.id} is no longer held by worker ${workerId}`);
+        error.status = 409;
+        throw error;
+      }
+      const now = new Date();
+      tx.update(job.ref, { ...fields, updated_at: now, lease_expires_at: new Date(now.getTime() + LEASE_MS) });
+    });
+
+  // Writes are chained so events land in seq order, even when images are generated in parallel
+  let writes = Promise.resolve();
+  const update = (fields) => {
+    const next = () => write(fields);
+    const result = writes.then(next, next);
+    writes = result.catch(() => {});
+    return result;
+  };
+  // Keeps the lease while a step writes nothing for long (LLM call, slow image model)
+  const heartbeat = setInterval(() => update({}).catch(() => {}), LEASE_RENEW_MS);
+  heartbeat.unref();
+  // A requeued job keeps the events of its previous attempt, numbering continues after them
+  let seq = (job.events || []).length;
+  const event = (type, data) => jobEvent(++seq, type, data);
+
+  try {
+    await update(event("started", { attempt: (job.attempts || 0) + 1 }));
+
+    const photos = [];
+    for (const filePath of job.input_paths || []) {
+      const [buffer] = await bucket.file(filePath).download();
+      photos.push(buffer);
+    }
+
+    const params = {
+      ...job.params,
+      email: job.email,
+      photos,
+      provider: resolveImageProvider(job.params.provider),
+      metadata: job.workspaceId ? { workspaceId: job.workspaceId } : {},
+      provenance: { jobId: job.id, jobAttempt: (job.attempts || 0) + 1 },
+    };
+    const hooks = {
+      onStart: ({ total, prompt }) =>
+        update({ prompt, "progress.total": FieldValue.increment(total), ...event("prompt", { prompt, total }) }),
+      onImageStart: (index, total) => update(event("image-started", { index, total })),
+      onImage: (index, url, { originalUrl }) =>
+        update({
+          results: FieldValue.arrayUnion({ index, url, originalUrl }),
+          "progress.done": FieldValue.increment(1),
+          ...event("image-uploaded", { index, url, originalUrl }),
+        }),
+      onImageError: (index, error) => {
+        const message = error?.message || String(error);
+        return update({
+          errors: FieldValue.arrayUnion({ index, message }),
+          "progress.done": FieldValue.increment(1),
+          ...event("image-failed", { index, message }),
+        });
+      },
+    };
+
+    const result =
+      job.type === "auto" ? await runAutoGeneration(params, hooks) : await runStyleGeneration(params, hooks);
+
+    await update({
+      status: "succeeded",
+      prompt: result.prompt,
+      optimizedPrompt: result.optimizedPrompt || null,
+      image_ids: result.imageIds,
+      finished_at: new Date(),
+      ...event("done", { status: "succeeded", imageUrls: result.imageUrls, imageIds: result.imageIds }),
+    });
+    console.log(`✅ Job ${job.id} succeeded with ${result.imageUrls.length} image(s)`);
+  } catch (error) {
+    if (leaseLost) {
+      console.warn(`⚠️ Job ${job.id} was requeued while ${workerId} was running it, stopping`);
+      return;
+    }
+    console.error(`❌ Job ${job.id} failed:`, error?.message || error);
+    const message = error?.message || String(error);
+    await update({
+      status: "failed",
+      error: message,
+      finished_at: new Date(),
+      ...event("done", { status: "failed", error: message }),
+    });
+    if (!error.status) {
+      await recordGenerationFailure(job.email, {
+        route: "/jobs",
+        jobId: job.id,
+        stage: "error",
+        error: error?.message || String(error),
+      });
+    }
+  } finally {
+    clearInterval(heartbeat);
+    try {
+      // The attempt that holds the job now needs them
+      if (!leaseLost) await deleteJobInputs(job);
+    } catch (err) {
+      console.error(`Job ${job.id}: could not delete input photos:`, err?.message || err);
+    }
+  }
+};
+
+/**
+ * Send the events of a job as a Server-Sent Events stream, starting after lastEventId
+ * (Last-Event-ID of a reconnecting client) and following the job until it is finished.
+ * @param {FirebaseFirestore.DocumentReference} jobRef
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {number} [lastEventId]
+ */
+const streamJobEvents = (jobRef, req, res, lastEventId = 0) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+  let lastSent = lastEventId;
+  let unsubscribe = null;
+  let closed = false;
+
+  const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), SSE_HEARTBEAT_MS);
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+    res.end();
+  };
+  req.on("close", close);
+
+  unsubscribe = jobRef.onSnapshot(
+    (doc) => {
+      if (closed) return;
+      const data = doc.data() || {};
+      const pending = (data.events || []).filter((e) => e.seq > lastSent).sort((a, b) => a.seq - b.seq);
+      for (const e of pending) {
+        res.write(`id: ${e.seq}\nevent: ${e.type}\ndata: ${JSON.stringify({ ...e.data, at: e.at })}\n\n`);
+        lastSent = e.seq;
+      }
+      if (!doc.exists || FINISHED_STATUSES.includes(data.status)) close();
+    },
+    (err) => {
+      console.error(`Job ${jobRef.id}: event stream error:`, err?.message || err);
+      close();
+    }
+  );
+  if (closed) unsubscribe();
+};
+
+/**
+ * Poll the queue and process jobs one at a time until stopped.
+ * Used in-process by server.js and standalone by scripts/worker.js.
+ * @returns {{ wake: () => void, stop: () => Promise<void> }}
+ */
+const startWorker = ({ pollIntervalMs = POLL_INTERVAL_MS } = {}) => {
+  const workerId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString("hex")}`;
+  let running = true;
+  let wakeUp = null;
+  let lastStaleCheck = 0;
+
+  const idle = () =>
+    new Promise((resolve) => {
+      const timer = setTimeout(resolve, pollIntervalMs);
+      wakeUp = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+
+  const loop = async () => {
+    console.log(`🔍 Job worker ${workerId} started`);
+    while (running) {
+      try {
+        if (Date.now() - lastStaleCheck > STALE_CHECK_INTERVAL_MS) {
+          lastStaleCheck = Date.now();
+          await requeueStaleJobs();
+        }
+
+        const job = await claimNextJob(workerId);
+        if (job) {
+          console.log(`🔍 Job ${job.id} (${job.type}) claimed by ${workerId}`);
+          await processJob(job, workerId);
+          continue;
+        }
+      } catch (err) {
+        console.error("Job worker error:", err?.message || err);
+      }
+      if (running) await idle();
+    }
+    console.log(`Job worker ${workerId} stopped`);
+  };
+
+  const done = loop();
+
+  return {
+    wake: () => wakeUp && wakeUp(),
+    stop: async () => {
+      running = false;
+      if (wakeUp) wakeUp();
+      await done;
+    },
+  };
+};
+
+module.exports = {
+  JOB_TYPES,
+  toJob,
+  createJob,
+  streamJobEvents,
+  startWorker,
+};
@@ -0,0 +1,185 @@
+const { db } = require("./firebase");
+const { getPromptTemplate } = require("./prompts");
+const { createRetryPolicy, upstreamError, withRetry } = require("./retry");
+
+const fetch = (...args) => import("node-fetch").then(({ default: fetchFn }) => fetchFn(...args));
+
+// Any OpenAI-compatible chat completions server (OpenAI, vLLM, Ollama, LM Studio...)
+const LLM_BASE_URL = (process.env.LLM_BASE_URL || "https://api.openai.com/v1").replace(/\/+$/, "");
+const LLM_API_KEY = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || "";
+const LLM_MODEL = process.env.LLM_MODEL || process.env.OPENAI_MODEL || "gpt-4o-mini";
+const LLM_VISION_MODEL = process.env.LLM_VISION_MODEL || LLM_MODEL;
+const LLM_TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS) || 30000;
+
+// Only timeouts, network failures, 408, 429 and 5xx answers are retried (error.retryable, see lib/retry.js)
+const LLM_RETRY_POLICY = createRetryPolicy(
+  { maxAttempts: 3, baseDelayMs: 2000, maxDelayMs: 10000 },
+  {
+    maxAttempts: Number(process.env.LLM_RETRY_MAX_ATTEMPTS) || undefined,
+    baseDelayMs: Number(process.env.LLM_RETRY_BASE_DELAY_MS) || undefined,
+  }
+);
+
+/**
+ * HTTP backend for OpenAI-compatible /chat/completions endpoints
+ */
+const createHttpBackend = () => ({
+  name: "http",
+  isConfigured: () => Boolean(LLM_API_KEY || process.env.LLM_BASE_URL),
+
+  complete: async ({ model, messages, temperature, maxTokens }) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), LLM_TIMEOUT_MS);
+
+    let response;
+    try {
+      response = await fetch(`${LLM_BASE_URL}/chat/completions`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(LLM_API_KEY ? { Authorization: `Bearer ${LLM_API_KEY}` } : {}),
+        },
+        body: JSON.stringify({
+          model,
+          messages,
+          ...(temperature !== undefined ? { temperature } : {}),
+          ...(maxTokens ? { max_tokens: maxTokens } : {}),
+        }),
+        signal: controller.signal,
+      });
+    } catch (err) {
+      // No status: classified as a network failure, retryable
+      throw upstreamError(
+        err?.name === "AbortError" ? `LLM request timed out after ${LLM_TIMEOUT_MS}ms` : err?.message || String(err)
+      );
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.error) {
+      throw upstreamError(data?.error?.message || `LLM request failed with status ${response.status}`, {
+        status: response.status,
+        retryAfter: response.headers.get("retry-after"),
+      });
+    }
+
+    return {
+      text: data?.choices?.[0]?.message?.content || "",
+      model: data.model || model,
+      usage: {
+        prompt_tokens: data?.usage?.prompt_tokens || 0,
+        completion_tokens: data?.usage?.completion_tokens || 0,
+        total_tokens: data?.usage?.total_tokens || 0,
+      },
+    };
+  },
+});
+
+// Rough token estimate for the mock, about four characters per token
+const estimateTokens = (value) => Math.ceil(JSON.stringify(value).length / 4);
+
+/**
+ * Scripted mock backend, no network. Each call consumes the next scripted reply
+ * (a string, or a function receiving the request); once the script is exhausted,
+ * the template's own mockResponse is used.
+ * @param {Array<string | ((request: object) => string)>} [script]
+ */
+const createMockBackend = (script = []) => {
+  const queue = [...script];
+
+  return {
+    name: "mock",
+    isConfigured: () => true,
+    calls: [],
+
+    complete: async function complete(request) {
+      this.calls.push(request);
+      const next = queue.shift();
+      const text =
+        typeof next === "function" ? next(request) : next ?? request.template.mockResponse(request.variables);
+      const usage = { prompt_tokens: estimateTokens(request.messages), completion_tokens: estimateTokens(text) };
+      usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+      return { text, model: `mock-${request.model}`, usage };
+    },
+  };
+};
+
+let backend = process.env.LLM_BACKEND === "mock" ? createMockBackend() : createHttpBackend();
+
+/**
+ * Replace the active backend (e.g. a scripted mock in tests)
+ */
+const setLlmBackend = (customBackend) => {
+  backend = customBackend;
+};
+
+const isLlmConfigured = () => backend.isConfigured();
+
+/**
+ * Keep token usage per user and template. Never throws.
+ */
+const recordUsage = async (email, templateId, result) => {
+  try {
+    await db.collection("llm_usage").add({
+      email: email || null,
+      template: templateId,
+      model: result.model,
+      ...result.usage,
+      created_at: new Date(),
+    });
+  } catch (err) {
+    console.error("LLM usage record error:", err?.message || err);
+  }
+};
+
+/**
+ * Run a prompt template and return the model's text answer.
+ * Network errors, timeouts, 408, 429 and 5xx are retried with backoff, up to LLM_RETRY_POLICY.maxAttempts
+ * attempts in all (3 by default).
+ * @param {string} templateName
+ * @param {object} variables template variables
+ * @param {{ email?: string, version?: number }} [options] email is used for usage tracking
+ * @returns {Promise<{ text: string, model: string, template: string, usage: object }>}
+ */
+const complete = async (templateName, variables, { email, version } = {}) => {
+  const template = getPromptTemplate(templateName, version);
+  const templateId = `${template.name}.v${template.version}`;
+  const request = {
+    template,
+    variables,
+    model: template.vision ? LLM_VISION_MODEL : LLM_MODEL,
+    messages: template.buildMessages(variables),
+    temperature: template.temperature,
+    maxTokens: template.maxTokens,
+  };
+
+  const result = await withRetry(() => backend.complete(request), LLM_RETRY_POLICY, { label: `LLM ${templateId}` });
+  console.log(
+    `🔍 LLM ${templateId} (${result.model}): ${result.usage.prompt_tokens} prompt + ${result.usage.completion_tokens} completion tokens`
+  );
+  await recordUsage(email, templateId, result);
+  return { ...result, template: templateId };
+};
+
+/**
+ * Extract the first JSON object ("object") or array ("array") from a model answer,
+ * even when the model wrapped it in text. Throws if nothing parses.
+ */
+const extractJson = (text, kind = "object") => {
+  let jsonText = (text || "").trim();
+  const jsonMatch = jsonText.match(kind === "array" ? /\[[\s\S]*\]/ : /\{[\s\S]*\}/);
+  if (jsonMatch) {
+    jsonText = jsonMatch[0];
+  }
+  return JSON.parse(jsonText);
+};
+
+module.exports = {
+  complete,
+  extractJson,
+  isLlmConfigured,
+  setLlmBackend,
+  createHttpBackend,
+  createMockBackend,
+};
@@ -0,0 +1,96 @@
+const { db } = require("./firebase");
+
+// Progressive lockout: the 5th consecutive failure locks for 1 minute, each further one doubles it
+const LOCKOUT_THRESHOLD = 5;
+const BASE_LOCKOUT_MS = 60 * 1000;
+const MAX_LOCKOUT_MS = 60 * 60 * 1000;
+// Failures are only counted as consecutive when less than this apart; a quiet hour starts over
+const FAILURE_WINDOW_MS = MAX_LOCKOUT_MS;
+
+// Keyed by the submitted email, whether the account exists or not, so lockouts do not reveal accounts
+const lockoutRef = (email) => db.collection("login_lockouts").doc(String(email).toLowerCase());
+
+const toDate = (value) => (value ? value.toDate?.() || new Date(value) : null);
+
+/**
+ * @returns {Promise<Date|null>} unlock time if the account is currently locked
+ */
+const getLockedUntil = async (email) => {
+  const doc = await lockoutRef(email).get();
+  if (!doc.exists) return null;
+
+  const lockedUntil = toDate(doc.data().locked_until);
+  return lockedUntil && lockedUntil > new Date() ? lockedUntil : null;
+};
+
+/**
+ * Record a failed login and lock the account once the threshold is reached.
+ * @returns {Promise<Date|null>} unlock time if this failure triggered a lock
+ */
+const registerFailedLogin = (email, ip) =>
+  db.runTransaction(async (tx) => {
+    const ref = lockoutRef(email);
+    const doc = await tx.get(ref);
+    const previous = doc.exists ? doc.data() : {};
+    const now = new Date();
+    const lastFailedAt = toDate(previous.last_failed_at);
+    const recent = lastFailedAt && now - lastFailedAt < FAILURE_WINDOW_MS;
+    const failedAttempts = (recent ? previous.failed_attempts || 0 : 0) + 1;
+
+    let lockedUntil = null;
+    if (failedAttempts >= LOCKOUT_THRESHOLD) {
+      const duration = Math.min(BASE_LOCKOUT_MS * 2 ** (failedAttempts - LOCKOUT_THRESHOLD), MAX_LOCKOUT_MS);
+      lockedUntil = new Date(now.getTime() + duration);
+    }
+
+    tx.set(
+      ref,
+      {
+        email: String(email).toLowerCase(),
+        failed_attempts: failedAttempts,
+        last_failed_at: now,
+        last_ip: ip || "",
+        locked_until: lockedUntil,
+      },
+      { merge: true }
+    );
+
+    return lockedUntil;
+  });
+
+/**
+ * Clear the failure counter (successful login, admin unlock, password reset)
+ */
+const clearLockout = async (email) => {
+  await lockoutRef(email).delete();
+};
+
+/**
+ * Currently locked accounts, most recent first (admin view)
+ */
+const listLockouts = async (limit = 100) => {
+  const snapshot = await db
+    .collection("login_lockouts")
+    .where("locked_until", ">", new Date())
+    .orderBy("locked_until", "desc")
+    .limit(limit)
+    .get();
+
+  return snapshot.docs.map((doc) => {
+    const data = doc.data();
+    return {
+      email: data.email,
+      failedAttempts: data.failed_attempts || 0,
+      lastFailedAt: toDate(data.last_failed_at),
+      lastIp: data.last_ip || "",
+      lockedUntil: toDate(data.locked_until),
+    };
+  });
+};
+
+module.exports = {
+  getLockedUntil,
+  registerFailedLogin,
+  clearLockout,
+  listLockouts,
+};
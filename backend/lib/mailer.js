@@ -0,0 +1,98 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const nodemailer = require("nodemailer");
+
+const DEFAULT_FROM = process.env.MAIL_FROM || "Lyter <no-reply@lyter.ai>";
+
+/**
+ * SMTP transport - works with a real provider or a local stand-in (MailHog, Mailpit, smtp4dev...)
+ */
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || "localhost",
+    port: Number(process.env.SMTP_PORT) || 1025,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: (message) => transporter.sendMail(message),
+  };
+};
+
+/**
+ * File outbox transport - writes every mail as an .eml file so it can be opened locally
+ * @param {string} outboxDir directory where .eml files are written
+ */
+const createFileTransport = (outboxDir) => {
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    name: "file",
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+      const fileName = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.eml`;
+      const filePath = path.join(outboxDir, fileName);
+      await fs.promises.writeFile(filePath, info.message);
+      console.log(`📧 Mail to ${message.to} written to ${filePath}`);
+      return info;
+    },
+  };
+};
+
+/**
+ * Console transport - default when nothing is configured, only logs the mail
+ */
+const createConsoleTransport = () => ({
+  name: "console",
+  send: async (message) => {
+    console.log(`📧 Mail to ${message.to} | ${message.subject}\n${message.text}`);
+    return { messageId: null };
+  },
+});
+
+/**
+ * Build a transport from MAIL_TRANSPORT ("smtp" | "file" | "console")
+ */
+const createTransportFromEnv = () => {
+  switch (process.env.MAIL_TRANSPORT) {
+    case "smtp":
+      return createSmtpTransport();
+    case "file":
+      return createFileTransport(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "..", "outbox"));
+    default:
+      return createConsoleTransport();
+  }
+};
+
+let transport = null;
+
+/**
+ * Replace the active transport (e.g. an in-memory one in tests)
+ * @param {{ name: string, send: (message: object) => Promise<any> }} customTransport
+ */
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Send an email through the active transport
+ * @param {{ to: string, subject: string, text: string, html?: string }} message
+ */
+const sendMail = async (message) => {
+  if (!transport) {
+    transport = createTransportFromEnv();
+  }
+  return transport.send({ from: DEFAULT_FROM, ...message });
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+};
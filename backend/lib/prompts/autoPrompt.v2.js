@@ -0,0 +1,15 @@
+// /generate-auto: same LLM messages as v1; the image requirements take their aspect ratio
+// from the selected format instead of always asking for 1:1 or 4:5
+const v1 = require("./autoPrompt.v1");
+
+module.exports = {
+  ...v1,
+  version: 2,
+
+  // Appended to the optimized prompt before it is sent to the image model
+  imageRequirements: (format) =>
+    `Requirements: single person only (no other humans), be faithful to the original face (preserve the same eyes, face shape, hair style/color/length, and skin tone from the reference selfies), keep the SAME clothing style/colors/formality as selfies (no costumes/suits if not in selfies), photorealistic and faithful to the original face, sharp focus, professional lighting, aspect ratio ${format ? format.aspect : "1:1 or 4:5"}, no watermarks.`,
+
+  mockResponse: ({ postText }) =>
+    `Photorealistic portrait of the user, be faithful to the original face, same clothing style as the selfies, setting matching this post: ${postText.replace(/\s+/g, " ").slice(0, 120)}. Soft professional lighting.`,
+};
@@ -0,0 +1,65 @@
+// /tag/batch: describes one image and returns specific tags and context as JSON
+module.exports = {
+  name: "imageTags",
+  version: 1,
+  vision: true,
+  temperature: 0.8, // Plus de créativité pour des tags variés
+  maxTokens: 500,
+
+  buildMessages: ({ imageDataUrl }) => [
+    {
+      role: "user",
+      content: [
+        {
+          type: "text",
+          text: `Analyse cette image en DÉTAIL et génère des tags SPÉCIFIQUES et UNIQUES basés sur le contenu réel de l'image. 
+
+INSTRUCTIONS:
+1. Décris précisément ce que tu vois dans l'image (personne, objet, lieu, action, style, couleurs, ambiance)
+2. Génère 5-10 tags SPÉCIFIQUES et VARIÉS (pas génériques) basés sur:
+   - Le contenu principal (visage, bureau, produit, événement, nature, etc.)
+   - Le style (formel, casual, créatif, professionnel, décontracté, etc.)
+   - Le contexte (bureau, extérieur, studio, café, événement, etc.)
+   - L'ambiance (sérieux, joyeux, inspirant, technique, etc.)
+   - Les détails visuels (couleurs dominantes, éclairage, composition)
+3. Chaque image doit avoir des tags DIFFÉRENTS selon son contenu réel
+4. Évite les tags génériques comme "image" ou "photo"
+
+Exemples de tags spécifiques: "visage_souriant", "bureau_moderne", "événement_networking", "portrait_professionnel", "selfie_casual", "produit_tech", "équipe_travail", "conférence_scène", "nature_paysage", "café_détente", etc.
+
+Réponds UNIQUEMENT en JSON valide:
+{
+  "tags": ["tag1", "tag2", "tag3", ...],
+  "context": {
+    "location": "indoor/outdoor/studio/événement/etc",
+    "formality": "formel/casual/mixte",
+    "ambiance": "description précise de l'ambiance",
+    "action": "description de l'action ou pose",
+    "hasFace": true/false,
+    "mainSubject": "description du sujet principal"
+  }
+}`,
+        },
+        {
+          type: "image_url",
+          image_url: {
+            url: imageDataUrl,
+          },
+        },
+      ],
+    },
+  ],
+
+  mockResponse: () =>
+    JSON.stringify({
+      tags: ["visage", "portrait_professionnel", "bureau_moderne", "éclairage_naturel", "ambiance_sérieuse"],
+      context: {
+        location: "indoor",
+        formality: "formel",
+        ambiance: "bureau lumineux et calme",
+        action: "pose face caméra",
+        hasFace: true,
+        mainSubject: "portrait d'une personne",
+      },
+    }),
+};
@@ -0,0 +1,28 @@
+// Versioned prompt templates. A new wording gets a new file (e.g. postAnalysis.v2.js)
+// so stored results keep pointing at the exact template that produced them.
+const TEMPLATES = [
+  require("./autoPrompt.v1"),
+  require("./autoPrompt.v2"),
+  require("./imageTags.v1"),
+  require("./postAnalysis.v1"),
+  require("./selectTags.v1"),
+];
+
+/**
+ * @param {string} name template name
+ * @param {number} [version] defaults to the latest version
+ * @returns {object} template, throws if unknown
+ */
+const getPromptTemplate = (name, version) => {
+  const candidates = TEMPLATES.filter((template) => template.name === name);
+  const template = version
+    ? candidates.find((candidate) => candidate.version === version)
+    : candidates.sort((a, b) => b.version - a.version)[0];
+
+  if (!template) {
+    throw new Error(`Unknown prompt template ${name}${version ? ` v${version}` : ""}`);
+  }
+  return template;
+};
+
+module.exports = { getPromptTemplate };
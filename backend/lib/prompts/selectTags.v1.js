@@ -0,0 +1,20 @@
+// /select: desired image tags of a post when no stored analysis exists, as a JSON list
+module.exports = {
+  name: "selectTags",
+  version: 1,
+  temperature: 0.5,
+  maxTokens: 200,
+
+  buildMessages: ({ postText }) => [
+    {
+      role: "system",
+      content: "Extrais les tags d'images désirés de ce post LinkedIn. Réponds uniquement avec une liste JSON de tags: [\"tag1\", \"tag2\"]",
+    },
+    {
+      role: "user",
+      content: postText,
+    },
+  ],
+
+  mockResponse: () => JSON.stringify(["visage", "portrait", "professionnel"]),
+};
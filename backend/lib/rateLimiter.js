@@ -0,0 +1,184 @@
+const crypto = require("crypto");
+const { sleep } = require("./retry");
+
+/**
+ * In-memory fixed-window store. Per process only: meant for tests and local development.
+ */
+const createMemoryStore = () => {
+  const windows = new Map();
+
+  return {
+    name: "memory",
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+    reset: async (key) => {
+      windows.delete(key);
+    },
+  };
+};
+
+/**
+ * Firestore fixed-window store, shared by every instance (serverless friendly).
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} collectionName
+ */
+const createFirestoreStore = (db, collectionName = "rate_limits") => {
+  // Keys contain IPs and emails: hash them into valid document IDs, keep the raw key readable
+  const docFor = (key) =>
+    db.collection(collectionName).doc(crypto.createHash("sha256").update(key).digest("hex"));
+
+  return {
+    name: "firestore",
+    increment: (key, windowMs) =>
+      db.runTransaction(async (tx) => {
+        const ref = docFor(key);
+        const doc = await tx.get(ref);
+        const now = Date.now();
+        const data = doc.exists ? doc.data() : null;
+        const resetAt = data?.reset_at?.toDate?.() || (data ? new Date(data.reset_at) : null);
+
+        if (!data || resetAt.getTime() <= now) {
+          const fresh = { key, count: 1, reset_at: new Date(now + windowMs) };
+          tx.set(ref, fresh);
+          return { count: 1, resetAt: fresh.reset_at };
+        }
+
+        tx.update(ref, { count: data.count + 1 });
+        return { count: data.count + 1, resetAt };
+      }),
+    reset: async (key) => {
+      await docFor(key).delete();
+    },
+  };
+};
+
+let defaultStore = null;
+
+/**
+ * Swap the store used by every limiter created without an explicit store (tests use the memory store)
+ */
+const setDefaultStore = (store) => {
+  defaultStore = store;
+};
+
+const getDefaultStore = () => {
+  if (!defaultStore) {
+    if (process.env.RATE_LIMIT_STORE === "memory") {
+      defaultStore = createMemoryStore();
+    } else {
+      const { db } = require("./firebase");
+      defaultStore = createFirestoreStore(db);
+    }
+  }
+  return defaultStore;
+};
+
+/**
+ * Express middleware limiting requests per key in a fixed window.
+ * @param {object} options
+ * @param {string} options.name prefix so limiters never share counters
+ * @param {number} options.windowMs
+ * @param {number} options.max requests allowed per window
+ * @param {(req) => string|null} options.keyGenerator return null to skip limiting
+ * @param {object} [options.store] defaults to the shared default store
+ */
+const createRateLimiter = ({ name, windowMs, max, keyGenerator, store }) => async (req, res, next) => {
+  const rawKey = keyGenerator(req);
+  if (!rawKey) return next();
+
+  try {
+    const { count, resetAt } = await (store || getDefaultStore()).increment(`${name}:${rawKey}`, windowMs);
+
+    if (count > max) {
+      const retryAfter = Math.max(Math.ceil((resetAt.getTime() - Date.now()) / 1000), 1);
+      res.set("Retry-After", String(retryAfter));
+      return res
+        .status(429)
+        .json({ success: false, message: "Too many attempts. Please try again later.", retryAfter });
+    }
+  } catch (err) {
+    // Never lock everybody out because the store is unavailable
+    console.error(`Rate limiter "${name}" error:`, err?.message || err);
+  }
+
+  next();
+};
+
+/**
+ * Limit outgoing calls to an external API, shared by every request of the process:
+ * at most maxConcurrent calls in flight here, and at most ratePerMinute calls started per minute,
+ * counted in the store (with the Firestore store, the budget is shared by every instance).
+ * @param {object} options
+ * @param {string} options.name prefix of the store counter
+ * @param {number} options.maxConcurrent
+ * @param {number} [options.ratePerMinute] 0 or unset: no rate limit
+ * @param {object} [options.store] defaults to the shared default store
+ * @returns {{ run: (fn: () => Promise<any>) => Promise<any>, stats: () => { active: number, waiting: number } }}
+ */
+const createCallLimiter = ({ name, maxConcurrent, ratePerMinute = 0, store }) => {
+  let active = 0;
+  const waiting = [];
+
+  const acquireSlot = () => {
+    if (active < maxConcurrent) {
+      active += 1;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => waiting.push(resolve));
+  };
+
+  // The slot goes straight to the next caller in line, active stays the same
+  const releaseSlot = () => {
+    const next = waiting.shift();
+    if (next) next();
+    else active -= 1;
+  };
+
+  const acquireRate = async () => {
+    if (!ratePerMinute) return;
+    for (;;) {
+      let window;
+      try {
+        window = await (store || getDefaultStore()).increment(`calls:${name}`, 60 * 1000);
+      } catch (err) {
+        // Same as createRateLimiter: an unavailable store must not block generation
+        console.error(`Call limiter "${name}" error:`, err?.message || err);
+        return;
+      }
+      if (window.count <= ratePerMinute) return;
+
+      const waitMs = Math.max(window.resetAt.getTime() - Date.now(), 100);
+      console.log(`⏳ ${name}: ${ratePerMinute} calls/minute reached, waiting ${(waitMs / 1000).toFixed(1)} seconds...`);
+      await sleep(waitMs);
+    }
+  };
+
+  return {
+    run: async (fn) => {
+      await acquireSlot();
+      try {
+        await acquireRate();
+        return await fn();
+      } finally {
+        releaseSlot();
+      }
+    },
+    stats: () => ({ active, waiting: waiting.length }),
+  };
+};
+
+module.exports = {
+  createMemoryStore,
+  createFirestoreStore,
+  setDefaultStore,
+  createRateLimiter,
+  createCallLimiter,
+};
@@ -0,0 +1,183 @@
+const { db, bucket } = require("./firebase");
+const { MAX_PHOTO_FILES } = require("./uploads");
+
+// "My reference photos": selfies kept between generations.
+// Files are private (references/<email>/), the frontend gets short-lived signed URLs.
+const MAX_REFERENCE_PHOTOS = 30;
+const MAX_LABEL_LENGTH = 60;
+const SIGNED_URL_TTL_MS = 60 * 60 * 1000;
+
+const referenceError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const toReferencePhoto = async (doc) => {
+  const data = doc.data();
+  const [url] = await bucket
+    .file(data.storage_path)
+    .getSignedUrl({ action: "read", expires: Date.now() + SIGNED_URL_TTL_MS });
+  return {
+    id: doc.id,
+    label: data.label || "",
+    isDefault: Boolean(data.is_default),
+    mimeType: data.mime_type,
+    size: data.size,
+    url,
+    created_at: data.created_at?.toDate?.() || null,
+  };
+};
+
+const countReferencePhotos = async (email) => {
+  const snapshot = await db.collection("reference_photos").where("email", "==", email).count().get();
+  return snapshot.data().count;
+};
+
+/**
+ * Store uploaded photos (entries from photoUpload) in the user's library
+ * @returns {Promise<object[]>} the new reference photos
+ */
+const addReferencePhotos = async (email, files, { label = "" } = {}) => {
+  const existing = await countReferencePhotos(email);
+  if (existing + files.length > MAX_REFERENCE_PHOTOS) {
+    throw referenceError(409, `Your library is limited to ${MAX_REFERENCE_PHOTOS} reference photos.`);
+  }
+
+  const created = [];
+  for (const file of files) {
+    const docRef = db.collection("reference_photos").doc();
+    const storagePath = `references/${email}/${docRef.id}.${file.format}`;
+    await bucket.upload(file.path, { destination: storagePath, metadata: { contentType: file.mimeType } });
+    await docRef.set({
+      email,
+      label: label.slice(0, MAX_LABEL_LENGTH),
+      is_default: false,
+      storage_path: storagePath,
+      mime_type: file.mimeType,
+      size: file.size,
+      created_at: new Date(),
+    });
+    created.push(await toReferencePhoto(await docRef.get()));
+  }
+  return created;
+};
+
+const listReferencePhotos = async (email) => {
+  const snapshot = await db.collection("reference_photos").where("email", "==", email).get();
+  const photos = await Promise.all(snapshot.docs.map(toReferencePhoto));
+  return photos.sort((a, b) => (b.created_at || 0) - (a.created_at || 0));
+};
+
+const getOwnedReferencePhoto = async (email, photoId) => {
+  if (!photoId || String(photoId).includes("/")) return null;
+  const doc = await db.collection("reference_photos").doc(String(photoId)).get();
+  return doc.exists && doc.data().email === email ? doc : null;
+};
+
+/**
+ * Rename a reference photo or mark it as default (defaults are used when a generation sends no photos)
+ * @param {{ label?: string, isDefault?: boolean }} changes
+ * @returns {Promise<object | null>} updated photo, null if not found
+ */
+const updateReferencePhoto = async (email, photoId, { label, isDefault }) => {
+  const doc = await getOwnedReferencePhoto(email, photoId);
+  if (!doc) return null;
+
+  const updates = {};
+  if (label !== undefined) {
+    if (typeof label !== "string" || label.trim().length > MAX_LABEL_LENGTH) {
+      throw referenceError(400, `Label must be ${MAX_LABEL_LENGTH} characters max.`);
+    }
+    updates.label = label.trim();
+  }
+  if (isDefault !== undefined) {
+    updates.is_default = Boolean(isDefault);
+  }
+
+  if (Object.keys(updates).length > 0) {
+    await doc.ref.update({ ...updates, updated_at: new Date() });
+  }
+  return toReferencePhoto(await doc.ref.get());
+};
+
+/**
+ * @returns {Promise<boolean>} false if the photo does not exist or belongs to someone else
+ */
+const deleteReferencePhoto = async (email, photoId) => {
+  const doc = await getOwnedReferencePhoto(email, photoId);
+  if (!doc) return false;
+
+  await bucket.file(doc.data().storage_path).delete({ ignoreNotFound: true });
+  await doc.ref.delete();
+  return true;
+};
+
+/**
+ * Download library photos for a generation, in the order given
+ * @returns {Promise<Buffer[]>} throws 404 if one of them is not in the user's library
+ */
+const loadReferencePhotos = async (email, photoIds) => {
+  const buffers = [];
+  for (const photoId of photoIds) {
+    const doc = await getOwnedReferencePhoto(email, photoId);
+    if (!doc) {
+      throw referenceError(404, `Reference photo ${photoId} not found.`);
+    }
+    const [buffer] = await bucket.file(doc.data().storage_path).download();
+    buffers.push(buffer);
+  }
+  return buffers;
+};
+
+const getDefaultReferencePhotoIds = async (email) => {
+  const snapshot = await db
+    .collection("reference_photos")
+    .where("email", "==", email)
+    .where("is_default", "==", true)
+    .get();
+  return snapshot.docs.map((doc) => doc.id);
+};
+
+// Multipart forms send repeated fields or a comma-separated list, JSON sends an array
+const parsePhotoIds = (value) => {
+  if (Array.isArray(value)) return value.map(String).filter(Boolean);
+  if (typeof value === "string") return value.split(",").map((id) => id.trim()).filter(Boolean);
+  return [];
+};
+
+/**
+ * Middleware for generation routes, after photoUpload: req.photos gets the uploaded files, the base64 photos
+ * of a JSON body and the library photos listed in `referencePhotoIds` (the user's default photos when
+ * the request has no photos at all). Generation reads req.photos, never req.body.photos.
+ */
+const referencePhotoInput = async (req, res, next) => {
+  try {
+    const uploaded = [...(req.uploads?.photos || []), ...(Array.isArray(req.body.photos) ? req.body.photos : [])];
+    let photoIds = parsePhotoIds(req.body.referencePhotoIds);
+    if (photoIds.length === 0 && uploaded.length === 0) {
+      photoIds = await getDefaultReferencePhotoIds(req.user.email);
+    }
+
+    if (uploaded.length + photoIds.length > MAX_PHOTO_FILES) {
+      return res.status(400).json({ success: false, message: `Maximum ${MAX_PHOTO_FILES} photos allowed` });
+    }
+    req.photos = photoIds.length > 0 ? [...uploaded, ...(await loadReferencePhotos(req.user.email, photoIds))] : uploaded;
+    next();
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error("Reference photos load error:", error);
+    res.status(500).json({ success: false, message: "Error loading reference photos." });
+  }
+};
+
+module.exports = {
+  MAX_REFERENCE_PHOTOS,
+  addReferencePhotos,
+  listReferencePhotos,
+  updateReferencePhoto,
+  deleteReferencePhoto,
+  referencePhotoInput,
+};
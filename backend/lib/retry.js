@@ -0,0 +1,105 @@
+// Retries of calls to external models (image providers, LLM): exponential backoff with jitter,
+// Retry-After honored, and only errors flagged `retryable` are tried again.
+
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  // Share of the backoff that is randomized, so parallel callers do not retry in lockstep
+  jitter: 0.5,
+  // A server asking to wait longer than this is treated as a permanent failure
+  maxRetryAfterMs: 60000,
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Merge policy overrides over the defaults, ignoring unset values (e.g. missing env variables)
+ * @param {...object} overrides applied in order
+ * @returns {typeof DEFAULT_RETRY_POLICY}
+ */
+const createRetryPolicy = (...overrides) => {
+  const policy = { ...DEFAULT_RETRY_POLICY };
+  for (const override of overrides) {
+    for (const [key, value] of Object.entries(override || {})) {
+      if (Number.isFinite(value)) policy[key] = value;
+    }
+  }
+  return policy;
+};
+
+/**
+ * Parse a Retry-After header: delay in seconds or HTTP date
+ * @returns {number | null} milliseconds, null when absent or invalid
+ */
+const parseRetryAfter = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+};
+
+// Throttling, timeouts and server errors are transient; other 4xx answers will not change on retry
+const isRetryableStatus = (status) => !status || status === 408 || status === 429 || status >= 500;
+
+/**
+ * Error from an upstream API, classified for withRetry. The HTTP status is kept as upstreamStatus,
+ * never as status (routes answer with error.status).
+ * @param {{ status?: number, retryAfter?: string | null, retryable?: boolean }} [details]
+ *   retryable defaults to the classification of the status (no status: network failure, retryable)
+ */
+const upstreamError = (message, { status, retryAfter = null, retryable } = {}) => {
+  const error = new Error(message);
+  error.upstreamStatus = status || null;
+  error.retryAfterMs = parseRetryAfter(retryAfter);
+  error.retryable = retryable ?? isRetryableStatus(status);
+  return error;
+};
+
+/**
+ * Delay before the next attempt: exponential backoff with jitter, at least what Retry-After asks for
+ */
+const retryDelay = (policy, attempt, error) => {
+  const exponential = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+  const backoff = exponential * (1 - policy.jitter * Math.random());
+  return Math.round(Math.max(backoff, error?.retryAfterMs || 0));
+};
+
+/**
+ * Call fn until it succeeds, the error is not retryable or the attempts are exhausted.
+ * The error finally thrown carries the number of attempts made (error.attempts).
+ * @param {(attempt: number) => Promise<any>} fn receives the attempt number, from 1
+ * @param {object} policy from createRetryPolicy
+ * @param {{ label?: string }} [options] label used in logs
+ */
+const withRetry = async (fn, policy, { label = "Request" } = {}) => {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      const error = err instanceof Error ? err : new Error(String(err));
+      error.attempts = attempt;
+      console.warn(`${label} attempt ${attempt}/${policy.maxAttempts} failed:`, error.message);
+
+      if (!error.retryable || attempt >= policy.maxAttempts) throw error;
+      if (error.retryAfterMs > policy.maxRetryAfterMs) {
+        console.warn(`${label}: server asks to wait ${Math.round(error.retryAfterMs / 1000)}s, giving up`);
+        throw error;
+      }
+
+      const delay = retryDelay(policy, attempt, error);
+      console.log(`Waiting ${(delay / 1000).toFixed(1)} seconds before ${label} attempt ${attempt + 1}...`);
+      await sleep(delay);
+    }
+  }
+};
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  sleep,
+  createRetryPolicy,
+  parseRetryAfter,
+  upstreamError,
+  withRetry,
+};
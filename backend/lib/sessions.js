@@ -0,0 +1,75 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { db } = require("./firebase");
+const { hashToken } = require("./authTokens");
+
+const SECRET_KEY = process.env.SECRET_KEY || "supersecret";
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const signAccessToken = (email, sessionId) =>
+  jwt.sign({ email, sid: sessionId }, SECRET_KEY, { expiresIn: ACCESS_TOKEN_TTL_SECONDS });
+
+/**
+ * @returns {{ email: string, sid: string }} decoded payload, throws if invalid or expired
+ */
+const verifyAccessToken = (token) => jwt.verify(token, SECRET_KEY);
+
+/**
+ * Create a session document and return a fresh access/refresh token pair.
+ * The refresh token is "<sessionId>.<secret>"; only the hash of the secret is stored.
+ */
+const createSession = async (email, req) => {
+  const sessionRef = db.collection("sessions").doc();
+  const secret = crypto.randomBytes(32).toString("hex");
+  const now = new Date();
+
+  await sessionRef.set({
+    email,
+    refresh_token_hash: hashToken(secret),
+    user_agent: req.headers["user-agent"] || "",
+    ip: req.ip || "",
+    created_at: now,
+    last_used_at: now,
+    expires_at: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+    revoked_at: null,
+  });
+
+  return {
+    token: signAccessToken(email, sessionRef.id),
+    refreshToken: `${sessionRef.id}.${secret}`,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  };
+};
+
+/**
+ * Revoke every active session of a user (logout everywhere, account deletion).
+ * @param {string} email
+ * @param {string} [exceptSessionId] session kept alive, e.g. the one changing the password
+ * @returns {Promise<number>} number of sessions revoked
+ */
+const revokeAllSessions = async (email, exceptSessionId = null) => {
+  const snapshot = await db
+    .collection("sessions")
+    .where("email", "==", email)
+    .where("revoked_at", "==", null)
+    .get();
+
+  const batch = db.batch();
+  let revoked = 0;
+  snapshot.forEach((docItem) => {
+    if (docItem.id === exceptSessionId) return;
+    batch.update(docItem.ref, { revoked_at: new Date() });
+    revoked += 1;
+  });
+  await batch.commit();
+  return revoked;
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  signAccessToken,
+  verifyAccessToken,
+  createSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,285 @@
+// Style catalog used by /generate and served to the frontend by GET /styles.
+// Adding a style only means adding an entry here.
+
+const STYLE_CATEGORIES = [
+  { id: "professional", label: "Professional portraits", emoji: "👔", color: "#1e3a8a" },
+  { id: "semi_casual", label: "Semi-casual portraits", emoji: "🏢", color: "#0f766e" },
+  { id: "action", label: "Action scenes", emoji: "💻", color: "#7c2d12" },
+  { id: "selfie", label: "Natural selfies", emoji: "🤳", color: "#9d174d" },
+  { id: "daily", label: "Everyday work moments", emoji: "☕", color: "#92400e" },
+  { id: "digital_product", label: "Digital product", emoji: "📱", color: "#4338ca" },
+  { id: "physical_product", label: "Physical product", emoji: "📦", color: "#166534" },
+  { id: "inspiration", label: "Inspiration & personality", emoji: "✨", color: "#6b21a8" },
+];
+
+// defaultCount is only suggested to the picker (until the user picks a count), never applied by /generate
+const STYLES = [
+  // Portraits professionnels
+  {
+    id: "professional_indoor",
+    label: "Professional Indoor",
+    category: "professional",
+    defaultCount: 3,
+    prompt:
+      "Professional indoor portrait of the user, well-dressed, modern office or elegant workspace background, soft lighting, serious and credible style. Context: professional post, announcement, career advice.",
+  },
+  {
+    id: "professional_outdoor",
+    label: "Professional Outdoor",
+    category: "professional",
+    defaultCount: 3,
+    prompt:
+      "Professional outdoor portrait of the user, elegant outfit, pleasant landscape or modern building background, calm and composed atmosphere. Context: inspiring post, storytelling, leadership.",
+  },
+  {
+    id: "corporate_studio",
+    label: "Corporate Studio",
+    category: "professional",
+    defaultCount: 3,
+    prompt:
+      "Corporate studio portrait of the user, neutral background, clean and sharp lighting, upright posture. Context: formal post, important announcement or public speaking.",
+  },
+
+  // Portraits semi décontractés
+  {
+    id: "modern_workspace",
+    label: "Modern Workspace",
+    category: "semi_casual",
+    defaultCount: 3,
+    prompt:
+      "Semi-casual portrait of the user in a modern workspace or coworking area, bright office ambiance, less formal outfit, visible work accessories. Context: productivity, organization, tips.",
+  },
+  {
+    id: "personal_office",
+    label: "Personal Office",
+    category: "semi_casual",
+    defaultCount: 3,
+    prompt:
+      "Casual portrait of the user in a personal office, intimate decor, visible personal objects, warm atmosphere. Context: authentic post, sharing experience.",
+  },
+  {
+    id: "street",
+    label: "Street Casual",
+    category: "semi_casual",
+    defaultCount: 3,
+    prompt:
+      "Casual portrait of the user in an urban street setting, casual outfit, slight movement in posture. Context: lifestyle post, storytelling.",
+  },
+
+  // Scènes d'action
+  {
+    id: "working_computer",
+    label: "Working on Computer",
+    category: "action",
+    defaultCount: 3,
+    prompt:
+      "Action portrait of the user working on a computer at a desk, focused look, laptop open and visible. Context: productive, technical focus.",
+  },
+  {
+    id: "writing_notes",
+    label: "Writing Notes",
+    category: "action",
+    defaultCount: 3,
+    prompt:
+      "Action portrait of the user writing or taking notes, notebook and pen visible on a clear table, calm atmosphere. Context: methodology, reflection, coaching.",
+  },
+  {
+    id: "presenting_screen",
+    label: "Presenting Screen",
+    category: "action",
+    defaultCount: 3,
+    prompt:
+      "Action portrait of the user presenting something on screen, pointing gesture toward the computer, screen visible but content blurred. Context: tutorial, analysis, demonstration.",
+  },
+  {
+    id: "meeting",
+    label: "Meeting / Conference",
+    category: "action",
+    defaultCount: 3,
+    prompt:
+      "Portrait of the user alone in a meeting setting, table or screen visible, no other people in the frame. Context: management, collaboration.",
+  },
+  {
+    id: "walking_street",
+    label: "Walking in the Street",
+    category: "action",
+    defaultCount: 3,
+    prompt:
+      "Portrait of the user walking in the street alone, natural movement, urban decor, energetic yet professional vibe. Context: motivation, rhythm, momentum.",
+  },
+
+  // Selfies naturels
+  {
+    id: "selfie_transport",
+    label: "Selfie in Transport",
+    category: "selfie",
+    defaultCount: 2,
+    prompt:
+      "Natural selfie of the user in train/car/transport, natural light, realistic position, simple background. Context: on-the-go, business travel.",
+  },
+  {
+    id: "selfie_office",
+    label: "Selfie at Office",
+    category: "selfie",
+    defaultCount: 2,
+    prompt:
+      "Natural selfie of the user at their desk, computer visible, coherent indoor decor. Context: remote work, workday.",
+  },
+  {
+    id: "selfie_outdoor",
+    label: "Selfie Outdoor",
+    category: "selfie",
+    defaultCount: 2,
+    prompt:
+      "Natural selfie of the user outdoors in nature or city, simple gesture (smile, thumbs up). Context: inspiration, storytelling.",
+  },
+  {
+    id: "selfie_pointing",
+    label: "Selfie Pointing Something",
+    category: "selfie",
+    defaultCount: 2,
+    prompt:
+      "Natural selfie of the user pointing to an off-frame element or the screen, clear gesture for announcement or highlight. Context: announcement, showcasing something new.",
+  },
+
+  // Moments du quotidien professionnel
+  {
+    id: "coffee_break",
+    label: "Coffee Break",
+    category: "daily",
+    defaultCount: 2,
+    prompt:
+      "Casual portrait of the user drinking coffee or a beverage, relaxed mood, warm decor. Context: mood, professional routine.",
+  },
+  {
+    id: "eating",
+    label: "Eating",
+    category: "daily",
+    defaultCount: 2,
+    prompt:
+      "Casual portrait of the user eating a snack or simple meal, authentic scene. Context: lifestyle, work-life balance.",
+  },
+
+  // Images centrées sur le produit digital
+  {
+    id: "software_interface",
+    label: "Software Interface",
+    category: "digital_product",
+    defaultCount: 2,
+    prompt:
+      "Staged shot highlighting a software interface, computer or smartphone screen visible, clean ambiance, professional style. Context: demo, launch, product update.",
+  },
+  {
+    id: "app_showcase",
+    label: "App Showcase",
+    category: "digital_product",
+    defaultCount: 2,
+    prompt:
+      "Stylized screen capture representation showing an application, immersive representation, modern composition. Context: tech post, announcement, promotion.",
+  },
+  {
+    id: "digital_product_context",
+    label: "Digital Product Context",
+    category: "digital_product",
+    defaultCount: 2,
+    prompt:
+      "Digital product in a professional context, a hand using computer or smartphone, modern decor. Context: feature highlight.",
+  },
+
+  // Images centrées sur un produit physique
+  {
+    id: "product_neutral",
+    label: "Product Neutral Background",
+    category: "physical_product",
+    defaultCount: 2,
+    prompt:
+      "Physical product presented in a neutral decor, clean background, minimalist staging. Context: product presentation.",
+  },
+  {
+    id: "product_real_context",
+    label: "Product Real Context",
+    category: "physical_product",
+    defaultCount: 2,
+    prompt:
+      "Physical product highlighted in a real context (office, indoor, outdoor), natural light, immersive scene. Context: realistic showcase.",
+  },
+  {
+    id: "product_used",
+    label: "Product Used",
+    category: "physical_product",
+    defaultCount: 2,
+    prompt: "Physical product being used by the user, visible interaction. Context: demonstration, real usage.",
+  },
+
+  // Catégories à enrichir
+  {
+    id: "mentor_leader",
+    label: "Mentor / Leader Portrait",
+    category: "inspiration",
+    defaultCount: 3,
+    prompt:
+      "Inspiring mentor/leader portrait, symbolic staging, confident presence, motivational tone. Context: motivational posts.",
+  },
+  {
+    id: "creative_portrait",
+    label: "Creative Portrait",
+    category: "inspiration",
+    defaultCount: 3,
+    prompt:
+      "Creative portrait with more pronounced colors, modern and graphic style, tasteful composition. Context: creative announcements.",
+  },
+  {
+    id: "subtle_humor",
+    label: "Subtle Humor Scene",
+    category: "inspiration",
+    defaultCount: 3,
+    prompt:
+      "Subtle humorous scene, natural gestures, light tone, professional yet approachable. Context: personal posts.",
+  },
+];
+
+// Used when /generate receives a style id that is not in the catalog
+const DEFAULT_STYLE_PROMPT = "Realistic portrait of the user with a neutral background.";
+
+const STYLES_BY_ID = new Map(STYLES.map((style) => [style.id, style]));
+const CATEGORIES_BY_ID = new Map(STYLE_CATEGORIES.map((category) => [category.id, category]));
+
+/**
+ * Append face fidelity and clothing consistency requirements to a style prompt
+ */
+const addFidelityRequirements = (basePrompt) => {
+  return `${basePrompt} Be faithful to the original face: preserve the same eyes (color, shape, expression), face shape, hair style/color/length, and skin tone from the reference photos. Keep the same clothing style, colors, and formality level as shown in the reference photos (do not add costumes or formal wear if not present in the original photos). Only the user should appear in the image—no other people or humans. Style: photorealistic and faithful to the original face.`;
+};
+
+/**
+ * @returns {object | null} catalog entry for a style id
+ */
+const getStyle = (id) => STYLES_BY_ID.get(id) || null;
+
+const escapeXml = (value) =>
+  String(value).replace(/[<>&"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Preview thumbnail of a style: a small SVG card with the category color, emoji and label
+ * @returns {string | null} SVG markup, null for an unknown style
+ */
+const renderStylePreview = (id) => {
+  const style = getStyle(id);
+  if (!style) return null;
+  const category = CATEGORIES_BY_ID.get(style.category);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="160" height="100" viewBox="0 0 160 100">
+  <rect width="160" height="100" rx="10" fill="${category.color}"/>
+  <text x="80" y="48" font-size="30" text-anchor="middle">${category.emoji}</text>
+  <text x="80" y="80" font-size="12" font-family="Arial, sans-serif" fill="#ffffff" text-anchor="middle">${escapeXml(style.label)}</text>
+</svg>`;
+};
+
+module.exports = {
+  STYLE_CATEGORIES,
+  STYLES,
+  DEFAULT_STYLE_PROMPT,
+  addFidelityRequirements,
+  getStyle,
+  renderStylePreview,
+};
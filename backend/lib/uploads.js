@@ -0,0 +1,138 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const multer = require("multer");
+const { MIME_TYPES, sniffImageFormat } = require("./imagePipeline");
+
+// Images posted as multipart/form-data (reference photos, logos)
+const MAX_PHOTO_BYTES = 10 * 1024 * 1024;
+const MAX_TOTAL_PHOTO_BYTES = 30 * 1024 * 1024;
+const MAX_PHOTO_FILES = 10;
+
+// Streamed to temporary files, never buffered whole in memory
+const storage = multer.diskStorage({
+  destination: os.tmpdir(),
+  filename: (req, file, cb) => cb(null, `upload-${crypto.randomBytes(12).toString("hex")}`),
+});
+
+const removeFiles = (files = []) =>
+  Promise.all(files.map((file) => fs.promises.unlink(file.path).catch(() => {})));
+
+const readHeader = async (filePath) => {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const header = Buffer.alloc(12);
+    const { bytesRead } = await handle.read(header, 0, 12, 0);
+    return header.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+const uploadError = (err, field, maxFiles) => {
+  if (err.code === "LIMIT_FILE_SIZE") {
+    return { status: 413, message: `Each file must be ${MAX_PHOTO_BYTES / (1024 * 1024)}MB or less.` };
+  }
+  if (err.code === "LIMIT_FILE_COUNT" || err.code === "LIMIT_UNEXPECTED_FILE") {
+    return { status: 413, message: `Send at most ${maxFiles} file(s), in "${field}" fields.` };
+  }
+  if (err instanceof multer.MulterError) {
+    return { status: 400, message: `Invalid upload: ${err.message}` };
+  }
+  return { status: 400, message: "Malformed multipart upload." };
+};
+
+// Photos in a request body are base64 strings, a file path is never taken from the client
+const isBase64Field = (value) =>
+  value === undefined ||
+  value === null ||
+  typeof value === "string" ||
+  (Array.isArray(value) && value.every((item) => typeof item === "string"));
+
+const rejectBodyField = (res, field) =>
+  res.status(400).json({
+    success: false,
+    message: `"${field}" must be base64 image strings, or files sent as multipart/form-data.`,
+  });
+
+/**
+ * Accept images as multipart/form-data files in one field. Files are checked by their content
+ * (JPEG, PNG or WebP), 413 when a file or the whole upload is too large, 415 for anything else.
+ * On success req.uploads[field] holds { path, format, mimeType, size } entries, out of the client's reach
+ * (read file paths from there, never from req.body); the temporary files are deleted once the response is sent.
+ * In req.body, the field may only hold base64 strings (JSON requests), anything else is answered 400.
+ * @param {string} field form field name
+ * @param {number} maxFiles
+ */
+const createImageUpload = (field, maxFiles) => {
+  const upload = multer({
+    storage,
+    limits: {
+      fileSize: MAX_PHOTO_BYTES,
+      files: maxFiles,
+      fields: 20,
+      fieldSize: 100 * 1024,
+    },
+  }).array(field, maxFiles);
+
+  return (req, res, next) => {
+    if (!req.is("multipart/form-data")) {
+      if (!isBase64Field(req.body?.[field])) return rejectBodyField(res, field);
+      return next();
+    }
+
+    upload(req, res, async (err) => {
+      const files = req.files || [];
+      res.on("close", () => removeFiles(files));
+
+      if (err) {
+        const { status, message } = uploadError(err, field, maxFiles);
+        return res.status(status).json({ success: false, message });
+      }
+      // Bracketed field names (photos[0][path]) make objects in req.body
+      if (!isBase64Field(req.body?.[field])) return rejectBodyField(res, field);
+
+      const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+      if (totalBytes > MAX_TOTAL_PHOTO_BYTES) {
+        return res.status(413).json({
+          success: false,
+          message: `Files must total ${MAX_TOTAL_PHOTO_BYTES / (1024 * 1024)}MB or less.`,
+        });
+      }
+
+      try {
+        const images = [];
+        for (const file of files) {
+          const format = sniffImageFormat(await readHeader(file.path));
+          if (!format) {
+            return res.status(415).json({
+              success: false,
+              message: `${path.basename(file.originalname || "File")} is not a JPEG, PNG or WebP image.`,
+            });
+          }
+          images.push({ path: file.path, format, mimeType: MIME_TYPES[format], size: file.size });
+        }
+        req.uploads = { ...req.uploads, [field]: images };
+        next();
+      } catch (checkError) {
+        console.error("Upload check error:", checkError);
+        res.status(500).json({ success: false, message: "Error while reading the upload." });
+      }
+    });
+  };
+};
+
+// Reference photos of generation and library routes
+const photoUpload = createImageUpload("photos", MAX_PHOTO_FILES);
+
+// Logo of the branding route
+const logoUpload = createImageUpload("logo", 1);
+
+module.exports = {
+  MAX_PHOTO_BYTES,
+  MAX_TOTAL_PHOTO_BYTES,
+  MAX_PHOTO_FILES,
+  photoUpload,
+  logoUpload,
+};
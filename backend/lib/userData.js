@@ -0,0 +1,271 @@
+const crypto = require("crypto");
+const { db, bucket, storagePathFromUrl } = require("./firebase");
+const { deleteWorkspace } = require("./workspaces");
+
+// Collections whose documents belong to a user through their `email` field
+const USER_OWNED_COLLECTIONS = [
+  "images",
+  "selections",
+  "posts_analysis",
+  "generation_failures",
+  "workspace_members",
+  "custom_styles",
+  "llm_usage",
+  "jobs",
+  "reference_photos",
+];
+
+// Authentication records, also keyed by `email`, removed on erasure but never migrated
+const ACCOUNT_COLLECTIONS = ["sessions", "auth_tokens", "api_keys"];
+
+// Storage folders holding a user's files
+const userStoragePrefixes = (email) => [`generated/${email}/`, `lab/${email}/`, `jobs/${email}/`, `references/${email}/`];
+
+// Storage files of a record, per collection. An email change only rewrites `email` fields (repointUserRecords),
+// files stay in the former email's folders: erasure follows these paths, not only the folders above.
+const RECORD_STORAGE_PATHS = {
+  images: (data) => [storagePathFromUrl(data.url), storagePathFromUrl(data.originalUrl)],
+  reference_photos: (data) => [data.storage_path],
+  jobs: (data) => data.input_paths || [],
+};
+
+// Firestore batches accept at most 500 writes
+const BATCH_SIZE = 400;
+
+/**
+ * Re-point every record of oldEmail to newEmail, one batch at a time.
+ * Idempotent: already moved documents no longer match the query, so it can be re-run.
+ * @returns {Promise<Record<string, number>>} number of documents moved per collection
+ */
+const repointUserRecords = async (oldEmail, newEmail) => {
+  const moved = {};
+
+  for (const collectionName of USER_OWNED_COLLECTIONS) {
+    moved[collectionName] = 0;
+
+    for (;;) {
+      const snapshot = await db
+        .collection(collectionName)
+        .where("email", "==", oldEmail)
+        .limit(BATCH_SIZE)
+        .get();
+      if (snapshot.empty) break;
+
+      const batch = db.batch();
+      snapshot.forEach((docItem) => batch.update(docItem.ref, { email: newEmail }));
+      await batch.commit();
+      moved[collectionName] += snapshot.size;
+    }
+  }
+
+  return moved;
+};
+
+/**
+ * Delete every document of a collection matching email, page by page
+ * @returns {Promise<number>} number of deleted documents
+ */
+const deleteByEmail = async (collectionName, email) => {
+  let deleted = 0;
+
+  for (;;) {
+    const snapshot = await db.collection(collectionName).where("email", "==", email).limit(BATCH_SIZE).get();
+    if (snapshot.empty) break;
+
+    const batch = db.batch();
+    snapshot.forEach((docItem) => batch.delete(docItem.ref));
+    await batch.commit();
+    deleted += snapshot.size;
+  }
+
+  return deleted;
+};
+
+/**
+ * Delete every Storage object under a prefix, page by page
+ * @returns {Promise<number>} number of deleted files
+ */
+const deleteStoragePrefix = async (prefix) => {
+  let deleted = 0;
+  let pageToken;
+
+  do {
+    const [files, nextQuery] = await bucket.getFiles({
+      prefix,
+      maxResults: BATCH_SIZE,
+      autoPaginate: false,
+      pageToken,
+    });
+
+    for (const file of files) {
+      // Already gone (e.g. a previous interrupted run) is fine
+      await file.delete({ ignoreNotFound: true });
+      deleted += 1;
+    }
+
+    pageToken = nextQuery?.pageToken;
+  } while (pageToken);
+
+  return deleted;
+};
+
+/**
+ * Delete the Storage files of the user's records that are outside the current email's folders
+ * (uploaded before an email change). Run before the records themselves are deleted.
+ * @returns {Promise<number>} number of deleted files
+ */
+const deleteRecordFiles = async (email) => {
+  const prefixes = userStoragePrefixes(email);
+  let deleted = 0;
+
+  for (const [collectionName, pathsOf] of Object.entries(RECORD_STORAGE_PATHS)) {
+    const snapshot = await db.collection(collectionName).where("email", "==", email).get();
+    for (const docItem of snapshot.docs) {
+      for (const path of pathsOf(docItem.data())) {
+        if (!path || prefixes.some((prefix) => path.startsWith(prefix))) continue;
+        await bucket.file(path).delete({ ignoreNotFound: true });
+        deleted += 1;
+      }
+    }
+  }
+
+  return deleted;
+};
+
+/**
+ * Number of documents per user-owned collection (aggregation queries, no document reads)
+ * @returns {Promise<Record<string, number>>}
+ */
+const countUserRecords = async (email) => {
+  const counts = {};
+  for (const collectionName of USER_OWNED_COLLECTIONS) {
+    const snapshot = await db.collection(collectionName).where("email", "==", email).count().get();
+    counts[collectionName] = snapshot.data().count;
+  }
+  return counts;
+};
+
+/**
+ * Files and bytes used in Storage, per folder
+ * @returns {Promise<{ files: number, bytes: number, byFolder: Record<string, { files: number, bytes: number }> }>}
+ */
+const getStorageUsage = async (email) => {
+  const usage = { files: 0, bytes: 0, byFolder: {} };
+
+  for (const prefix of userStoragePrefixes(email)) {
+    const folder = prefix.split("/")[0];
+    const folderUsage = { files: 0, bytes: 0 };
+    let pageToken;
+
+    do {
+      const [files, nextQuery] = await bucket.getFiles({
+        prefix,
+        maxResults: 1000,
+        autoPaginate: false,
+        pageToken,
+      });
+      files.forEach((file) => {
+        folderUsage.files += 1;
+        folderUsage.bytes += Number(file.metadata?.size || 0);
+      });
+      pageToken = nextQuery?.pageToken;
+    } while (pageToken);
+
+    usage.byFolder[folder] = folderUsage;
+    usage.files += folderUsage.files;
+    usage.bytes += folderUsage.bytes;
+  }
+
+  return usage;
+};
+
+/**
+ * Erase everything stored about a user: Storage files, owned records, auth records, then the account.
+ * Progress is tracked in erasure_jobs (keyed by a hash of the email, so no address is kept).
+ * Every step is idempotent, so an interrupted job is resumed by calling it again.
+ * @returns {Promise<object>} deletion report
+ */
+const eraseUserData = async (email) => {
+  const jobRef = db.collection("erasure_jobs").doc(crypto.createHash("sha256").update(email).digest("hex"));
+  const jobDoc = await jobRef.get();
+  const previous = jobDoc.exists ? jobDoc.data() : null;
+
+  await jobRef.set(
+    {
+      status: "running",
+      started_at: previous?.started_at || new Date(),
+      attempts: (previous?.attempts || 0) + 1,
+    },
+    { merge: true }
+  );
+
+  // Counts add up across attempts so a resumed job reports the full erasure
+  const report = {
+    workspaces: previous?.report?.workspaces || 0,
+    storage: { ...(previous?.report?.storage || {}) },
+    collections: { ...(previous?.report?.collections || {}) },
+    lockout: previous?.report?.lockout || 0,
+    account: previous?.report?.account || 0,
+  };
+  const saveProgress = () => jobRef.set({ report, updated_at: new Date() }, { merge: true });
+
+  try {
+    // Workspaces owned by the user go away with their shared content
+    const owned = await db
+      .collection("workspace_members")
+      .where("email", "==", email)
+      .where("role", "==", "owner")
+      .get();
+    for (const membership of owned.docs) {
+      await deleteWorkspace(membership.data().workspaceId);
+      report.workspaces += 1;
+      await saveProgress();
+    }
+
+    for (const prefix of userStoragePrefixes(email)) {
+      const folder = prefix.split("/")[0];
+      report.storage[folder] = (report.storage[folder] || 0) + (await deleteStoragePrefix(prefix));
+      await saveProgress();
+    }
+
+    // Files still in a former email's folders, found through the records pointing to them
+    report.storage.previousEmails = (report.storage.previousEmails || 0) + (await deleteRecordFiles(email));
+    await saveProgress();
+
+    for (const collectionName of [...USER_OWNED_COLLECTIONS, ...ACCOUNT_COLLECTIONS]) {
+      report.collections[collectionName] =
+        (report.collections[collectionName] || 0) + (await deleteByEmail(collectionName, email));
+      await saveProgress();
+    }
+
+    const lockoutRef = db.collection("login_lockouts").doc(email.toLowerCase());
+    if ((await lockoutRef.get()).exists) {
+      await lockoutRef.delete();
+      report.lockout += 1;
+    }
+
+    // Last: while the account exists the erasure can still be re-triggered by the user
+    const userRef = db.collection("users").doc(email);
+    if ((await userRef.get()).exists) {
+      await userRef.delete();
+      report.account += 1;
+    }
+
+    await jobRef.set({ status: "completed", report, completed_at: new Date() }, { merge: true });
+    return report;
+  } catch (err) {
+    await jobRef.set({ status: "failed", report, error: err?.message || String(err) }, { merge: true });
+    throw err;
+  }
+};
+
+module.exports = {
+  USER_OWNED_COLLECTIONS,
+  ACCOUNT_COLLECTIONS,
+  BATCH_SIZE,
+  userStoragePrefixes,
+  repointUserRecords,
+  countUserRecords,
+  getStorageUsage,
+  eraseUserData,
+};
@@ -0,0 +1,96 @@
+const { db, bucket, storagePathFromUrl } = require("./firebase");
+
+// owner: manages members and settings; editor: adds/deletes content; viewer: view and download only
+const WORKSPACE_ROLES = ["owner", "editor", "viewer"];
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+// Records shared inside a workspace through their `workspaceId` field
+const WORKSPACE_CONTENT_COLLECTIONS = ["images", "selections", "custom_styles"];
+
+// Fields pointing to Storage files owned by the record, per collection. Branded versions and edits
+// are images of the workspace too (they inherit workspaceId), so their files go with them.
+// Selections only reference an image's URL: the file belongs to the image record.
+const STORAGE_URL_FIELDS = {
+  images: ["url", "originalUrl"],
+};
+
+const BATCH_SIZE = 400;
+
+/**
+ * Membership of a user in a workspace (active or invited), or null
+ */
+const getMembership = async (workspaceId, email) => {
+  const snapshot = await db
+    .collection("workspace_members")
+    .where("workspaceId", "==", workspaceId)
+    .where("email", "==", email)
+    .limit(1)
+    .get();
+
+  if (snapshot.empty) return null;
+  const doc = snapshot.docs[0];
+  return { id: doc.id, ref: doc.ref, ...doc.data() };
+};
+
+/**
+ * True when the membership is active and at least minRole
+ * @param {object|null} membership
+ * @param {"owner" | "editor" | "viewer"} minRole
+ */
+const hasWorkspaceRole = (membership, minRole) =>
+  Boolean(membership) && membership.status === "active" && ROLE_RANK[membership.role] >= ROLE_RANK[minRole];
+
+/**
+ * Delete the Storage files a record owns (STORAGE_URL_FIELDS of its collection)
+ * @param {string} collectionName
+ * @param {object} data document data
+ */
+const deleteOwnedFiles = async (collectionName, data) => {
+  for (const field of STORAGE_URL_FIELDS[collectionName] || []) {
+    const path = storagePathFromUrl(data[field]);
+    if (path) await bucket.file(path).delete({ ignoreNotFound: true });
+  }
+};
+
+/**
+ * Delete a workspace with its memberships and shared content (documents and Storage files)
+ * @returns {Promise<Record<string, number>>} deleted documents per collection
+ */
+const deleteWorkspace = async (workspaceId) => {
+  const report = {};
+
+  for (const collectionName of [...WORKSPACE_CONTENT_COLLECTIONS, "workspace_members"]) {
+    report[collectionName] = 0;
+
+    for (;;) {
+      const snapshot = await db
+        .collection(collectionName)
+        .where("workspaceId", "==", workspaceId)
+        .limit(BATCH_SIZE)
+        .get();
+      if (snapshot.empty) break;
+
+      for (const docItem of snapshot.docs) {
+        await deleteOwnedFiles(collectionName, docItem.data());
+      }
+
+      const batch = db.batch();
+      snapshot.forEach((docItem) => batch.delete(docItem.ref));
+      await batch.commit();
+      report[collectionName] += snapshot.size;
+    }
+  }
+
+  // Files of the workspace itself (brand logo)
+  await bucket.deleteFiles({ prefix: `workspaces/${workspaceId}/` });
+  await db.collection("workspaces").doc(workspaceId).delete();
+  return report;
+};
+
+module.exports = {
+  WORKSPACE_ROLES,
+  getMembership,
+  hasWorkspaceRole,
+  deleteOwnedFiles,
+  deleteWorkspace,
+};
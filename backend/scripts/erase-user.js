@@ -0,0 +1,28 @@
+/**
+ * Admin command: erase (or finish erasing) a user's account, records and Storage files.
+ * Safe to run again on an interrupted erasure.
+ *
+ *   node scripts/erase-user.js user@example.com
+ */
+require("dotenv").config();
+const { eraseUserData } = require("../lib/userData");
+const { revokeAllSessions } = require("../lib/sessions");
+
+const main = async () => {
+  const email = process.argv[2];
+  if (!email) {
+    throw new Error("Usage: node scripts/erase-user.js <email>");
+  }
+
+  await revokeAllSessions(email);
+  const report = await eraseUserData(email);
+  console.log(`✅ Erasure completed for ${email}:`);
+  console.log(JSON.stringify(report, null, 2));
+};
+
+main()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error("Erasure failed:", err?.message || err);
+    process.exit(1);
+  });
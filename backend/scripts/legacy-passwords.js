@@ -0,0 +1,101 @@
+/**
+ * One-off admin command: report (and optionally neutralise) accounts that still store
+ * a plaintext `password` field.
+ *
+ *   node scripts/legacy-passwords.js                 # report only
+ *   node scripts/legacy-passwords.js --force-reset   # wipe plaintext, revoke sessions, email a reset link
+ *
+ * Once the report is empty, the plaintext branch of /login can be removed.
+ */
+require("dotenv").config();
+const { admin, db } = require("../lib/firebase");
+const { sendPasswordResetEmail } = require("../lib/authTokens");
+const { revokeAllSessions } = require("../lib/sessions");
+
+const PAGE_SIZE = 300;
+
+/**
+ * Page through the whole users collection by document ID
+ */
+const findLegacyAccounts = async () => {
+  const accounts = [];
+  let lastDoc = null;
+
+  for (;;) {
+    let query = db.collection("users").orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE_SIZE);
+    if (lastDoc) query = query.startAfter(lastDoc);
+
+    const snapshot = await query.get();
+    if (snapshot.empty) break;
+
+    snapshot.forEach((doc) => {
+      const data = doc.data();
+      if (data.password) {
+        accounts.push({
+          email: doc.id,
+          // "plaintext_only" accounts can only log in through the legacy branch
+          kind: data.password_hash ? "stale_plaintext" : "plaintext_only",
+          created_at: data.created_at?.toDate?.() || data.created_at || null,
+        });
+      }
+    });
+
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    if (snapshot.size < PAGE_SIZE) break;
+  }
+
+  return accounts;
+};
+
+const forceReset = async (account) => {
+  const userRef = db.collection("users").doc(account.email);
+
+  if (account.kind === "stale_plaintext") {
+    // The bcrypt hash is still valid: only the leftover plaintext has to go
+    await userRef.update({ password: admin.firestore.FieldValue.delete() });
+    return "plaintext removed";
+  }
+
+  await userRef.update({
+    password: admin.firestore.FieldValue.delete(),
+    password_reset_required: true,
+    password_reset_forced_at: new Date(),
+  });
+  const revoked = await revokeAllSessions(account.email);
+  await sendPasswordResetEmail(account.email);
+  return `reset forced, ${revoked} session(s) revoked, email sent`;
+};
+
+const main = async () => {
+  const shouldForceReset = process.argv.includes("--force-reset");
+  const accounts = await findLegacyAccounts();
+
+  if (accounts.length === 0) {
+    console.log("✅ No legacy plaintext password left. The legacy branch of /login can be removed.");
+    return;
+  }
+
+  console.log(`⚠️ ${accounts.length} account(s) still store a plaintext password:`);
+  console.table(accounts);
+
+  if (!shouldForceReset) {
+    console.log("ℹ️ Run again with --force-reset to wipe them and email a reset link to each user.");
+    return;
+  }
+
+  for (const account of accounts) {
+    try {
+      const result = await forceReset(account);
+      console.log(`✅ ${account.email}: ${result}`);
+    } catch (err) {
+      console.error(`❌ ${account.email}:`, err?.message || err);
+    }
+  }
+};
+
+main()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error("Legacy password script failed:", err);
+    process.exit(1);
+  });
@@ -0,0 +1,38 @@
+/**
+ * Admin command: list accounts currently locked after repeated failed logins, or unlock one.
+ *
+ *   node scripts/lockouts.js                      # list active lockouts
+ *   node scripts/lockouts.js --unlock user@x.com  # clear the failure counter of an account
+ */
+require("dotenv").config();
+const { listLockouts, clearLockout } = require("../lib/lockout");
+
+const main = async () => {
+  const unlockIndex = process.argv.indexOf("--unlock");
+
+  if (unlockIndex !== -1) {
+    const email = process.argv[unlockIndex + 1];
+    if (!email) {
+      throw new Error("Usage: node scripts/lockouts.js --unlock <email>");
+    }
+    await clearLockout(email);
+    console.log(`✅ ${email} unlocked.`);
+    return;
+  }
+
+  const lockouts = await listLockouts();
+  if (lockouts.length === 0) {
+    console.log("✅ No account is currently locked.");
+    return;
+  }
+
+  console.log(`🔒 ${lockouts.length} account(s) currently locked:`);
+  console.table(lockouts);
+};
+
+main()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error("Lockouts script failed:", err?.message || err);
+    process.exit(1);
+  });
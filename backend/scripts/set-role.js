@@ -0,0 +1,32 @@
+/**
+ * Admin command: give a role to an account. Used to create the first admin,
+ * later admins can be promoted through PUT /admin/users/:email/role.
+ *
+ *   node scripts/set-role.js user@example.com admin
+ */
+require("dotenv").config();
+const { db } = require("../lib/firebase");
+
+const ROLES = ["user", "admin"];
+
+const main = async () => {
+  const [email, role] = process.argv.slice(2);
+  if (!email || !ROLES.includes(role)) {
+    throw new Error(`Usage: node scripts/set-role.js <email> <${ROLES.join("|")}>`);
+  }
+
+  const userRef = db.collection("users").doc(email);
+  if (!(await userRef.get()).exists) {
+    throw new Error(`No account for ${email}`);
+  }
+
+  await userRef.update({ role });
+  console.log(`✅ ${email} is now ${role}.`);
+};
+
+main()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error("Set role failed:", err?.message || err);
+    process.exit(1);
+  });
@@ -0,0 +1,24 @@
+/**
+ * Standalone generation job worker, for deployments running the API with JOBS_WORKER=external.
+ * Several workers can run side by side: jobs are claimed in a transaction.
+ *
+ *   node scripts/worker.js
+ */
+require("dotenv").config();
+const { startWorker } = require("../lib/jobs");
+
+const worker = startWorker();
+
+const shutdown = () => {
+  console.log("Stopping job worker after the current job...");
+  worker
+    .stop()
+    .then(() => process.exit(0))
+    .catch((err) => {
+      console.error("Job worker shutdown failed:", err?.message || err);
+      process.exit(1);
+    });
+};
+
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
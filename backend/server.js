@@ -3,26 +3,85 @@ const express = require("express");
 const cors = require("cors");
 const bodyParser = require("body-parser");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
-const admin = require("firebase-admin");
+const crypto = require("crypto");
+const fs = require("fs");
+const { admin, db, bucket, storagePathFromUrl } = require("./lib/firebase");
+const {
+  FRONTEND_URL,
+  hashToken,
+  consumeAuthToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+} = require("./lib/authTokens");
+const {
+  ACCESS_TOKEN_TTL_SECONDS,
+  signAccessToken,
+  verifyAccessToken,
+  createSession,
+  revokeAllSessions,
+} = require("./lib/sessions");
+const { sendMail } = require("./lib/mailer");
+const { createRateLimiter } = require("./lib/rateLimiter");
+const { getLockedUntil, registerFailedLogin, clearLockout, listLockouts } = require("./lib/lockout");
+const { repointUserRecords, countUserRecords, getStorageUsage, eraseUserData } = require("./lib/userData");
+const { streamUserExport } = require("./lib/dataExport");
+const {
+  API_KEY_SCOPES,
+  MAX_ACTIVE_KEYS,
+  isApiKey,
+  createApiKey,
+  verifyApiKey,
+  recordApiKeyUse,
+  listApiKeys,
+  countActiveApiKeys,
+  revokeApiKey,
+  revokeAllApiKeys,
+} = require("./lib/apiKeys");
+const { STYLE_CATEGORIES, STYLES, renderStylePreview } = require("./lib/styles");
+const { FORMAT_PRESETS } = require("./lib/formats");
+const { toCustomStyle, parseCustomStyle } = require("./lib/customStyles");
+const { complete, extractJson, isLlmConfigured } = require("./lib/llm");
+const { listImageProviders } = require("./lib/imageProviders");
+const {
+  validateGenerationInput,
+  resolveImageProvider,
+  runStyleGeneration,
+  runAutoGeneration,
+  validateEditInstruction,
+  runImageEdit,
+  recordGenerationFailure,
+  uploadGeneratedImageToStorage,
+} = require("./lib/generation");
+const { photoUpload, logoUpload } = require("./lib/uploads");
+const {
+  FRAME_TEMPLATES,
+  LOGO_POSITIONS,
+  TEXT_POSITIONS,
+  FONTS,
+  parseBrandingOptions,
+  renderBrandedImage,
+} = require("./lib/branding");
+const {
+  addReferencePhotos,
+  listReferencePhotos,
+  updateReferencePhoto,
+  deleteReferencePhoto,
+  referencePhotoInput,
+} = require("./lib/referencePhotos");
+const { JOB_TYPES, toJob, createJob, streamJobEvents, startWorker } = require("./lib/jobs");
+const {
+  WORKSPACE_ROLES,
+  getMembership,
+  hasWorkspaceRole,
+  deleteOwnedFiles,
+  deleteWorkspace,
+} = require("./lib/workspaces");
 // node-fetch v3 is ESM; use a tiny wrapper so fetch works in CommonJS
 const fetch = (...args) => import("node-fetch").then(({ default: fetchFn }) => fetchFn(...args));
-//const serviceAccount = require("./config/serviceAccountKey.json");
 
-const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
-
-
-admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount),
-  storageBucket: process.env.FIREBASE_STORAGE_BUCKET,
-  projectId: serviceAccount.project_id,
-});
-
-const { getStorage } = require("firebase-admin/storage");
-const bucket = getStorage().bucket();
-
-const db = admin.firestore();
 const app = express();
+// Behind Vercel's proxy: use X-Forwarded-For so req.ip is the client IP (per-IP rate limits)
+app.set("trust proxy", 1);
 
 // CORS configuration - allow both production and local development
 const allowedOrigins = [
@@ -43,379 +102,252 @@ app.use(cors({
   methods: ["GET", "POST", "DELETE", "PUT"],
   credentials: true
 }));
-app.use(bodyParser.json({ limit: "100mb" })); // allow larger payloads for up to 10 images in base64
-app.use(bodyParser.urlencoded({ limit: "100mb", extended: true }));
-
-const SECRET_KEY = process.env.SECRET_KEY || "supersecret";
-const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini";
-
-const MAX_IMAGES = 4;
-const clampNumberOfImages = (value) => {
-  const numeric = Number(value);
-  if (!Number.isFinite(numeric)) return 1;
-  return Math.min(Math.max(Math.round(numeric), 1), MAX_IMAGES);
-};
-
-/**
- * Sleep utility for delays between retries
- */
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+// Photos are uploaded as multipart/form-data (lib/uploads.js), JSON bodies stay small
+app.use(bodyParser.json({ limit: "2mb" }));
+app.use(bodyParser.urlencoded({ limit: "2mb", extended: true }));
+
+const MIN_PASSWORD_LENGTH = 8;
+const ROLES = ["user", "admin"];
+// Emails are Firestore document ids (users, login_lockouts): no "/" and a bounded length
+const EMAIL_REGEX = /^[^\s@/]+@[^\s@/]+\.[^\s@/]+$/;
+const isValidEmail = (value) => typeof value === "string" && value.length <= 254 && EMAIL_REGEX.test(value);
+
+// Brute-force protection on the public auth routes
+const loginIpLimiter = createRateLimiter({
+  name: "login-ip",
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  keyGenerator: (req) => req.ip,
+});
+const loginAccountLimiter = createRateLimiter({
+  name: "login-account",
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  keyGenerator: (req) => (typeof req.body?.email === "string" ? req.body.email.toLowerCase() : null),
+});
+const signupIpLimiter = createRateLimiter({
+  name: "signup-ip",
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  keyGenerator: (req) => req.ip,
+});
+const passwordForgotLimiter = createRateLimiter({
+  name: "password-forgot",
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  keyGenerator: (req) => req.ip,
+});
 
 /**
- * Reduce base64 image size - simple approach
- * Note: Truncation can corrupt images. For production, use sharp library for proper compression.
- * @param {string} base64Data base64 string without data: prefix
- * @param {number} maxSizeKB maximum size in KB
- * @returns {string} base64 string
+ * Verify the bearer JWT issued by /login and attach the caller identity to req.user.
+ * Routes must read the email from req.user, never from the body or URL.
  */
-const compressBase64Image = async (base64Data, maxSizeKB = 200) => {
-  const sizeKB = (base64Data.length * 3) / 4 / 1024;
-  if (sizeKB <= maxSizeKB) {
-    console.log(`Image size OK: ${sizeKB.toFixed(2)}KB`);
-    return base64Data;
-  }
-  
-  // Calculate max length for target size (keep it divisible by 4 for base64 padding)
-  const maxLength = Math.floor((maxSizeKB * 1024 * 4) / 3);
-  const truncated = base64Data.substring(0, maxLength - (maxLength % 4));
-  
-  console.log(`Image too large: ${sizeKB.toFixed(2)}KB, truncated to ~${maxSizeKB}KB (WARNING: may corrupt image)`);
-  console.log(`For better results, compress images on frontend before upload or use sharp library`);
-  
-  return truncated;
-};
+const authenticate = async (req, res, next) => {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
 
-/**
- * Call Gemini image endpoint and return base64 data URLs (simple version for auto mode).
- * @param {string} finalPrompt
- * @param {string[]} photos base64 without data: prefix
- * @param {number} numberOfImages 1..4
- */
-const generateImagesWithGeminiSimple = async (finalPrompt, photos, numberOfImages) => {
-  const generateSingleImage = async () => {
-    let lastError;
+  if (scheme !== "Bearer" || !token) {
+    return res.status(401).json({ success: false, message: "Authentication required." });
+  }
 
-    for (let attempt = 1; attempt <= 2; attempt += 1) {
-      try {
-        const response = await fetch(
-          `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-image-preview:generateContent?key=${process.env.GOOGLE_API_KEY}`,
-          {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({
-              contents: [
-                {
-                  parts: [
-                    { text: finalPrompt },
-                    ...photos.map((p) => ({
-                      inline_data: {
-                        mime_type: "image/png", // assume PNG base64
-                        data: p,
-                      },
-                    })),
-                  ],
-                },
-              ],
-            }),
-          }
-        );
+  if (isApiKey(token)) {
+    return res.status(403).json({ success: false, message: "API keys cannot be used on this route." });
+  }
 
-        const data = await response.json();
-        console.log("Gemini response:", JSON.stringify(data, null, 2));
+  let payload;
+  try {
+    payload = verifyAccessToken(token);
+  } catch (err) {
+    return res.status(401).json({ success: false, message: "Invalid or expired token." });
+  }
 
-        if (data.error) {
-          throw new Error(data.error.message || "Generation failed");
-        }
+  if (!payload?.email || !payload?.sid) {
+    return res.status(401).json({ success: false, message: "Invalid or expired token." });
+  }
 
-        const candidates = Array.isArray(data?.candidates) ? data.candidates : [];
-        let imageUrl = null;
-
-        for (const cand of candidates) {
-          const parts = cand?.content?.parts || [];
-          for (const part of parts) {
-            const inlineData = part?.inline_data || part?.inlineData;
-            if (inlineData?.data) {
-              const mime = inlineData?.mime_type || inlineData?.mimeType || "image/png";
-              imageUrl = `data:${mime};base64,${inlineData.data}`;
-              break;
-            }
-            if (typeof part?.text === "string" && part.text.startsWith("data:image/")) {
-              imageUrl = part.text;
-              break;
-            }
-          }
-          if (imageUrl) break;
-        }
+  try {
+    const [userDoc, sessionDoc] = await Promise.all([
+      db.collection("users").doc(payload.email).get(),
+      db.collection("sessions").doc(payload.sid).get(),
+    ]);
+    if (!userDoc.exists) {
+      return res.status(401).json({ success: false, message: "Account not found." });
+    }
 
-        if (!imageUrl) {
-          throw new Error("No image found in response");
-        }
+    if (!sessionDoc.exists || sessionDoc.data().revoked_at || sessionDoc.data().email !== payload.email) {
+      return res.status(401).json({ success: false, message: "Session revoked." });
+    }
 
-        return imageUrl;
-      } catch (err) {
-        lastError = err;
-        console.warn(`Gemini attempt ${attempt} failed:`, err?.message || err);
-        // try again if we have retries left
-      }
+    if (userDoc.data().disabled) {
+      return res.status(403).json({ success: false, message: "This account has been disabled." });
     }
-    throw lastError || new Error("Image generation failed");
-  };
 
-  const safeCount = clampNumberOfImages(numberOfImages);
-  const imagePromises = Array.from({ length: safeCount }, () => generateSingleImage());
-  return Promise.all(imagePromises);
+    req.user = {
+      email: payload.email,
+      sessionId: payload.sid,
+      role: userDoc.data().role || "user",
+      // Accounts created before email verification existed have no flag and stay allowed
+      emailVerified: userDoc.data().email_verified !== false,
+    };
+    next();
+  } catch (error) {
+    console.error("Auth error:", error);
+    res.status(500).json({ success: false, message: "Error during authentication." });
+  }
 };
 
 /**
- * Call Gemini image endpoint and return base64 data URLs (with compression and delays for large photo sets).
- * @param {string} finalPrompt
- * @param {string[]} photos base64 without data: prefix
- * @param {number} numberOfImages 1..4
- * @param {number} maxPhotosToSend maximum number of photos to send to Gemini (default: all photos)
+ * Like authenticate, but also accepts a personal API key ("lyt_...") holding the given scope.
+ * req.user.apiKeyId is set when the request was made with a key.
+ * @param {"generate" | "gallery:read"} scope
  */
-const generateImagesWithGemini = async (finalPrompt, photos, numberOfImages, maxPhotosToSend = null) => {
-  const generateSingleImage = async () => {
-    let lastError;
-
-    for (let attempt = 1; attempt <= 2; attempt += 1) {
-      try {
-        // Add delay between retries
-        if (attempt > 1) {
-          console.log(`Waiting 5 seconds before retry attempt ${attempt}...`);
-          await sleep(5000);
-        }
-        
-        // Compress photos to reduce processing time and avoid timeouts
-        const compressedPhotos = await Promise.all(
-          photos.map(p => compressBase64Image(p, 150)) // Reduced to 150KB
-        );
-        
-        // Limit photos if maxPhotosToSend is specified, otherwise send all
-        const photosToSend = maxPhotosToSend 
-          ? compressedPhotos.slice(0, maxPhotosToSend)
-          : compressedPhotos;
-        console.log(`Attempt ${attempt}: Sending ${photosToSend.length} photo(s) to Gemini (${photos.length} total provided, max: ${maxPhotosToSend || 'all'})`);
-        
-        const response = await fetch(
-          `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-image-preview:generateContent?key=${process.env.GOOGLE_API_KEY}`,
-          {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({
-              contents: [
-                {
-                  parts: [
-                    { 
-                      text: finalPrompt
-                    },
-                    ...photosToSend.map((p) => ({
-                      inline_data: {
-                        mime_type: "image/png", // assume PNG
-                        data: p,
-                      },
-                    })),
-                  ],
-                },
-              ],
-            }),
-          }
-        );
-
-        const data = await response.json();
-        console.log("Gemini response:", JSON.stringify(data, null, 2));
-
-        if (data.error) {
-          throw new Error(data.error.message || "Generation failed");
-        }
-
-        const candidates = Array.isArray(data?.candidates) ? data.candidates : [];
-        let imageUrl = null;
-
-        for (const cand of candidates) {
-          // Check finishReason to understand why image wasn't generated
-          if (cand?.finishReason && cand.finishReason !== "STOP") {
-            const reason = cand.finishReason;
-            const message = cand?.finishMessage || `Finish reason: ${reason}`;
-            console.warn(`Gemini finishReason: ${reason}, message: ${message}`);
-            
-            // If it's a content filter or safety issue, try with a simpler prompt
-            if (reason === "SAFETY" || reason === "RECITATION" || reason === "IMAGE_OTHER") {
-              throw new Error(`Gemini blocked generation: ${message}`);
-            }
-          }
-          
-          const parts = cand?.content?.parts || [];
-          for (const part of parts) {
-            const inlineData = part?.inline_data || part?.inlineData;
-            if (inlineData?.data) {
-              const mime = inlineData?.mime_type || inlineData?.mimeType || "image/png";
-              imageUrl = `data:${mime};base64,${inlineData.data}`;
-              break;
-            }
-            if (typeof part?.text === "string" && part.text.startsWith("data:image/")) {
-              imageUrl = part.text;
-              break;
-            }
-          }
-          if (imageUrl) break;
-        }
-
-        if (!imageUrl) {
-          // Check if there's a finishMessage that explains the issue
-          const finishMessage = candidates[0]?.finishMessage || "Unknown error";
-          throw new Error(`No image found in response. ${finishMessage}`);
-        }
+const authenticateOrApiKey = (scope) => async (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+  if (scheme !== "Bearer" || !isApiKey(token)) {
+    return authenticate(req, res, next);
+  }
 
-        return imageUrl;
-      } catch (err) {
-        lastError = err;
-        console.warn(`Gemini attempt ${attempt} failed:`, err?.message || err);
-        // try again if we have retries left
-      }
+  try {
+    const apiKey = await verifyApiKey(token);
+    if (!apiKey) {
+      return res.status(401).json({ success: false, message: "Invalid or revoked API key." });
+    }
+    if (!apiKey.scopes.includes(scope)) {
+      return res.status(403).json({ success: false, message: `This API key does not have the "${scope}" scope.` });
     }
-    throw lastError || new Error("Image generation failed");
-  };
 
-  const safeCount = clampNumberOfImages(numberOfImages);
-  
-  // Generate images sequentially with delays to avoid overwhelming Gemini API
-  // This reduces timeout errors
-  const images = [];
-  for (let i = 0; i < safeCount; i++) {
-    console.log(`Generating image ${i + 1}/${safeCount}...`);
-    try {
-      const image = await generateSingleImage();
-      images.push(image);
-      // Add delay between images to avoid rate limiting and timeouts
-      if (i < safeCount - 1) {
-        console.log(`Waiting 3 seconds before next image...`);
-        await sleep(3000); // 3 second delay between images
-      }
-    } catch (error) {
-      console.error(`Failed to generate image ${i + 1}:`, error?.message || error);
-      // Continue with other images even if one fails
-      if (images.length === 0) {
-        throw error; // Only throw if we have no images at all
-      }
+    const userDoc = await db.collection("users").doc(apiKey.email).get();
+    if (!userDoc.exists) {
+      return res.status(401).json({ success: false, message: "Account not found." });
     }
+    if (userDoc.data().disabled) {
+      return res.status(403).json({ success: false, message: "This account has been disabled." });
+    }
+
+    req.user = {
+      email: apiKey.email,
+      sessionId: null,
+      apiKeyId: apiKey.id,
+      role: userDoc.data().role || "user",
+      emailVerified: userDoc.data().email_verified !== false,
+    };
+
+    // Usage tracking must never fail the call itself
+    recordApiKeyUse(apiKey.id).catch((err) => console.error("API key usage error:", err?.message || err));
+    next();
+  } catch (error) {
+    console.error("API key auth error:", error);
+    res.status(500).json({ success: false, message: "Error during authentication." });
   }
-  
-  if (images.length === 0) {
-    throw new Error("Failed to generate any images");
-  }
-  
-  return images;
 };
 
 /**
- * Upload generated base64 image to Firebase Storage
- * and return public URL
+ * Reject requests whose :email URL parameter is not the authenticated user.
+ * Must run after authenticate.
  */
-const uploadGeneratedImageToStorage = async (base64DataUrl, email) => {
-  const match = base64DataUrl.match(/^data:(image\/\w+);base64,(.+)$/);
-  if (!match) {
-    throw new Error("Invalid base64 image format");
+const requireSameUser = (req, res, next) => {
+  if (req.params.email !== req.user.email) {
+    return res.status(403).json({ success: false, message: "Access denied." });
   }
+  next();
+};
 
-  const mimeType = match[1];
-  const base64Data = match[2];
-  const buffer = Buffer.from(base64Data, "base64");
-  const extension = mimeType.split("/")[1];
-
-  const filePath = `generated/${email || "anonymous"}/${Date.now()}.${extension}`;
-  const file = bucket.file(filePath);
-
-  // Save the file
-  await file.save(buffer, {
-    metadata: { contentType: mimeType },
-    validation: "md5",
-  });
-
-  // Make the file publicly accessible
-  await file.makePublic();
+/**
+ * Only let through users holding the given role. Must run after authenticate.
+ * @param {"user" | "admin"} role
+ */
+const requireRole = (role) => (req, res, next) => {
+  if (req.user.role !== role) {
+    return res.status(403).json({ success: false, message: "Access denied." });
+  }
+  next();
+};
 
-  // Return the public URL
-  return `https://storage.googleapis.com/${bucket.name}/${filePath}`;
+/**
+ * Block generation and invitation acceptance until the user has confirmed their email address
+ * (signing up with an address does not prove its ownership). Must run after authenticate.
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return res
+      .status(403)
+      .json({ success: false, message: "Please verify your email address before continuing." });
+  }
+  next();
 };
 
 /**
- * Save generated images to Firestore - stores only Firebase Storage URLs, never base64.
+ * Resolve the library a request works on and attach it to req.scope:
+ * the caller's personal library, or the workspace given as workspaceId (query or body)
+ * where the caller must be an active member with at least minRole. Must run after authenticate.
+ * @param {"owner" | "editor" | "viewer"} minRole
  */
-const saveImagesToFirestore = async (email, imageUrls, metadata = {}) => {
+const resolveScope = (minRole) => async (req, res, next) => {
+  const workspaceId = req.query.workspaceId || req.body?.workspaceId;
+
+  if (!workspaceId) {
+    req.scope = { type: "personal", email: req.user.email };
+    return next();
+  }
+
   try {
-    if (!imageUrls || !Array.isArray(imageUrls) || imageUrls.length === 0) {
-      console.warn("No images to save to Firestore");
-      return;
+    const membership = await getMembership(String(workspaceId), req.user.email);
+    if (!membership || membership.status !== "active") {
+      return res.status(404).json({ success: false, message: "Workspace not found." });
+    }
+    if (!hasWorkspaceRole(membership, minRole)) {
+      return res.status(403).json({ success: false, message: "Your workspace role does not allow this action." });
     }
 
-    const userEmail = email || "anonymous";
-    console.log(`Starting to save ${imageUrls.length} image(s) to Firestore for email: ${userEmail}`);
+    req.scope = { type: "workspace", workspaceId: String(workspaceId), role: membership.role, email: req.user.email };
+    next();
+  } catch (error) {
+    console.error("Scope error:", error);
+    res.status(500).json({ success: false, message: "Error checking workspace access." });
+  }
+};
 
-    for (let i = 0; i < imageUrls.length; i++) {
-      const imageUrl = imageUrls[i];
-      
-      // Ensure we only save Firebase Storage URLs, never base64
-      if (!imageUrl || typeof imageUrl !== 'string') {
-        console.warn(`Invalid image URL, skipping: ${imageUrl}`);
-        continue;
-      }
+/**
+ * Query a collection restricted to a scope. Personal results still contain the user's
+ * workspace records: filter them with inScope.
+ */
+const scopedQuery = (collectionName, scope) =>
+  scope.type === "workspace"
+    ? db.collection(collectionName).where("workspaceId", "==", scope.workspaceId)
+    : db.collection(collectionName).where("email", "==", scope.email);
 
-      // Check if it's a base64 data URL (should not happen, but safety check)
-      if (imageUrl.startsWith('data:image/')) {
-        console.error(`ERROR: Attempted to save base64 to Firestore! This should not happen. URL starts with data:image/`);
-        continue; // Skip base64 - should never be saved
-      }
+/**
+ * Whether a record belongs to a scope
+ */
+const inScope = (data, scope) =>
+  scope.type === "workspace" ? data.workspaceId === scope.workspaceId : data.email === scope.email && !data.workspaceId;
 
-      // Ensure it's a valid HTTP/HTTPS URL (Firebase Storage URL)
-      if (!imageUrl.startsWith('http://') && !imageUrl.startsWith('https://')) {
-        console.warn(`Invalid URL format, skipping: ${imageUrl}`);
-        continue;
-      }
+/**
+ * Extra fields stamped on records created in a scope (the creator stays in `email`)
+ */
+const scopeFields = (scope) => (scope.type === "workspace" ? { workspaceId: scope.workspaceId } : {});
 
-      const imageData = {
-        email: userEmail,
-        url: imageUrl, // Store only the Firebase Storage URL
-        created_at: new Date(),
-        ...metadata,
-      };
+/**
+ * Whether a user may modify or delete a record: owners and editors of its workspace,
+ * or its creator for a personal record
+ */
+const canModifyRecord = async (data, email) =>
+  data.workspaceId ? hasWorkspaceRole(await getMembership(data.workspaceId, email), "editor") : data.email === email;
 
-      try {
-        const docRef = await db.collection("images").add(imageData);
-        const docId = docRef.id;
-        console.log(`✅ Image ${i + 1} saved successfully to Firestore! Doc ID: ${docId}, email: ${userEmail}, URL: ${imageUrl}`);
-        
-        // Verify the document was actually saved
-        const verifyDoc = await db.collection("images").doc(docId).get();
-        if (verifyDoc.exists) {
-          console.log(`✅ Verified: Document ${docId} exists in Firestore`);
-        } else {
-          console.error(`❌ WARNING: Document ${docId} was not found after save!`);
-        }
-      } catch (saveError) {
-        console.error(`❌ Failed to save image ${i + 1} to Firestore:`, saveError?.message || saveError);
-        console.error(`❌ Error details:`, saveError);
-        // Continue with next image even if one fails
-      }
-    }
-    
-    // Final verification: count documents for this email
-    try {
-      const verifySnapshot = await db.collection("images").where("email", "==", userEmail).get();
-      console.log(`✅ Final verification: Found ${verifySnapshot.size} document(s) in Firestore for email: ${userEmail}`);
-    } catch (verifyError) {
-      console.error(`❌ Error during final verification:`, verifyError?.message || verifyError);
-    }
-    
-    console.log(`✅ Completed saving ${imageUrls.length} image(s) to Firestore for email: ${userEmail}`);
-  } catch (e) {
-    console.error("❌ Firestore save error (global):", e?.message || e);
-    console.error("Stack trace:", e?.stack);
-    // Continue even if save fails - the images are still returned to frontend
-  }
-};
+/**
+ * Whether a user may see a record: any member of its workspace, or its creator for a personal record
+ */
+const canReadRecord = async (data, email) =>
+  data.workspaceId ? hasWorkspaceRole(await getMembership(data.workspaceId, email), "viewer") : data.email === email;
 
 // ---------------------- SIGNUP ----------------------
-app.post("/signup", async (req, res) => {
+app.post("/signup", signupIpLimiter, async (req, res) => {
+  // Same answer whether the email is new or already registered, so signup cannot be used to probe accounts
+  const genericResponse = {
+    success: true,
+    message: "Signup successful. Check your inbox to verify your email address.",
+  };
+
   try {
     const { email, nom, prenom, password } = req.body;
 
@@ -423,11 +355,30 @@ app.post("/signup", async (req, res) => {
       return res.status(400).json({ success: false, message: "Email and password required." });
     }
 
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ success: false, message: "A valid email address is required." });
+    }
+
+    if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+      return res
+        .status(400)
+        .json({ success: false, message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+    }
+
     const userRef = db.collection("users").doc(email);
     const doc = await userRef.get();
 
     if (doc.exists) {
-      return res.json({ success: false, message: "User already exists." });
+      try {
+        await sendMail({
+          to: email,
+          subject: "Someone tried to sign up with your email",
+          text: `Someone tried to create a Lyter account with this email address, which already has an account.\n\nIf it was you, just log in, or use "Forgot password" on the login page.`,
+        });
+      } catch (mailError) {
+        console.error("Existing account email error:", mailError);
+      }
+      return res.json(genericResponse);
     }
 
     const hashedPassword = await bcrypt.hash(password, 10);
@@ -437,10 +388,19 @@ app.post("/signup", async (req, res) => {
       nom: nom || "",
       prenom: prenom || "",
       password_hash: hashedPassword,
+      role: "user",
+      email_verified: false,
       created_at: new Date(),
     });
 
-    res.json({ success: true, message: "Signup successful." });
+    try {
+      await sendVerificationEmail(email);
+    } catch (mailError) {
+      // The account exists: the user can ask for a new link from the dashboard
+      console.error("Verification email error:", mailError);
+    }
+
+    res.json(genericResponse);
   } catch (error) {
     console.error("Signup error:", error);
     res.status(500).json({ success: false, message: "Error during signup." });
@@ -448,508 +408,1614 @@ app.post("/signup", async (req, res) => {
 });
 
 // ---------------------- LOGIN ----------------------
-app.post("/login", async (req, res) => {
+// Compared against when the account does not exist, so both paths cost one bcrypt comparison
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("lyter-dummy-password", 10);
+
+app.post("/login", loginIpLimiter, loginAccountLimiter, async (req, res) => {
+  const invalidCredentials = { success: false, message: "Invalid email or password." };
+
   try {
     const { email, password } = req.body;
 
-    if (!email || !password) {
+    if (typeof email !== "string" || typeof password !== "string" || !email || !password) {
       return res.status(400).json({ success: false, message: "Email and password required." });
     }
 
+    // No account can have a malformed email, and it is not a valid lockout document id
+    if (!isValidEmail(email)) {
+      return res.status(401).json(invalidCredentials);
+    }
+
+    const lockedUntil = await getLockedUntil(email);
+    if (lockedUntil) {
+      const retryAfter = Math.ceil((lockedUntil.getTime() - Date.now()) / 1000);
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: "Too many failed attempts. Try again later or reset your password.",
+        unlockAt: lockedUntil,
+      });
+    }
+
+    const rejectLogin = async () => {
+      const newLock = await registerFailedLogin(email, req.ip);
+      if (newLock) {
+        console.warn(`🔒 Login locked for ${email} until ${newLock.toISOString()} (ip: ${req.ip})`);
+      }
+      return res.status(401).json(invalidCredentials);
+    };
+
     const userRef = db.collection("users").doc(email);
     const doc = await userRef.get();
+    const userData = doc.exists ? doc.data() : null;
+    const plainPassword = password || "";
 
-    if (!doc.exists) {
-      return res.json({ success: false, message: "User not found." });
+    if (!userData) {
+      await bcrypt.compare(plainPassword, DUMMY_PASSWORD_HASH);
+      return rejectLogin();
     }
 
-    const userData = doc.data();
-    const plainPassword = password || "";
+    // Set by scripts/legacy-passwords.js --force-reset: the plaintext password was wiped and a reset link emailed
+    if (userData.password_reset_required) {
+      return rejectLogin();
+    }
 
     if (!userData.password_hash) {
       if (!userData.password) {
-        return res.json({ success: false, message: "Invalid account." });
+        return rejectLogin();
       }
       const isLegacyMatch = plainPassword === userData.password;
       if (!isLegacyMatch) {
-        return res.json({ success: false, message: "Incorrect password." });
+        return rejectLogin();
       }
+
+      // Legacy account storing a plaintext password: migrate it to bcrypt now that we know it
+      await userRef.update({
+        password_hash: await bcrypt.hash(plainPassword, 10),
+        password: admin.firestore.FieldValue.delete(),
+        password_migrated_at: new Date(),
+      });
+      console.log(`🔐 Legacy plaintext password migrated to bcrypt for: ${email}`);
     } else {
       const isMatch = await bcrypt.compare(plainPassword, userData.password_hash);
       if (!isMatch) {
-        return res.json({ success: false, message: "Incorrect password." });
+        return rejectLogin();
+      }
+
+      // Hashed account still carrying a stale plaintext copy
+      if (userData.password) {
+        await userRef.update({ password: admin.firestore.FieldValue.delete() });
+      }
+    }
+
+    // Only reachable with the right password, so it does not reveal which emails exist
+    if (userData.disabled) {
+      return res.status(403).json({ success: false, message: "This account has been disabled." });
+    }
+
+    await clearLockout(email);
+    const { token, refreshToken, expiresIn } = await createSession(email, req);
+
+    res.json({
+      success: true,
+      message: "Login successful.",
+      token,
+      refreshToken,
+      expiresIn,
+      nom: userData.nom || "",
+      prenom: userData.prenom || "",
+      emailVerified: userData.email_verified !== false,
+      role: userData.role || "user",
+    });
+  } catch (error) {
+    console.error("Login error:", error);
+    res.status(500).json({ success: false, message: "Error during login." });
+  }
+});
+
+// ---------------------- EMAIL VERIFICATION ----------------------
+app.post("/email/verify", async (req, res) => {
+  try {
+    const email = await consumeAuthToken(req.body.token, "email_verification");
+
+    if (!email) {
+      return res.status(400).json({ success: false, message: "Invalid or expired verification link." });
+    }
+
+    const userRef = db.collection("users").doc(email);
+    const userDoc = await userRef.get();
+    if (!userDoc.exists) {
+      return res.status(400).json({ success: false, message: "Invalid or expired verification link." });
+    }
+
+    await userRef.update({ email_verified: true, email_verified_at: new Date() });
+
+    res.json({ success: true, message: "Email address verified." });
+  } catch (error) {
+    console.error("Email verify error:", error);
+    res.status(500).json({ success: false, message: "Error during email verification." });
+  }
+});
+
+app.post("/email/verify/resend", authenticate, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.json({ success: true, message: "Email address already verified." });
+    }
+
+    await sendVerificationEmail(req.user.email);
+
+    res.json({ success: true, message: "Verification email sent." });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(500).json({ success: false, message: "Error sending verification email." });
+  }
+});
+
+// ---------------------- PASSWORD RESET ----------------------
+app.post("/password/forgot", passwordForgotLimiter, async (req, res) => {
+  // Same answer whether the account exists or not, so the route cannot be used to probe emails
+  const genericResponse = {
+    success: true,
+    message: "If an account exists for this email, a reset link has been sent.",
+  };
+
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== "string") {
+      return res.status(400).json({ success: false, message: "Email required." });
+    }
+
+    // Not a possible account id (e.g. contains "/"): same answer as an unknown email
+    if (!isValidEmail(email)) {
+      return res.json(genericResponse);
+    }
+
+    const userDoc = await db.collection("users").doc(email).get();
+    if (userDoc.exists) {
+      await sendPasswordResetEmail(email);
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({ success: false, message: "Error during password reset request." });
+  }
+});
+
+app.post("/password/reset", async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ success: false, message: "Token and password required." });
+    }
+
+    if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+      return res
+        .status(400)
+        .json({ success: false, message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+    }
+
+    const email = await consumeAuthToken(token, "password_reset");
+    if (!email) {
+      return res.status(400).json({ success: false, message: "Invalid or expired reset link." });
+    }
+
+    const userRef = db.collection("users").doc(email);
+    const userDoc = await userRef.get();
+    if (!userDoc.exists) {
+      return res.status(400).json({ success: false, message: "Invalid or expired reset link." });
+    }
+
+    await userRef.update({
+      password_hash: await bcrypt.hash(password, 10),
+      password: admin.firestore.FieldValue.delete(),
+      password_reset_required: admin.firestore.FieldValue.delete(),
+      // Receiving the link proves ownership of the mailbox
+      email_verified: true,
+      password_changed_at: new Date(),
+    });
+
+    // Kill every existing session: whoever knew the old password is logged out
+    await revokeAllSessions(email);
+    await clearLockout(email);
+
+    res.json({ success: true, message: "Password updated. You can now log in." });
+  } catch (error) {
+    console.error("Reset password error:", error);
+    res.status(500).json({ success: false, message: "Error during password reset." });
+  }
+});
+
+// ---------------------- REFRESH TOKEN ----------------------
+app.post("/token/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== "string" || !refreshToken.includes(".")) {
+      return res.status(400).json({ success: false, message: "Refresh token required." });
+    }
+
+    const [sessionId, secret] = refreshToken.split(".");
+    const sessionRef = db.collection("sessions").doc(sessionId);
+    const newSecret = crypto.randomBytes(32).toString("hex");
+
+    // Rotate the secret inside a transaction so a refresh token can only be used once
+    const result = await db.runTransaction(async (tx) => {
+      const sessionDoc = await tx.get(sessionRef);
+      if (!sessionDoc.exists) return { error: "Invalid refresh token." };
+
+      const session = sessionDoc.data();
+      if (session.revoked_at) return { error: "Session revoked." };
+
+      const expiresAt = session.expires_at?.toDate?.() || new Date(session.expires_at);
+      if (expiresAt < new Date()) return { error: "Session expired." };
+
+      const expected = Buffer.from(session.refresh_token_hash, "hex");
+      const received = Buffer.from(hashToken(secret || ""), "hex");
+      if (!crypto.timingSafeEqual(expected, received)) {
+        // An old refresh token was replayed: assume it leaked and kill the session
+        tx.update(sessionRef, { revoked_at: new Date() });
+        return { error: "Invalid refresh token." };
       }
+
+      tx.update(sessionRef, { refresh_token_hash: hashToken(newSecret), last_used_at: new Date() });
+      return { email: session.email };
+    });
+
+    if (result.error) {
+      return res.status(401).json({ success: false, message: result.error });
+    }
+
+    res.json({
+      success: true,
+      token: signAccessToken(result.email, sessionId),
+      refreshToken: `${sessionId}.${newSecret}`,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    });
+  } catch (error) {
+    console.error("Refresh error:", error);
+    res.status(500).json({ success: false, message: "Error during token refresh." });
+  }
+});
+
+// ---------------------- LOGOUT ----------------------
+app.post("/logout", authenticate, async (req, res) => {
+  try {
+    await db.collection("sessions").doc(req.user.sessionId).update({ revoked_at: new Date() });
+    res.json({ success: true, message: "Logged out." });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({ success: false, message: "Error during logout." });
+  }
+});
+
+// ---------------------- SESSIONS ----------------------
+app.get("/sessions", authenticate, async (req, res) => {
+  try {
+    const snapshot = await db
+      .collection("sessions")
+      .where("email", "==", req.user.email)
+      .where("revoked_at", "==", null)
+      .get();
+
+    const now = new Date();
+    const sessions = [];
+    snapshot.forEach((docItem) => {
+      const data = docItem.data();
+      const expiresAt = data.expires_at?.toDate?.() || new Date(data.expires_at);
+      if (expiresAt < now) return;
+      sessions.push({
+        id: docItem.id,
+        userAgent: data.user_agent || "",
+        ip: data.ip || "",
+        created_at: data.created_at?.toDate?.() || data.created_at,
+        last_used_at: data.last_used_at?.toDate?.() || data.last_used_at,
+        expires_at: expiresAt,
+        current: docItem.id === req.user.sessionId,
+      });
+    });
+
+    sessions.sort((a, b) => new Date(b.last_used_at) - new Date(a.last_used_at));
+
+    res.json({ success: true, sessions, count: sessions.length });
+  } catch (error) {
+    console.error("Sessions error:", error);
+    res.status(500).json({ success: false, message: "Error fetching sessions." });
+  }
+});
+
+app.delete("/sessions/:sessionId", authenticate, async (req, res) => {
+  try {
+    const sessionRef = db.collection("sessions").doc(req.params.sessionId);
+    const sessionDoc = await sessionRef.get();
+
+    if (!sessionDoc.exists) {
+      return res.status(404).json({ success: false, message: "Session not found." });
+    }
+
+    if (sessionDoc.data().email !== req.user.email) {
+      return res.status(403).json({ success: false, message: "Access denied." });
+    }
+
+    await sessionRef.update({ revoked_at: new Date() });
+
+    res.json({ success: true, message: "Session revoked." });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({ success: false, message: "Error revoking session." });
+  }
+});
+
+// ---------------------- PROFILE ----------------------
+/**
+ * Check a password against a user document (bcrypt hash, or legacy plaintext not migrated yet)
+ */
+const checkUserPassword = async (userData, password) => {
+  if (!password || typeof password !== "string") return false;
+  if (userData.password_hash) return bcrypt.compare(password, userData.password_hash);
+  return Boolean(userData.password) && password === userData.password;
+};
+
+const toProfile = (email, userData) => ({
+  email,
+  nom: userData.nom || "",
+  prenom: userData.prenom || "",
+  emailVerified: userData.email_verified !== false,
+  created_at: userData.created_at?.toDate?.() || userData.created_at || null,
+});
+
+app.get("/me", authenticate, async (req, res) => {
+  try {
+    const userDoc = await db.collection("users").doc(req.user.email).get();
+    res.json({ success: true, profile: toProfile(req.user.email, userDoc.data()) });
+  } catch (error) {
+    console.error("Get profile error:", error);
+    res.status(500).json({ success: false, message: "Error fetching profile." });
+  }
+});
+
+app.put("/me", authenticate, async (req, res) => {
+  try {
+    const { nom, prenom } = req.body;
+    const updates = {};
+
+    if (typeof nom === "string") updates.nom = nom.trim();
+    if (typeof prenom === "string") updates.prenom = prenom.trim();
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ success: false, message: "Nothing to update (nom, prenom)." });
+    }
+
+    const userRef = db.collection("users").doc(req.user.email);
+    await userRef.update({ ...updates, updated_at: new Date() });
+    const userDoc = await userRef.get();
+
+    res.json({ success: true, message: "Profile updated.", profile: toProfile(req.user.email, userDoc.data()) });
+  } catch (error) {
+    console.error("Update profile error:", error);
+    res.status(500).json({ success: false, message: "Error updating profile." });
+  }
+});
+
+app.put("/me/password", authenticate, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ success: false, message: "Current and new password required." });
+    }
+
+    if (typeof newPassword !== "string" || newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res
+        .status(400)
+        .json({ success: false, message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+    }
+
+    const userRef = db.collection("users").doc(req.user.email);
+    const userDoc = await userRef.get();
+
+    if (!(await checkUserPassword(userDoc.data(), currentPassword))) {
+      return res.status(403).json({ success: false, message: "Current password is incorrect." });
+    }
+
+    await userRef.update({
+      password_hash: await bcrypt.hash(newPassword, 10),
+      password: admin.firestore.FieldValue.delete(),
+      password_changed_at: new Date(),
+    });
+
+    // Log out every other device, keep the one that made the change
+    const revoked = await revokeAllSessions(req.user.email, req.user.sessionId);
+
+    res.json({ success: true, message: "Password updated.", revokedSessions: revoked });
+  } catch (error) {
+    console.error("Change password error:", error);
+    res.status(500).json({ success: false, message: "Error changing password." });
+  }
+});
+
+app.put("/me/email", authenticate, async (req, res) => {
+  try {
+    const { newEmail, password } = req.body;
+    const oldEmail = req.user.email;
+
+    if (!newEmail || typeof newEmail !== "string" || !isValidEmail(newEmail.trim())) {
+      return res.status(400).json({ success: false, message: "A valid new email is required." });
+    }
+
+    const targetEmail = newEmail.trim();
+    if (targetEmail === oldEmail) {
+      return res.status(400).json({ success: false, message: "This is already your email." });
+    }
+
+    const oldRef = db.collection("users").doc(oldEmail);
+    const newRef = db.collection("users").doc(targetEmail);
+    const oldDoc = await oldRef.get();
+
+    if (!(await checkUserPassword(oldDoc.data(), password))) {
+      return res.status(403).json({ success: false, message: "Password is incorrect." });
+    }
+
+    // Users are keyed by email: move the document to its new key in one transaction
+    const moved = await db.runTransaction(async (tx) => {
+      const [currentDoc, targetDoc] = await Promise.all([tx.get(oldRef), tx.get(newRef)]);
+      if (targetDoc.exists) return false;
+
+      tx.set(newRef, {
+        ...currentDoc.data(),
+        email: targetEmail,
+        email_verified: false,
+        previous_email: oldEmail,
+        email_changed_at: new Date(),
+      });
+      tx.delete(oldRef);
+      return true;
+    });
+
+    if (!moved) {
+      return res.status(409).json({ success: false, message: "This email is already used by another account." });
+    }
+
+    const movedRecords = await repointUserRecords(oldEmail, targetEmail);
+    console.log(`✅ Email changed from ${oldEmail} to ${targetEmail}, records moved:`, movedRecords);
+
+    // Tokens and API keys carry the old email: revoke them all and hand out a new session
+    await revokeAllSessions(oldEmail);
+    const revokedApiKeys = await revokeAllApiKeys(oldEmail);
+    const { token, refreshToken, expiresIn } = await createSession(targetEmail, req);
+
+    try {
+      await sendVerificationEmail(targetEmail);
+      await sendMail({
+        to: oldEmail,
+        subject: "Your Lyter email address was changed",
+        text: `The email address of your Lyter account was changed to ${targetEmail}.\n\nIf you did not do this, contact us immediately.`,
+      });
+    } catch (mailError) {
+      console.error("Email change notification error:", mailError);
+    }
+
+    res.json({
+      success: true,
+      message: revokedApiKeys
+        ? "Email updated. Check your new inbox to verify it. Your API keys were revoked, create new ones."
+        : "Email updated. Check your new inbox to verify it.",
+      email: targetEmail,
+      token,
+      refreshToken,
+      expiresIn,
+      movedRecords,
+    });
+  } catch (error) {
+    console.error("Change email error:", error);
+    res.status(500).json({ success: false, message: "Error changing email." });
+  }
+});
+
+// ---------------------- API KEYS ----------------------
+app.get("/api-keys", authenticate, async (req, res) => {
+  try {
+    res.json({ success: true, apiKeys: await listApiKeys(req.user.email), scopes: API_KEY_SCOPES });
+  } catch (error) {
+    console.error("API keys list error:", error);
+    res.status(500).json({ success: false, message: "Error fetching API keys." });
+  }
+});
+
+app.post("/api-keys", authenticate, async (req, res) => {
+  try {
+    const name = typeof req.body.name === "string" ? req.body.name.trim() : "";
+    const { scopes } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ success: false, message: "A name is required for the API key." });
+    }
+    if (
+      !Array.isArray(scopes) ||
+      scopes.length === 0 ||
+      scopes.some((scope) => !API_KEY_SCOPES.includes(scope))
+    ) {
+      return res
+        .status(400)
+        .json({ success: false, message: `Scopes must be a non-empty list of: ${API_KEY_SCOPES.join(", ")}.` });
+    }
+    if ((await countActiveApiKeys(req.user.email)) >= MAX_ACTIVE_KEYS) {
+      return res
+        .status(409)
+        .json({ success: false, message: `You can have at most ${MAX_ACTIVE_KEYS} active API keys.` });
+    }
+
+    const { key, apiKey } = await createApiKey(req.user.email, { name, scopes: [...new Set(scopes)] });
+    res.status(201).json({
+      success: true,
+      message: "API key created. Copy it now, it will not be shown again.",
+      key,
+      apiKey,
+    });
+  } catch (error) {
+    console.error("API key create error:", error);
+    res.status(500).json({ success: false, message: "Error creating API key." });
+  }
+});
+
+app.delete("/api-keys/:keyId", authenticate, async (req, res) => {
+  try {
+    if (!(await revokeApiKey(req.user.email, req.params.keyId))) {
+      return res.status(404).json({ success: false, message: "API key not found." });
+    }
+    res.json({ success: true, message: "API key revoked." });
+  } catch (error) {
+    console.error("API key revoke error:", error);
+    res.status(500).json({ success: false, message: "Error revoking API key." });
+  }
+});
+
+// ---------------------- GDPR EXPORT ----------------------
+app.get("/me/export", authenticate, async (req, res) => {
+  const email = req.user.email;
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.set("Content-Type", "application/zip");
+  res.set("Content-Disposition", `attachment; filename="lyter-export-${date}.zip"`);
+
+  try {
+    const manifest = await streamUserExport(email, res);
+    console.log(
+      `📦 Export for ${email}: ${JSON.stringify(manifest.collections)}, ${manifest.files.length} file(s), ${manifest.missing_files.length} missing`
+    );
+  } catch (error) {
+    if (error.code === "EXPORT_ABORTED") {
+      console.warn(`⚠️ ${error.message}`);
+      return;
+    }
+    console.error("Export error:", error);
+    // Once the ZIP has started streaming the status can no longer change: cut the connection
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.set("Content-Disposition", "inline");
+      res.status(500).json({ success: false, message: "Error during export." });
+    }
+  }
+});
+
+// ---------------------- DELETE PROFILE ----------------------
+const deleteAccount = async (req, res) => {
+  try {
+    const email = req.user.email;
+
+    // Tokens die first, then everything else (Storage files, records, account) is erased
+    await revokeAllSessions(email);
+    const report = await eraseUserData(email);
+    console.log(`🗑️ Account erased for ${email}:`, JSON.stringify(report));
+
+    res.json({ success: true, message: "Profile and photos deleted successfully.", report });
+  } catch (error) {
+    console.error("Delete error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error during deletion. Your data was partially deleted, please try again to finish.",
+    });
+  }
+};
+
+app.delete("/me", authenticate, deleteAccount);
+app.delete("/delete/:email", authenticate, requireSameUser, deleteAccount);
+
+// ---------------------- STYLES ----------------------
+app.get("/styles", (req, res) => {
+  const styles = STYLES.map((styleItem) => ({
+    ...styleItem,
+    preview: `/styles/${styleItem.id}/preview.svg`,
+  }));
+  res.json({ success: true, categories: STYLE_CATEGORIES, styles });
+});
+
+app.get("/styles/:styleId/preview.svg", (req, res) => {
+  const svg = renderStylePreview(req.params.styleId);
+  if (!svg) {
+    return res.status(404).json({ success: false, message: "Style not found." });
+  }
+  res.set("Cache-Control", "public, max-age=86400");
+  res.type("image/svg+xml").send(svg);
+});
+
+// ---------------------- CUSTOM STYLES ----------------------
+// Personal styles, or team styles when a workspaceId is given (editors manage them, every member uses them)
+app.get("/custom-styles", authenticate, resolveScope("viewer"), async (req, res) => {
+  try {
+    const snapshot = await scopedQuery("custom_styles", req.scope).get();
+    const styles = snapshot.docs
+      .filter((doc) => inScope(doc.data(), req.scope))
+      .map(toCustomStyle)
+      .sort((a, b) => a.label.localeCompare(b.label));
+
+    res.json({ success: true, styles });
+  } catch (error) {
+    console.error("Custom styles list error:", error);
+    res.status(500).json({ success: false, message: "Error fetching custom styles." });
+  }
+});
+
+app.post("/custom-styles", authenticate, resolveScope("editor"), async (req, res) => {
+  try {
+    const { error, value } = parseCustomStyle(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const now = new Date();
+    const docRef = await db.collection("custom_styles").add({
+      ...value,
+      email: req.user.email,
+      created_at: now,
+      updated_at: now,
+      ...scopeFields(req.scope),
+    });
+
+    res.status(201).json({ success: true, style: toCustomStyle(await docRef.get()) });
+  } catch (error) {
+    console.error("Custom style create error:", error);
+    res.status(500).json({ success: false, message: "Error creating custom style." });
+  }
+});
+
+/**
+ * Load the custom style of a :styleId URL parameter ("custom:<id>" or the bare id)
+ * if the caller may modify it; otherwise answer 404/403 and return null
+ */
+const loadEditableCustomStyle = async (req, res) => {
+  const docId = req.params.styleId.replace(/^custom:/, "");
+  // Same guard as getCustomStyleForUser: "/" would make .doc() throw
+  if (!docId || docId.includes("/")) {
+    res.status(404).json({ success: false, message: "Custom style not found." });
+    return null;
+  }
+  const docRef = db.collection("custom_styles").doc(docId);
+  const doc = await docRef.get();
+
+  if (!doc.exists) {
+    res.status(404).json({ success: false, message: "Custom style not found." });
+    return null;
+  }
+  if (!(await canModifyRecord(doc.data(), req.user.email))) {
+    res.status(403).json({ success: false, message: "Access denied." });
+    return null;
+  }
+  return docRef;
+};
+
+app.put("/custom-styles/:styleId", authenticate, async (req, res) => {
+  try {
+    const { error, value } = parseCustomStyle(req.body, true);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const docRef = await loadEditableCustomStyle(req, res);
+    if (!docRef) return;
+
+    await docRef.update({ ...value, updated_at: new Date() });
+    res.json({ success: true, style: toCustomStyle(await docRef.get()) });
+  } catch (error) {
+    console.error("Custom style update error:", error);
+    res.status(500).json({ success: false, message: "Error updating custom style." });
+  }
+});
+
+app.delete("/custom-styles/:styleId", authenticate, async (req, res) => {
+  try {
+    const docRef = await loadEditableCustomStyle(req, res);
+    if (!docRef) return;
+
+    await docRef.delete();
+    res.json({ success: true, message: "Custom style deleted." });
+  } catch (error) {
+    console.error("Custom style delete error:", error);
+    res.status(500).json({ success: false, message: "Error deleting custom style." });
+  }
+});
+
+// ---------------------- REFERENCE PHOTOS ----------------------
+// Selfies kept between generations; generation routes take them by id (referencePhotoIds)
+app.get("/reference-photos", authenticate, async (req, res) => {
+  try {
+    res.json({ success: true, photos: await listReferencePhotos(req.user.email) });
+  } catch (error) {
+    console.error("Reference photos list error:", error);
+    res.status(500).json({ success: false, message: "Error fetching reference photos." });
+  }
+});
+
+app.post("/reference-photos", authenticate, requireVerifiedEmail, photoUpload, async (req, res) => {
+  try {
+    // Only files written by photoUpload: req.body is the client's, paths there are not ours
+    const files = req.uploads?.photos || [];
+    if (files.length === 0) {
+      return res.status(400).json({ success: false, message: "Upload at least one photo (multipart \"photos\" field)." });
+    }
+
+    const label = typeof req.body.label === "string" ? req.body.label.trim() : "";
+    const photos = await addReferencePhotos(req.user.email, files, { label });
+    res.status(201).json({ success: true, photos });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error("Reference photo upload error:", error);
+    res.status(500).json({ success: false, message: "Error saving reference photos." });
+  }
+});
+
+app.put("/reference-photos/:photoId", authenticate, async (req, res) => {
+  try {
+    const photo = await updateReferencePhoto(req.user.email, req.params.photoId, req.body);
+    if (!photo) {
+      return res.status(404).json({ success: false, message: "Reference photo not found." });
+    }
+    res.json({ success: true, photo });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error("Reference photo update error:", error);
+    res.status(500).json({ success: false, message: "Error updating reference photo." });
+  }
+});
+
+app.delete("/reference-photos/:photoId", authenticate, async (req, res) => {
+  try {
+    const deleted = await deleteReferencePhoto(req.user.email, req.params.photoId);
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: "Reference photo not found." });
+    }
+    res.json({ success: true, message: "Reference photo deleted." });
+  } catch (error) {
+    console.error("Reference photo delete error:", error);
+    res.status(500).json({ success: false, message: "Error deleting reference photo." });
+  }
+});
+
+// ---------------------- FORMATS ----------------------
+app.get("/formats", (req, res) => {
+  res.json({ success: true, formats: FORMAT_PRESETS });
+});
+
+// ---------------------- IMAGE PROVIDERS ----------------------
+app.get("/image-providers", (req, res) => {
+  res.json({ success: true, providers: listImageProviders() });
+});
+
+// ---------------------- GENERATE IMAGE (style) ----------------------
+app.post("/generate", authenticateOrApiKey("generate"), requireVerifiedEmail, photoUpload, referencePhotoInput, resolveScope("editor"), async (req, res) => {
+  try {
+    const { style, numberOfImages, format } = req.body;
+    const { photos } = req;
+
+    const inputError = validateGenerationInput("style", { ...req.body, photos });
+    if (inputError) {
+      return res.status(400).json({ success: false, message: inputError });
+    }
+
+    const { imageUrls, originalUrls, imageIds, prompt } = await runStyleGeneration({
+      email: req.user.email,
+      style,
+      photos,
+      numberOfImages,
+      format,
+      provider: resolveImageProvider(req.body.provider),
+      metadata: scopeFields(req.scope),
+    });
+
+    res.json({ success: true, imageUrls, originalUrls, imageIds, prompt });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error("Generation error:", error);
+    await recordGenerationFailure(req.user?.email, {
+      route: "/generate",
+      style: req.body?.style || null,
+      stage: "error",
+      error: error?.message || String(error),
+    });
+    res.status(500).json({ success: false, message: "Error during generation." });
+  }
+});
+
+// ---------------------- GENERATE IMAGE (auto prompt via LLM) ----------------------
+app.post("/generate-auto", authenticateOrApiKey("generate"), requireVerifiedEmail, photoUpload, referencePhotoInput, resolveScope("editor"), async (req, res) => {
+  try {
+    const { postText, format } = req.body;
+    const { photos } = req;
+
+    if (!isLlmConfigured()) {
+      return res.status(500).json({ success: false, message: "Missing LLM_API_KEY or OPENAI_API_KEY" });
+    }
+
+    const inputError = validateGenerationInput("auto", { ...req.body, photos });
+    if (inputError) {
+      return res.status(400).json({ success: false, message: inputError });
+    }
+
+    const { imageUrls, originalUrls, imageIds, prompt, optimizedPrompt } = await runAutoGeneration({
+      email: req.user.email,
+      postText,
+      photos,
+      format,
+      provider: resolveImageProvider(req.body.provider),
+      metadata: scopeFields(req.scope),
+    });
+
+    res.json({ success: true, imageUrls, originalUrls, imageIds, prompt, optimizedPrompt });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error("Auto generation error:", error);
+    await recordGenerationFailure(req.user?.email, {
+      route: "/generate-auto",
+      stage: "error",
+      error: error?.message || String(error),
+    });
+    res.status(500).json({ success: false, message: "Error during auto generation." });
+  }
+});
+
+// ---------------------- GENERATION JOBS ----------------------
+// Queued counterpart of /generate and /generate-auto: answers at once with a job id,
+// the worker (in-process, or `npm run worker` with JOBS_WORKER=external) does the generation
+let jobWorker = null;
+
+app.post("/jobs", authenticateOrApiKey("generate"), requireVerifiedEmail, photoUpload, referencePhotoInput, resolveScope("editor"), async (req, res) => {
+  try {
+    const { type = "style", style, numberOfImages, postText, provider, format } = req.body;
+    const { photos } = req;
+
+    if (!JOB_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, message: `type must be one of: ${JOB_TYPES.join(", ")}.` });
+    }
+
+    const inputError = validateGenerationInput(type, { ...req.body, photos });
+    if (inputError) {
+      return res.status(400).json({ success: false, message: inputError });
+    }
+
+    if (type === "auto" && !isLlmConfigured()) {
+      return res.status(500).json({ success: false, message: "Missing LLM_API_KEY or OPENAI_API_KEY" });
+    }
+
+    // Reject an unknown or unconfigured provider now rather than in the worker
+    resolveImageProvider(provider);
+
+    const params =
+      type === "auto"
+        ? { postText, format: format || null, provider: provider || null }
+        : { style, numberOfImages: numberOfImages || null, format: format || null, provider: provider || null };
+
+    const job = await createJob({
+      email: req.user.email,
+      type,
+      params,
+      photos,
+      workspaceId: req.scope.workspaceId || null,
+    });
+    if (jobWorker) jobWorker.wake();
+
+    res.status(202).json({ success: true, jobId: job.id, job });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error("Job creation error:", error);
+    res.status(500).json({ success: false, message: "Error while queuing the generation." });
+  }
+});
+
+app.get("/jobs/:jobId", authenticateOrApiKey("generate"), async (req, res) => {
+  try {
+    const jobDoc = await db.collection("jobs").doc(req.params.jobId).get();
+    if (!jobDoc.exists || jobDoc.data().email !== req.user.email) {
+      return res.status(404).json({ success: false, message: "Job not found." });
+    }
+
+    res.json({ success: true, job: toJob(jobDoc) });
+  } catch (error) {
+    console.error("Job status error:", error);
+    res.status(500).json({ success: false, message: "Error while reading the job." });
+  }
+});
+
+// Progress as Server-Sent Events: prompt, image i/N started, uploaded or failed, done.
+// A client reconnecting with Last-Event-ID (header or ?lastEventId=) resumes after that event.
+app.get("/jobs/:jobId/events", authenticateOrApiKey("generate"), async (req, res) => {
+  try {
+    const jobRef = db.collection("jobs").doc(req.params.jobId);
+    const jobDoc = await jobRef.get();
+    if (!jobDoc.exists || jobDoc.data().email !== req.user.email) {
+      return res.status(404).json({ success: false, message: "Job not found." });
+    }
+
+    const lastEventId = Number(req.get("Last-Event-ID") || req.query.lastEventId) || 0;
+    streamJobEvents(jobRef, req, res, lastEventId);
+  } catch (error) {
+    console.error("Job events error:", error);
+    res.status(500).json({ success: false, message: "Error while reading the job." });
+  }
+});
+
+// ---------------------- SAVE FINAL SELECTION ----------------------
+app.post("/selection", authenticate, resolveScope("editor"), async (req, res) => {
+  try {
+    const { imageUrl, prompt, flowType } = req.body;
+    const email = req.user.email;
+
+    if (!imageUrl) {
+      return res
+        .status(400)
+        .json({ success: false, message: "imageUrl is required to save a selection." });
+    }
+
+    // Truncate very large data URLs to avoid Firestore 1MB limit
+    let urlToSave = imageUrl;
+    if (typeof urlToSave === "string" && urlToSave.length > 800000) {
+      urlToSave = urlToSave.substring(0, 500000) + "...[truncated]";
+    }
+
+    await db.collection("selections").add({
+      email,
+      imageUrl: urlToSave,
+      prompt: prompt || "",
+      flowType: flowType || "unknown",
+      saved_at: new Date(),
+      ...scopeFields(req.scope),
+    });
+
+    res.json({ success: true, message: "Final image selection saved." });
+  } catch (error) {
+    console.error("Selection save error:", error);
+    res.status(500).json({ success: false, message: "Error saving selection." });
+  }
+});
+
+// ---------------------- LIST SELECTIONS ----------------------
+app.get("/selections", authenticateOrApiKey("gallery:read"), resolveScope("viewer"), async (req, res) => {
+  try {
+    const snapshot = await scopedQuery("selections", req.scope).get();
+    const selections = snapshot.docs
+      .filter((doc) => inScope(doc.data(), req.scope))
+      .map((doc) => {
+        const data = doc.data();
+        return {
+          id: doc.id,
+          imageUrl: data.imageUrl,
+          prompt: data.prompt || "",
+          flowType: data.flowType || "unknown",
+          savedBy: data.email,
+          saved_at: data.saved_at?.toDate?.() || null,
+        };
+      })
+      .sort((a, b) => (b.saved_at || 0) - (a.saved_at || 0));
+
+    res.json({ success: true, selections });
+  } catch (error) {
+    console.error("Selections list error:", error);
+    res.status(500).json({ success: false, message: "Error fetching selections." });
+  }
+});
+
+// ---------------------- ADMIN: DEBUG FIRESTORE ----------------------
+app.get("/admin/debug/firestore/:email", authenticate, requireRole("admin"), async (req, res) => {
+  try {
+    const email = req.params.email;
+    console.log(`🔍 DEBUG: Checking Firestore for email: ${email}`);
+
+    // Get all documents for this email
+    const imagesSnapshot = await db.collection("images").where("email", "==", email).get();
+    console.log(`🔍 Found ${imagesSnapshot.size} documents in Firestore`);
+
+    const allDocs = [];
+    imagesSnapshot.forEach((doc) => {
+      const data = doc.data();
+      allDocs.push({
+        id: doc.id,
+        email: data.email,
+        urlLength: data.url ? data.url.length : 0,
+        urlPreview: data.url ? (data.url.length > 100 ? data.url.substring(0, 100) + "..." : data.url) : "NO URL",
+        isTruncated: data.url ? data.url.includes("[truncated]") : false,
+        originalLength: data.originalLength || 0,
+        created_at: data.created_at,
+        style: data.style,
+        source: data.source,
+        photosCount: data.photosCount,
+      });
+    });
+
+    res.json({
+      success: true,
+      email,
+      totalDocuments: imagesSnapshot.size,
+      documents: allDocs,
+    });
+  } catch (error) {
+    console.error("DEBUG error:", error);
+    res.status(500).json({ success: false, message: "Debug error", error: error.message });
+  }
+});
+
+// ---------------------- ADMIN: USERS ----------------------
+const toAdminUser = (doc) => {
+  const data = doc.data();
+  return {
+    email: doc.id,
+    nom: data.nom || "",
+    prenom: data.prenom || "",
+    role: data.role || "user",
+    disabled: Boolean(data.disabled),
+    emailVerified: data.email_verified !== false,
+    created_at: data.created_at?.toDate?.() || data.created_at || null,
+  };
+};
+
+app.get("/admin/users", authenticate, requireRole("admin"), async (req, res) => {
+  try {
+    const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const documentId = admin.firestore.FieldPath.documentId();
+
+    // Users are keyed by email: search is an email prefix match on the document ID
+    let query = db.collection("users").orderBy(documentId).limit(limit);
+    if (q) {
+      query = query.where(documentId, ">=", q).where(documentId, "<", `${q}\uf8ff`);
+    }
+    if (req.query.after) {
+      query = query.startAfter(String(req.query.after));
+    }
+
+    const snapshot = await query.get();
+    const users = snapshot.docs.map(toAdminUser);
+
+    res.json({
+      success: true,
+      users,
+      count: users.length,
+      next: users.length === limit ? users[users.length - 1].email : null,
+    });
+  } catch (error) {
+    console.error("Admin list users error:", error);
+    res.status(500).json({ success: false, message: "Error listing users." });
+  }
+});
+
+app.get("/admin/users/:email", authenticate, requireRole("admin"), async (req, res) => {
+  try {
+    const email = req.params.email;
+    const userDoc = await db.collection("users").doc(email).get();
+
+    if (!userDoc.exists) {
+      return res.status(404).json({ success: false, message: "User not found." });
+    }
+
+    const [counts, storage, lockedUntil] = await Promise.all([
+      countUserRecords(email),
+      getStorageUsage(email),
+      getLockedUntil(email),
+    ]);
+
+    res.json({ success: true, user: toAdminUser(userDoc), counts, storage, lockedUntil });
+  } catch (error) {
+    console.error("Admin user detail error:", error);
+    res.status(500).json({ success: false, message: "Error fetching user." });
+  }
+});
+
+app.put("/admin/users/:email/status", authenticate, requireRole("admin"), async (req, res) => {
+  try {
+    const email = req.params.email;
+    const { disabled } = req.body;
+
+    if (typeof disabled !== "boolean") {
+      return res.status(400).json({ success: false, message: "disabled (boolean) required." });
+    }
+
+    if (email === req.user.email) {
+      return res.status(400).json({ success: false, message: "You cannot disable your own account." });
+    }
+
+    const userRef = db.collection("users").doc(email);
+    if (!(await userRef.get()).exists) {
+      return res.status(404).json({ success: false, message: "User not found." });
+    }
+
+    await userRef.update({
+      disabled,
+      disabled_at: disabled ? new Date() : null,
+      disabled_by: disabled ? req.user.email : null,
+    });
+
+    // A disabled user is logged out everywhere right away
+    const revokedSessions = disabled ? await revokeAllSessions(email) : 0;
+
+    res.json({
+      success: true,
+      message: disabled ? "Account disabled." : "Account enabled.",
+      revokedSessions,
+    });
+  } catch (error) {
+    console.error("Admin status error:", error);
+    res.status(500).json({ success: false, message: "Error updating account status." });
+  }
+});
+
+app.put("/admin/users/:email/role", authenticate, requireRole("admin"), async (req, res) => {
+  try {
+    const email = req.params.email;
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: `role must be one of: ${ROLES.join(", ")}.` });
+    }
+
+    if (email === req.user.email) {
+      return res.status(400).json({ success: false, message: "You cannot change your own role." });
+    }
+
+    const userRef = db.collection("users").doc(email);
+    if (!(await userRef.get()).exists) {
+      return res.status(404).json({ success: false, message: "User not found." });
+    }
+
+    await userRef.update({ role });
+
+    res.json({ success: true, message: `Role set to ${role}.` });
+  } catch (error) {
+    console.error("Admin role error:", error);
+    res.status(500).json({ success: false, message: "Error updating role." });
+  }
+});
+
+// ---------------------- ADMIN: FAILURES & LOCKOUTS ----------------------
+app.get("/admin/failures", authenticate, requireRole("admin"), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    let query = db.collection("generation_failures");
+    if (req.query.email) {
+      query = query.where("email", "==", String(req.query.email));
+    }
+    query = query.orderBy("created_at", "desc").limit(limit);
+
+    const snapshot = await query.get();
+    const failures = snapshot.docs.map((doc) => {
+      const data = doc.data();
+      return { id: doc.id, ...data, created_at: data.created_at?.toDate?.() || data.created_at };
+    });
+
+    res.json({ success: true, failures, count: failures.length });
+  } catch (error) {
+    console.error("Admin failures error:", error);
+    res.status(500).json({ success: false, message: "Error fetching generation failures." });
+  }
+});
+
+app.get("/admin/lockouts", authenticate, requireRole("admin"), async (req, res) => {
+  try {
+    const lockouts = await listLockouts();
+    res.json({ success: true, lockouts, count: lockouts.length });
+  } catch (error) {
+    console.error("Admin lockouts error:", error);
+    res.status(500).json({ success: false, message: "Error fetching lockouts." });
+  }
+});
+
+app.delete("/admin/lockouts/:email", authenticate, requireRole("admin"), async (req, res) => {
+  try {
+    await clearLockout(req.params.email);
+    res.json({ success: true, message: "Account unlocked." });
+  } catch (error) {
+    console.error("Admin unlock error:", error);
+    res.status(500).json({ success: false, message: "Error unlocking account." });
+  }
+});
+
+// ---------------------- WORKSPACES ----------------------
+// The logo is not a free field: it is uploaded through /brand/logo and kept under workspaces/<id>/
+const BRAND_FIELDS = ["companyName", "primaryColor", "secondaryColor", "font"];
+
+/**
+ * Storage path of a workspace's brand logo, null unless it lives under the workspace's own prefix
+ */
+const workspaceLogoPath = (workspaceId, brand) => {
+  const logoPath = storagePathFromUrl(brand?.logoUrl);
+  return logoPath && logoPath.startsWith(`workspaces/${workspaceId}/`) ? logoPath : null;
+};
+
+/**
+ * Only let through active members of :workspaceId holding at least minRole; sets req.membership.
+ * Must run after authenticate.
+ * @param {"owner" | "editor" | "viewer"} minRole
+ */
+const requireWorkspaceRole = (minRole) => async (req, res, next) => {
+  try {
+    const membership = await getMembership(req.params.workspaceId, req.user.email);
+    if (!membership || membership.status !== "active") {
+      return res.status(404).json({ success: false, message: "Workspace not found." });
     }
-
-    const token = jwt.sign({ email }, SECRET_KEY, { expiresIn: "1h" });
-
-    res.json({
-      success: true,
-      message: "Login successful.",
-      token,
-      nom: userData.nom || "",
-      prenom: userData.prenom || "",
-    });
+    if (!hasWorkspaceRole(membership, minRole)) {
+      return res.status(403).json({ success: false, message: "Your workspace role does not allow this action." });
+    }
+    req.membership = membership;
+    next();
   } catch (error) {
-    console.error("Login error:", error);
-    res.status(500).json({ success: false, message: "Error during login." });
+    console.error("Workspace access error:", error);
+    res.status(500).json({ success: false, message: "Error checking workspace access." });
   }
+};
+
+const toWorkspace = (doc, membership) => ({
+  id: doc.id,
+  name: doc.data().name,
+  brand: doc.data().brand || {},
+  created_at: doc.data().created_at?.toDate?.() || null,
+  role: membership.role,
+  status: membership.status,
 });
 
-// ---------------------- DELETE PROFILE ----------------------
-app.delete("/delete/:email", async (req, res) => {
-  try {
-    const email = req.params.email;
+const countActiveOwners = async (workspaceId) => {
+  const snapshot = await db
+    .collection("workspace_members")
+    .where("workspaceId", "==", workspaceId)
+    .where("role", "==", "owner")
+    .where("status", "==", "active")
+    .count()
+    .get();
+  return snapshot.data().count;
+};
 
-    if (!email) {
-      return res.status(400).json({ success: false, message: "Email required." });
+app.post("/workspaces", authenticate, async (req, res) => {
+  try {
+    const name = typeof req.body.name === "string" ? req.body.name.trim() : "";
+    if (!name) {
+      return res.status(400).json({ success: false, message: "Workspace name is required." });
     }
 
-    await db.collection("users").doc(email).delete();
-
-    const imagesSnapshot = await db.collection("images").where("email", "==", email).get();
+    const workspaceRef = db.collection("workspaces").doc();
+    const now = new Date();
     const batch = db.batch();
-    imagesSnapshot.forEach((docItem) => batch.delete(db.collection("images").doc(docItem.id)));
+    batch.set(workspaceRef, { name, brand: {}, created_at: now });
+    batch.set(db.collection("workspace_members").doc(), {
+      workspaceId: workspaceRef.id,
+      email: req.user.email,
+      role: "owner",
+      status: "active",
+      joined_at: now,
+    });
     await batch.commit();
 
-    res.json({ success: true, message: "Profile and photos deleted successfully." });
+    res.status(201).json({ success: true, workspace: { id: workspaceRef.id, name, brand: {}, role: "owner" } });
   } catch (error) {
-    console.error("Delete error:", error);
-    res.status(500).json({ success: false, message: "Error during deletion." });
+    console.error("Workspace create error:", error);
+    res.status(500).json({ success: false, message: "Error creating workspace." });
   }
 });
 
-// ---------------------- GENERATE IMAGE (Gemini + style) ----------------------
-app.post("/generate", async (req, res) => {
+// Workspaces the user belongs to, pending invitations included
+app.get("/workspaces", authenticate, async (req, res) => {
   try {
-    const { email, style, photos, numberOfImages } = req.body;
-
-    if (!process.env.GOOGLE_API_KEY) {
-      return res.status(500).json({ success: false, message: "Missing GOOGLE_API_KEY" });
-    }
-
-    if (!style || !Array.isArray(photos)) {
-      return res.status(400).json({ success: false, message: "Style and photos array required" });
-    }
-
-    if (photos.length === 0) {
-      return res.status(400).json({ success: false, message: "At least one photo required" });
-    }
-
-    if (photos.length > 10) {
-      return res.status(400).json({ success: false, message: "Maximum 10 photos allowed" });
+    const memberships = await db.collection("workspace_members").where("email", "==", req.user.email).get();
+    if (memberships.empty) {
+      return res.json({ success: true, workspaces: [], invitations: [] });
     }
 
-    // Helper function to add face fidelity and clothing consistency requirements
-    const addFidelityRequirements = (basePrompt) => {
-      return `${basePrompt} Be faithful to the original face: preserve the same eyes (color, shape, expression), face shape, hair style/color/length, and skin tone from the reference photos. Keep the same clothing style, colors, and formality level as shown in the reference photos (do not add costumes or formal wear if not present in the original photos). Only the user should appear in the image—no other people or humans. Style: photorealistic and faithful to the original face.`;
-    };
-
-    // Prompts by style (English for better model results)
-    let finalPrompt = "";
-
-    switch (style) {
-      // 1 Portraits professionnels
-      case "professional_indoor":
-        finalPrompt = addFidelityRequirements(
-          "Professional indoor portrait of the user, well-dressed, modern office or elegant workspace background, soft lighting, serious and credible style. Context: professional post, announcement, career advice."
-        );
-        break;
-
-      case "professional_outdoor":
-        finalPrompt = addFidelityRequirements(
-          "Professional outdoor portrait of the user, elegant outfit, pleasant landscape or modern building background, calm and composed atmosphere. Context: inspiring post, storytelling, leadership."
-        );
-        break;
-
-      case "corporate_studio":
-        finalPrompt = addFidelityRequirements(
-          "Corporate studio portrait of the user, neutral background, clean and sharp lighting, upright posture. Context: formal post, important announcement or public speaking."
-        );
-        break;
-
-      // 2 Portraits semi décontractés
-      case "modern_workspace":
-        finalPrompt = addFidelityRequirements(
-          "Semi-casual portrait of the user in a modern workspace or coworking area, bright office ambiance, less formal outfit, visible work accessories. Context: productivity, organization, tips."
-        );
-        break;
-
-      case "personal_office":
-        finalPrompt = addFidelityRequirements(
-          "Casual portrait of the user in a personal office, intimate decor, visible personal objects, warm atmosphere. Context: authentic post, sharing experience."
-        );
-        break;
-
-      case "street":
-        finalPrompt = addFidelityRequirements(
-          "Casual portrait of the user in an urban street setting, casual outfit, slight movement in posture. Context: lifestyle post, storytelling."
-        );
-        break;
-
-      // 3 Scènes d'action
-      case "working_computer":
-        finalPrompt = addFidelityRequirements(
-          "Action portrait of the user working on a computer at a desk, focused look, laptop open and visible. Context: productive, technical focus."
-        );
-        break;
-
-      case "writing_notes":
-        finalPrompt = addFidelityRequirements(
-          "Action portrait of the user writing or taking notes, notebook and pen visible on a clear table, calm atmosphere. Context: methodology, reflection, coaching."
-        );
-        break;
-
-      case "presenting_screen":
-        finalPrompt = addFidelityRequirements(
-          "Action portrait of the user presenting something on screen, pointing gesture toward the computer, screen visible but content blurred. Context: tutorial, analysis, demonstration."
-        );
-        break;
-
-      case "meeting":
-        finalPrompt = addFidelityRequirements(
-          "Portrait of the user alone in a meeting setting, table or screen visible, no other people in the frame. Context: management, collaboration."
-        );
-        break;
-
-      case "walking_street":
-        finalPrompt = addFidelityRequirements(
-          "Portrait of the user walking in the street alone, natural movement, urban decor, energetic yet professional vibe. Context: motivation, rhythm, momentum."
-        );
-        break;
-
-      // 4 Selfies naturels
-      case "selfie_transport":
-        finalPrompt = addFidelityRequirements(
-          "Natural selfie of the user in train/car/transport, natural light, realistic position, simple background. Context: on-the-go, business travel."
-        );
-        break;
-
-      case "selfie_office":
-        finalPrompt = addFidelityRequirements(
-          "Natural selfie of the user at their desk, computer visible, coherent indoor decor. Context: remote work, workday."
-        );
-        break;
-
-      case "selfie_outdoor":
-        finalPrompt = addFidelityRequirements(
-          "Natural selfie of the user outdoors in nature or city, simple gesture (smile, thumbs up). Context: inspiration, storytelling."
-        );
-        break;
-
-      case "selfie_pointing":
-        finalPrompt = addFidelityRequirements(
-          "Natural selfie of the user pointing to an off-frame element or the screen, clear gesture for announcement or highlight. Context: announcement, showcasing something new."
-        );
-        break;
-
-      // 5 Moments du quotidien professionnel
-      case "coffee_break":
-        finalPrompt = addFidelityRequirements(
-          "Casual portrait of the user drinking coffee or a beverage, relaxed mood, warm decor. Context: mood, professional routine."
-        );
-        break;
-
-      case "eating":
-        finalPrompt = addFidelityRequirements(
-          "Casual portrait of the user eating a snack or simple meal, authentic scene. Context: lifestyle, work-life balance."
-        );
-        break;
-
-      // 6 Images centrées sur le produit digital
-      case "software_interface":
-        finalPrompt = addFidelityRequirements(
-          "Staged shot highlighting a software interface, computer or smartphone screen visible, clean ambiance, professional style. Context: demo, launch, product update."
-        );
-        break;
-
-      case "app_showcase":
-        finalPrompt = addFidelityRequirements(
-          "Stylized screen capture representation showing an application, immersive representation, modern composition. Context: tech post, announcement, promotion."
-        );
-        break;
-
-      case "digital_product_context":
-        finalPrompt = addFidelityRequirements(
-          "Digital product in a professional context, a hand using computer or smartphone, modern decor. Context: feature highlight."
-        );
-        break;
-
-      // 7 Images centrées sur un produit physique
-      case "product_neutral":
-        finalPrompt = addFidelityRequirements(
-          "Physical product presented in a neutral decor, clean background, minimalist staging. Context: product presentation."
-        );
-        break;
-
-      case "product_real_context":
-        finalPrompt = addFidelityRequirements(
-          "Physical product highlighted in a real context (office, indoor, outdoor), natural light, immersive scene. Context: realistic showcase."
-        );
-        break;
-
-      case "product_used":
-        finalPrompt = addFidelityRequirements(
-          "Physical product being used by the user, visible interaction. Context: demonstration, real usage."
-        );
-        break;
-
-      // 8 Catégories à enrichir
-      case "mentor_leader":
-        finalPrompt = addFidelityRequirements(
-          "Inspiring mentor/leader portrait, symbolic staging, confident presence, motivational tone. Context: motivational posts."
-        );
-        break;
-
-      case "creative_portrait":
-        finalPrompt = addFidelityRequirements(
-          "Creative portrait with more pronounced colors, modern and graphic style, tasteful composition. Context: creative announcements."
-        );
-        break;
-
-      case "subtle_humor":
-        finalPrompt = addFidelityRequirements(
-          "Subtle humorous scene, natural gestures, light tone, professional yet approachable. Context: personal posts."
-        );
-        break;
-
-      default:
-        finalPrompt = addFidelityRequirements("Realistic portrait of the user with a neutral background.");
-        break;
-    }
-
-    const safeNumberOfImages = clampNumberOfImages(numberOfImages || 4);
-    // Mode style: send all photos (up to 10), generate the number chosen by user
-    const base64Images = await generateImagesWithGemini(
-      finalPrompt,
-      photos,
-      safeNumberOfImages,
-      null // null = send all photos (up to 10)
+    const workspaceDocs = await db.getAll(
+      ...memberships.docs.map((doc) => db.collection("workspaces").doc(doc.data().workspaceId))
     );
 
-    // Upload to Firebase Storage
-    const storedImageUrls = await Promise.all(
-      base64Images.map((img) => uploadGeneratedImageToStorage(img, email))
-    );
-    
-    // Save to Firestore (only URLs, not base64)
-    await saveImagesToFirestore(email, storedImageUrls, {
-      prompt: finalPrompt,
-      style,
-      photosCount: photos.length,
+    const workspaces = [];
+    const invitations = [];
+    workspaceDocs.forEach((doc, index) => {
+      if (!doc.exists) return;
+      const membership = memberships.docs[index].data();
+      const item = toWorkspace(doc, membership);
+      if (membership.status === "invited") {
+        invitations.push({ ...item, invited_by: membership.invited_by });
+      } else {
+        workspaces.push(item);
+      }
     });
 
-    res.json({ success: true, imageUrls: storedImageUrls, prompt: finalPrompt });
+    res.json({ success: true, workspaces, invitations });
   } catch (error) {
-    console.error("Generation error:", error);
-    res.status(500).json({ success: false, message: "Error during generation." });
+    console.error("Workspace list error:", error);
+    res.status(500).json({ success: false, message: "Error fetching workspaces." });
   }
 });
 
-// ---------------------- GENERATE IMAGE (auto prompt via ChatGPT) ----------------------
-app.post("/generate-auto", async (req, res) => {
+app.get("/workspaces/:workspaceId", authenticate, requireWorkspaceRole("viewer"), async (req, res) => {
   try {
-    const { email, postText, photos } = req.body;
+    const { workspaceId } = req.params;
+    const [workspaceDoc, membersSnapshot] = await Promise.all([
+      db.collection("workspaces").doc(workspaceId).get(),
+      db.collection("workspace_members").where("workspaceId", "==", workspaceId).get(),
+    ]);
+    if (!workspaceDoc.exists) {
+      return res.status(404).json({ success: false, message: "Workspace not found." });
+    }
 
-    // Auto mode: fixed to 2 images for stability
-    const requestedCount = 2;
+    const members = membersSnapshot.docs.map((doc) => ({
+      email: doc.data().email,
+      role: doc.data().role,
+      status: doc.data().status,
+    }));
 
-    if (!process.env.GOOGLE_API_KEY) {
-      return res.status(500).json({ success: false, message: "Missing GOOGLE_API_KEY" });
-    }
+    res.json({ success: true, workspace: { ...toWorkspace(workspaceDoc, req.membership), members } });
+  } catch (error) {
+    console.error("Workspace fetch error:", error);
+    res.status(500).json({ success: false, message: "Error fetching workspace." });
+  }
+});
 
-    if (!process.env.OPENAI_API_KEY) {
-      return res.status(500).json({ success: false, message: "Missing OPENAI_API_KEY" });
+app.put("/workspaces/:workspaceId", authenticate, requireWorkspaceRole("owner"), async (req, res) => {
+  try {
+    const name = typeof req.body.name === "string" ? req.body.name.trim() : "";
+    if (!name) {
+      return res.status(400).json({ success: false, message: "Workspace name is required." });
     }
 
-    if (!postText || typeof postText !== "string") {
-      return res.status(400).json({ success: false, message: "postText is required" });
-    }
+    await db.collection("workspaces").doc(req.params.workspaceId).update({ name, updated_at: new Date() });
+    res.json({ success: true, message: "Workspace updated." });
+  } catch (error) {
+    console.error("Workspace update error:", error);
+    res.status(500).json({ success: false, message: "Error updating workspace." });
+  }
+});
 
-    if (!Array.isArray(photos) || photos.length < 1) {
-      return res.status(400).json({ success: false, message: "Provide at least 1 selfie (base64)" });
-    }
+app.delete("/workspaces/:workspaceId", authenticate, requireWorkspaceRole("owner"), async (req, res) => {
+  try {
+    const report = await deleteWorkspace(req.params.workspaceId);
+    console.log(`✅ Workspace ${req.params.workspaceId} deleted by ${req.user.email}`, report);
+    res.json({ success: true, message: "Workspace deleted.", report });
+  } catch (error) {
+    console.error("Workspace delete error:", error);
+    res.status(500).json({ success: false, message: "Error deleting workspace." });
+  }
+});
 
-    if (photos.length > 2) {
-      return res.status(400).json({ success: false, message: "Maximum 2 photos allowed in auto mode" });
+// Brand settings shared by the members (used when producing visuals for the team)
+app.put("/workspaces/:workspaceId/brand", authenticate, requireWorkspaceRole("editor"), async (req, res) => {
+  try {
+    const brand = {};
+    for (const field of BRAND_FIELDS) {
+      const value = req.body[field];
+      if (value === undefined) continue;
+      if (value !== null && typeof value !== "string") {
+        return res.status(400).json({ success: false, message: `${field} must be a string.` });
+      }
+      brand[field] = value ? value.trim() : null;
     }
 
-    const chatResponse = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-      },
-      body: JSON.stringify({
-        model: OPENAI_MODEL,
-        temperature: 0.6,
-        messages: [
-          {
-            role: "system",
-            content: "You are a prompt engineer for an image model. Input: LinkedIn-style post text + up to two reference selfies of the SAME person. Produce ONE concise prompt (<120 words) ready for the image API. CRITICAL: Deeply analyze the post text to understand its theme, tone, context, and setting. Examples: Corporate/formal posts → professional office, business attire, serious atmosphere. Casual posts → relaxed café, casual clothes, friendly vibe. Sport/fitness posts → gym, outdoor activity, athletic wear, energetic mood. Artistic/creative posts → studio, creative workspace, artistic atmosphere. Technical posts → modern tech office, computer setup, professional tech environment. Nature/travel posts → outdoor setting, natural light, adventure vibe. Event/conference posts → stage, presentation setting, professional networking atmosphere. Philosophical/reflective posts → calm setting, thoughtful mood, introspective atmosphere. Hard constraints: (1) Only that person in frame—no other humans or people. (2) Be faithful to the original face: preserve the same eyes (color, shape, expression), face shape, hair style/color/length, and skin tone from the reference selfies. Say 'be faithful to the original face' in your prompt. (3) Keep the same clothing style, colors, and formality level as shown in the selfies (do not add costumes, suits, or formal wear if not present in the original photos). (4) Style: photorealistic and faithful to the original face. Professional lighting, clear framing/camera hints. No markdown or bullets—return only the final prompt string.",
-          },
-          {
-            role: "user",
-            content: `Post text: """${postText}"""
+    const workspaceRef = db.collection("workspaces").doc(req.params.workspaceId);
+    const workspaceDoc = await workspaceRef.get();
+    const merged = { ...(workspaceDoc.data()?.brand || {}), ...brand };
+    await workspaceRef.update({ brand: merged, updated_at: new Date() });
 
-Carefully analyze the theme, tone, context, and setting of this post text. Identify if it's: corporate/formal (office, business), casual (café, relaxed), sport/fitness (gym, outdoor activity), artistic (studio, creative), technical (tech office, coding), nature/travel (outdoor, adventure), event/conference (stage, presentation), or philosophical/reflective (calm, thoughtful). The user provided ${photos.length} reference selfie(s) (base64, same person). Generate one optimized prompt for ${requestedCount} photorealistic portraits that: (1) Keep the user's identity consistent with the selfies, (2) Match the post's theme with appropriate setting, mood, atmosphere, and activity - make the image visually represent the post's message and context.`,
-          },
-        ],
-      }),
-    });
+    res.json({ success: true, brand: merged });
+  } catch (error) {
+    console.error("Workspace brand error:", error);
+    res.status(500).json({ success: false, message: "Error updating brand settings." });
+  }
+});
 
-    const chatData = await chatResponse.json();
+// Brand logo: one JPEG/PNG/WebP file in a multipart "logo" field, replaces the previous one
+app.put(
+  "/workspaces/:workspaceId/brand/logo",
+  authenticate,
+  requireWorkspaceRole("editor"),
+  logoUpload,
+  async (req, res) => {
+    try {
+      const logo = req.uploads?.logo?.[0] || null;
+      if (!logo) {
+        return res.status(400).json({ success: false, message: "Send the logo as a multipart \"logo\" file." });
+      }
 
-    if (chatData.error) {
-      console.error("ChatGPT error:", chatData.error);
-      return res.status(500).json({ success: false, message: chatData.error.message || "Prompt generation failed" });
-    }
+      const { workspaceId } = req.params;
+      const workspaceRef = db.collection("workspaces").doc(workspaceId);
+      const brand = (await workspaceRef.get()).data()?.brand || {};
+      const previousPath = workspaceLogoPath(workspaceId, brand);
 
-    const optimizedPrompt = chatData?.choices?.[0]?.message?.content?.trim();
+      const logoPath = `workspaces/${workspaceId}/logo-${Date.now()}.${logo.format}`;
+      await bucket.upload(logo.path, { destination: logoPath, metadata: { contentType: logo.mimeType } });
+      await bucket.file(logoPath).makePublic();
+      if (previousPath) await bucket.file(previousPath).delete({ ignoreNotFound: true });
 
-    if (!optimizedPrompt) {
-      return res.status(500).json({ success: false, message: "No prompt returned by ChatGPT" });
+      const merged = { ...brand, logoUrl: `https://storage.googleapis.com/${bucket.name}/${logoPath}` };
+      await workspaceRef.update({ brand: merged, updated_at: new Date() });
+      res.json({ success: true, brand: merged });
+    } catch (error) {
+      console.error("Workspace logo error:", error);
+      res.status(500).json({ success: false, message: "Error updating the brand logo." });
     }
+  }
+);
 
-    // Shorten and normalize prompt to avoid overly long requests that can fail with high image counts
-    const normalizedPrompt = optimizedPrompt.replace(/\s+/g, " ").trim().slice(0, 700);
-    const requirements =
-      "Requirements: single person only (no other humans), be faithful to the original face (preserve the same eyes, face shape, hair style/color/length, and skin tone from the reference selfies), keep the SAME clothing style/colors/formality as selfies (no costumes/suits if not in selfies), photorealistic and faithful to the original face, sharp focus, professional lighting, aspect ratio 1:1 or 4:5, no watermarks.";
-    const finalPrompt = `${normalizedPrompt}\n${requirements}`;
-
-    // Try generation; fallback to smaller counts if needed
-    const tryGenerate = async (count) => {
-      const urls = await generateImagesWithGeminiSimple(finalPrompt, photos, count);
-      const arr = Array.isArray(urls) ? urls : [];
-      const unique = Array.from(new Set(arr));
-      return unique.slice(0, count);
-    };
+app.delete("/workspaces/:workspaceId/brand/logo", authenticate, requireWorkspaceRole("editor"), async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+    const workspaceRef = db.collection("workspaces").doc(workspaceId);
+    const brand = (await workspaceRef.get()).data()?.brand || {};
+    const logoPath = workspaceLogoPath(workspaceId, brand);
+    if (logoPath) await bucket.file(logoPath).delete({ ignoreNotFound: true });
+
+    const merged = { ...brand, logoUrl: null };
+    await workspaceRef.update({ brand: merged, updated_at: new Date() });
+    res.json({ success: true, brand: merged });
+  } catch (error) {
+    console.error("Workspace logo delete error:", error);
+    res.status(500).json({ success: false, message: "Error removing the brand logo." });
+  }
+});
 
-    const countsToTry = [requestedCount, 1].filter((c) => c >= 1 && c <= MAX_IMAGES);
-    let finalImages = [];
-    let lastError = null;
+app.post("/workspaces/:workspaceId/invitations", authenticate, requireWorkspaceRole("owner"), async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+    const email = typeof req.body.email === "string" ? req.body.email.trim() : "";
+    const role = req.body.role || "viewer";
 
-    for (const c of countsToTry) {
-      try {
-        finalImages = await tryGenerate(c);
-        if (finalImages.length > 0) break;
-      } catch (err) {
-        lastError = err;
-        console.error(`Generation failed at ${c} images:`, err?.message || err);
-      }
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ success: false, message: "A valid email address is required." });
     }
-
-    if (finalImages.length === 0) {
-      const message = lastError?.message || "Image model returned no images";
-      return res.status(502).json({ success: false, message });
+    if (!WORKSPACE_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: `Role must be one of: ${WORKSPACE_ROLES.join(", ")}.` });
+    }
+    if (await getMembership(workspaceId, email)) {
+      return res.status(409).json({ success: false, message: "This address is already a member or invited." });
     }
 
-    // Upload to Firebase Storage
-    const storedImageUrls = await Promise.all(
-      finalImages.map((img) => uploadGeneratedImageToStorage(img, email))
-    );
-
-    // Save to Firestore (only URLs, not base64)
-    await saveImagesToFirestore(email, storedImageUrls, {
-      prompt: finalPrompt,
-      source: "auto_prompt",
-      photosCount: photos.length,
-      postText,
+    const workspaceDoc = await db.collection("workspaces").doc(workspaceId).get();
+    await db.collection("workspace_members").add({
+      workspaceId,
+      email,
+      role,
+      status: "invited",
+      invited_by: req.user.email,
+      invited_at: new Date(),
     });
 
-    res.json({ success: true, imageUrls: storedImageUrls, prompt: finalPrompt, optimizedPrompt });
+    // The invitation is stored even if the mail fails: it is listed in the invitee's workspaces
+    try {
+      await sendMail({
+        to: email,
+        subject: `You have been invited to the "${workspaceDoc.data().name}" workspace`,
+        text:
+          `${req.user.email} invited you to join the "${workspaceDoc.data().name}" workspace on Lyter as ${role}.\n\n` +
+          `Sign in (or create an account with this address) to accept the invitation:\n${FRONTEND_URL}\n`,
+      });
+    } catch (mailError) {
+      console.error("Invitation mail error:", mailError?.message || mailError);
+    }
+
+    res.status(201).json({ success: true, message: "Invitation sent." });
   } catch (error) {
-    console.error("Auto generation error:", error);
-    res.status(500).json({ success: false, message: "Error during auto generation." });
+    console.error("Workspace invite error:", error);
+    res.status(500).json({ success: false, message: "Error sending invitation." });
   }
 });
 
-// ---------------------- SAVE FINAL SELECTION ----------------------
-app.post("/selection", async (req, res) => {
+// Invitations are addressed to an email: only a verified owner of that address may accept
+app.post("/workspaces/:workspaceId/join", authenticate, requireVerifiedEmail, async (req, res) => {
   try {
-    const { email, imageUrl, prompt, flowType } = req.body;
-
-    if (!email || !imageUrl) {
-      return res
-        .status(400)
-        .json({ success: false, message: "email and imageUrl are required to save a selection." });
+    const membership = await getMembership(req.params.workspaceId, req.user.email);
+    if (!membership) {
+      return res.status(404).json({ success: false, message: "No invitation found for this workspace." });
     }
-
-    // Truncate very large data URLs to avoid Firestore 1MB limit
-    let urlToSave = imageUrl;
-    if (typeof urlToSave === "string" && urlToSave.length > 800000) {
-      urlToSave = urlToSave.substring(0, 500000) + "...[truncated]";
+    if (membership.status === "active") {
+      return res.json({ success: true, message: "You are already a member of this workspace." });
     }
 
-    await db.collection("selections").add({
-      email,
-      imageUrl: urlToSave,
-      prompt: prompt || "",
-      flowType: flowType || "unknown",
-      saved_at: new Date(),
-    });
-
-    res.json({ success: true, message: "Final image selection saved." });
+    await membership.ref.update({ status: "active", joined_at: new Date() });
+    res.json({ success: true, message: "Invitation accepted." });
   } catch (error) {
-    console.error("Selection save error:", error);
-    res.status(500).json({ success: false, message: "Error saving selection." });
+    console.error("Workspace join error:", error);
+    res.status(500).json({ success: false, message: "Error accepting invitation." });
   }
 });
 
-// ---------------------- DEBUG: CHECK FIRESTORE ----------------------
-app.get("/debug/firestore/:email", async (req, res) => {
+app.put(
+  "/workspaces/:workspaceId/members/:email",
+  authenticate,
+  requireWorkspaceRole("owner"),
+  async (req, res) => {
+    try {
+      const { workspaceId, email } = req.params;
+      const { role } = req.body;
+
+      if (!WORKSPACE_ROLES.includes(role)) {
+        return res.status(400).json({ success: false, message: `Role must be one of: ${WORKSPACE_ROLES.join(", ")}.` });
+      }
+
+      const membership = await getMembership(workspaceId, email);
+      if (!membership) {
+        return res.status(404).json({ success: false, message: "Member not found." });
+      }
+      if (membership.role === "owner" && role !== "owner" && (await countActiveOwners(workspaceId)) <= 1) {
+        return res.status(409).json({ success: false, message: "A workspace needs at least one owner." });
+      }
+
+      await membership.ref.update({ role });
+      res.json({ success: true, message: "Member role updated." });
+    } catch (error) {
+      console.error("Workspace member role error:", error);
+      res.status(500).json({ success: false, message: "Error updating member." });
+    }
+  }
+);
+
+// Owners remove members or cancel invitations; any member can leave (or decline) on their own
+app.delete("/workspaces/:workspaceId/members/:email", authenticate, async (req, res) => {
   try {
-    const email = req.params.email;
-    console.log(`🔍 DEBUG: Checking Firestore for email: ${email}`);
+    const { workspaceId, email } = req.params;
+    const isSelf = email === req.user.email;
 
-    // Get all documents for this email
-    const imagesSnapshot = await db.collection("images").where("email", "==", email).get();
-    console.log(`🔍 Found ${imagesSnapshot.size} documents in Firestore`);
+    if (!isSelf) {
+      const callerMembership = await getMembership(workspaceId, req.user.email);
+      if (!hasWorkspaceRole(callerMembership, "owner")) {
+        return res.status(403).json({ success: false, message: "Access denied." });
+      }
+    }
 
-    const allDocs = [];
-    imagesSnapshot.forEach((doc) => {
-      const data = doc.data();
-      allDocs.push({
-        id: doc.id,
-        email: data.email,
-        urlLength: data.url ? data.url.length : 0,
-        urlPreview: data.url ? (data.url.length > 100 ? data.url.substring(0, 100) + "..." : data.url) : "NO URL",
-        isTruncated: data.url ? data.url.includes("[truncated]") : false,
-        originalLength: data.originalLength || 0,
-        created_at: data.created_at,
-        style: data.style,
-        source: data.source,
-        photosCount: data.photosCount,
-      });
-    });
+    const membership = await getMembership(workspaceId, email);
+    if (!membership) {
+      return res.status(404).json({ success: false, message: "Member not found." });
+    }
+    if (membership.role === "owner" && membership.status === "active" && (await countActiveOwners(workspaceId)) <= 1) {
+      return res
+        .status(409)
+        .json({ success: false, message: "Transfer ownership or delete the workspace before leaving it." });
+    }
 
-    res.json({
-      success: true,
-      email,
-      totalDocuments: imagesSnapshot.size,
-      documents: allDocs,
-    });
+    await membership.ref.delete();
+    res.json({ success: true, message: isSelf ? "You left the workspace." : "Member removed." });
   } catch (error) {
-    console.error("DEBUG error:", error);
-    res.status(500).json({ success: false, message: "Debug error", error: error.message });
+    console.error("Workspace member removal error:", error);
+    res.status(500).json({ success: false, message: "Error removing member." });
   }
 });
 
 // ---------------------- GET USER GALLERY ----------------------
-app.get("/gallery/:email", async (req, res) => {
+app.get("/gallery/:email", authenticateOrApiKey("gallery:read"), requireSameUser, resolveScope("viewer"), async (req, res) => {
   try {
-    const email = req.params.email;
-    console.log("Fetching gallery for email:", email);
-
-    if (!email) {
-      return res.status(400).json({ success: false, message: "Email required." });
-    }
+    const email = req.user.email;
+    const scopeLabel = req.scope.type === "workspace" ? `workspace ${req.scope.workspaceId}` : `email: ${email}`;
+    console.log(`Fetching gallery for ${scopeLabel}`);
 
     // Fetch without orderBy first to avoid index issues
     let imagesSnapshot;
     try {
-      imagesSnapshot = await db.collection("images").where("email", "==", email).get();
-      console.log(`Found ${imagesSnapshot.size} documents for email: ${email}`);
+      imagesSnapshot = await scopedQuery("images", req.scope).get();
+      console.log(`Found ${imagesSnapshot.size} documents for ${scopeLabel}`);
     } catch (fetchError) {
       console.error("Error fetching images:", fetchError);
       return res.status(500).json({ success: false, message: "Error fetching images from database." });
@@ -960,6 +2026,7 @@ app.get("/gallery/:email", async (req, res) => {
 
     imagesSnapshot.forEach((doc) => {
       const data = doc.data();
+      if (!inScope(data, req.scope)) return;
       const urlValue = data.url || "";
       const urlLength = urlValue.length;
 
@@ -973,11 +2040,14 @@ app.get("/gallery/:email", async (req, res) => {
       // Récupérer toutes les images valides
       // Une vraie image base64 commence par "data:image/"
       // On accepte aussi les images tronquées (qui se terminent par "...[truncated]")
+      // et les URLs de notre bucket Firebase Storage (images générées), jamais d'URL externe
       // Les anciennes images peuvent être "[omitted: too large]" (20 chars) - on les ignore
+      const isDataUrl = urlValue.startsWith("data:image/");
+      const isStorageUrl = Boolean(storagePathFromUrl(urlValue));
       if (
         urlValue &&
-        urlValue.length > 50 && // Au moins 50 caractères
-        urlValue.startsWith("data:image/")
+        ((isDataUrl && urlValue.length > 50) || // Au moins 50 caractères
+          isStorageUrl)
       ) {
         images.push({
           id: doc.id,
@@ -988,13 +2058,20 @@ app.get("/gallery/:email", async (req, res) => {
           created_at: data.created_at?.toDate() || new Date(data.created_at) || new Date(),
           isTruncated: urlValue.includes("[truncated]"),
           originalLength: data.originalLength || urlValue.length,
+          createdBy: data.email,
+          workspaceId: data.workspaceId || null,
+          format: data.format || null,
+          originalUrl: data.originalUrl || null,
+          sourceImageId: data.sourceImageId || null,
+          parentId: data.parentId || null,
+          version: data.version || 1,
         });
       } else {
         omittedCount++;
         const reason =
           urlLength <= 20
             ? "old omitted image (too large, lost)"
-            : !urlValue.startsWith("data:image/")
+            : !isDataUrl && !isStorageUrl
             ? "invalid format"
             : "too short";
 
@@ -1025,7 +2102,7 @@ app.get("/gallery/:email", async (req, res) => {
 });
 
 // ---------------------- DELETE SINGLE IMAGE ----------------------
-app.delete("/image/:imageId", async (req, res) => {
+app.delete("/image/:imageId", authenticate, async (req, res) => {
   try {
     const imageId = req.params.imageId;
 
@@ -1040,6 +2117,13 @@ app.delete("/image/:imageId", async (req, res) => {
       return res.status(404).json({ success: false, message: "Image not found." });
     }
 
+    // Shared images can be deleted by any workspace owner or editor, personal ones by their owner only
+    if (!(await canModifyRecord(imageDoc.data(), req.user.email))) {
+      return res.status(403).json({ success: false, message: "Access denied." });
+    }
+
+    // Its files are public: they would stay reachable by URL after the record is gone
+    await deleteOwnedFiles("images", imageDoc.data());
     await imageRef.delete();
 
     res.json({ success: true, message: "Image deleted successfully." });
@@ -1049,17 +2133,213 @@ app.delete("/image/:imageId", async (req, res) => {
   }
 });
 
+// ---------------------- BRANDING ----------------------
+app.get("/branding/options", (req, res) => {
+  res.json({
+    success: true,
+    frames: FRAME_TEMPLATES,
+    logoPositions: LOGO_POSITIONS,
+    textPositions: TEXT_POSITIONS,
+    fonts: Object.keys(FONTS),
+  });
+});
+
+// Logo, title/subtitle and frame composited on a generated image, saved as a new image linked to its source.
+// Images of a workspace default to its brand settings (colors, font, and the logo uploaded for the workspace).
+app.post("/images/:imageId/branding", authenticate, requireVerifiedEmail, logoUpload, async (req, res) => {
+  try {
+    const sourceDoc = await db.collection("images").doc(req.params.imageId).get();
+    if (!sourceDoc.exists) {
+      return res.status(404).json({ success: false, message: "Image not found." });
+    }
+
+    // The derived image joins the source's workspace: same rights as modifying the source
+    const source = sourceDoc.data();
+    if (!(await canModifyRecord(source, req.user.email))) {
+      return res.status(403).json({ success: false, message: "Access denied." });
+    }
+
+    const sourcePath = storagePathFromUrl(source.url);
+    if (!sourcePath) {
+      return res.status(422).json({ success: false, message: "This image is not stored in Storage and cannot be branded." });
+    }
+
+    const brand = source.workspaceId
+      ? (await db.collection("workspaces").doc(source.workspaceId).get()).data()?.brand || {}
+      : {};
+    const { error, value } = parseBrandingOptions(req.body, brand);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    let logo = null;
+    const uploadedLogo = req.uploads?.logo?.[0] || null;
+    if (uploadedLogo) {
+      logo = await fs.promises.readFile(uploadedLogo.path);
+    } else if (source.workspaceId && workspaceLogoPath(source.workspaceId, brand)) {
+      // Never a path taken from user input: other prefixes hold private files (references/, jobs/)
+      [logo] = await bucket.file(workspaceLogoPath(source.workspaceId, brand)).download();
+    }
+
+    if (!value.title && !value.subtitle && !logo && value.frame === "none") {
+      return res.status(400).json({ success: false, message: "Nothing to apply: add a title, subtitle, logo or frame." });
+    }
+
+    const [sourceBuffer] = await bucket.file(sourcePath).download();
+    const url = await uploadGeneratedImageToStorage(
+      await renderBrandedImage(sourceBuffer, value, logo),
+      req.user.email,
+      "-branded"
+    );
+
+    const record = {
+      email: req.user.email,
+      url,
+      sourceImageId: sourceDoc.id,
+      derivation: "branding",
+      branding: { ...value, logo: Boolean(logo) },
+      prompt: source.prompt || "",
+      style: source.style || null,
+      format: source.format || null,
+      created_at: new Date(),
+      ...(source.workspaceId ? { workspaceId: source.workspaceId } : {}),
+    };
+    const imageRef = await db.collection("images").add(record);
+    console.log(`✅ Branded image ${imageRef.id} created from ${sourceDoc.id} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      image: { id: imageRef.id, ...record, createdBy: record.email, workspaceId: record.workspaceId || null },
+    });
+  } catch (error) {
+    console.error("Branding error:", error);
+    res.status(500).json({ success: false, message: "Error while branding the image." });
+  }
+});
+
+// ---------------------- IMAGE EDITING ----------------------
+// New version of a generated image from a natural-language instruction; versions keep parentId/rootId
+app.post("/images/:imageId/edit", authenticateOrApiKey("generate"), requireVerifiedEmail, async (req, res) => {
+  try {
+    const inputError = validateEditInstruction(req.body.instruction);
+    if (inputError) {
+      return res.status(400).json({ success: false, message: inputError });
+    }
+
+    const sourceDoc = await db.collection("images").doc(req.params.imageId).get();
+    if (!sourceDoc.exists) {
+      return res.status(404).json({ success: false, message: "Image not found." });
+    }
+    if (!(await canModifyRecord(sourceDoc.data(), req.user.email))) {
+      return res.status(403).json({ success: false, message: "Access denied." });
+    }
+
+    const { imageId, url, originalUrl, prompt, version } = await runImageEdit({
+      email: req.user.email,
+      sourceId: sourceDoc.id,
+      source: sourceDoc.data(),
+      instruction: req.body.instruction,
+      provider: resolveImageProvider(req.body.provider),
+    });
+
+    res.status(201).json({
+      success: true,
+      image: { id: imageId, url, originalUrl, prompt, parentId: sourceDoc.id, version },
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error("Image edit error:", error);
+    await recordGenerationFailure(req.user?.email, {
+      route: "/images/:imageId/edit",
+      imageId: req.params.imageId,
+      stage: "error",
+      error: error?.message || String(error),
+    });
+    res.status(500).json({ success: false, message: "Error while editing the image." });
+  }
+});
+
+// Every version of an image's lineage (the root and all its edits), oldest first
+app.get("/images/:imageId/versions", authenticateOrApiKey("gallery:read"), async (req, res) => {
+  try {
+    const imageDoc = await db.collection("images").doc(req.params.imageId).get();
+    if (!imageDoc.exists || !(await canReadRecord(imageDoc.data(), req.user.email))) {
+      return res.status(404).json({ success: false, message: "Image not found." });
+    }
+
+    const rootId = imageDoc.data().rootId || imageDoc.id;
+    const rootDoc = rootId === imageDoc.id ? imageDoc : await db.collection("images").doc(rootId).get();
+    const editsSnapshot = await db.collection("images").where("rootId", "==", rootId).get();
+
+    const versions = [rootDoc, ...editsSnapshot.docs]
+      .filter((doc) => doc.exists)
+      .map((doc) => {
+        const data = doc.data();
+        return {
+          id: doc.id,
+          url: data.url,
+          originalUrl: data.originalUrl || null,
+          parentId: data.parentId || null,
+          version: data.version || 1,
+          instruction: data.instruction || null,
+          created_at: data.created_at?.toDate?.() || null,
+        };
+      })
+      .sort((a, b) => a.version - b.version || (a.created_at || 0) - (b.created_at || 0));
+
+    res.json({ success: true, rootId, versions });
+  } catch (error) {
+    console.error("Image versions error:", error);
+    res.status(500).json({ success: false, message: "Error fetching image versions." });
+  }
+});
+
+// ---------------------- IMAGE PROVENANCE ----------------------
+// How an image was produced: provider and model, prompt and template, reference photo hashes, attempts, latency
+app.get("/images/:imageId/provenance", authenticateOrApiKey("gallery:read"), async (req, res) => {
+  try {
+    const imageDoc = await db.collection("images").doc(req.params.imageId).get();
+    if (!imageDoc.exists || !(await canReadRecord(imageDoc.data(), req.user.email))) {
+      return res.status(404).json({ success: false, message: "Image not found." });
+    }
+
+    const data = imageDoc.data();
+    if (!data.provenance) {
+      return res.status(404).json({
+        success: false,
+        message: "No provenance recorded for this image (generated before provenance tracking, or derived from another image).",
+        sourceImageId: data.sourceImageId || null,
+      });
+    }
+
+    res.json({
+      success: true,
+      imageId: imageDoc.id,
+      provenance: {
+        ...data.provenance,
+        parentId: data.parentId || null,
+        created_at: data.created_at?.toDate?.() || null,
+      },
+    });
+  } catch (error) {
+    console.error("Image provenance error:", error);
+    res.status(500).json({ success: false, message: "Error fetching image provenance." });
+  }
+});
+
 // ---------------------- LAB MODE: INGEST (Récupération images) ----------------------
-app.post("/ingest", async (req, res) => {
+app.post("/ingest", authenticate, resolveScope("editor"), async (req, res) => {
   try {
-    const { email, prenom, nom, entreprise, siteWeb, linkedin } = req.body;
+    const { prenom, nom, entreprise, siteWeb, linkedin } = req.body;
 
     if (!prenom || !nom) {
       return res.status(400).json({ success: false, message: "Prénom et nom requis." });
     }
 
     const images = [];
-    const userEmail = email || "anonymous";
+    const userEmail = req.user.email;
 
     // 1. Scraping du site web
     if (siteWeb) {
@@ -1437,6 +2717,7 @@ app.post("/ingest", async (req, res) => {
             url: publicUrl,
             source: img.source,
             created_at: new Date(),
+            ...scopeFields(req.scope),
             labData: {
               prenom,
               nom,
@@ -1488,15 +2769,20 @@ app.post("/ingest", async (req, res) => {
 });
 
 // ---------------------- LAB MODE: TAG BATCH (Tagging automatique) ----------------------
-app.post("/tag/batch", async (req, res) => {
+app.post("/tag/batch", authenticate, resolveScope("editor"), async (req, res) => {
   try {
-    const { email, imageIds } = req.body;
+    const { imageIds } = req.body;
 
     if (!Array.isArray(imageIds) || imageIds.length === 0) {
       return res.status(400).json({ success: false, message: "Liste d'IDs d'images requise." });
     }
 
-    const userEmail = email || "anonymous";
+    // Vérifier que toutes les images appartiennent à l'espace (personnel ou workspace) avant de modifier quoi que ce soit
+    const ownershipDocs = await db.getAll(...imageIds.map((id) => db.collection("images").doc(String(id))));
+    const foreignImage = ownershipDocs.find((doc) => doc.exists && !inScope(doc.data(), req.scope));
+    if (foreignImage) {
+      return res.status(403).json({ success: false, message: `Accès refusé à l'image ${foreignImage.id}.` });
+    }
     const taggedImages = [];
 
     for (const imageId of imageIds) {
@@ -1517,11 +2803,11 @@ app.post("/tag/batch", async (req, res) => {
           continue;
         }
 
-        // Génération de tags avec OpenAI (analyse de l'image via description)
+        // Génération de tags avec le LLM (analyse de l'image via description)
         let tags = [];
         let context = {};
 
-        if (process.env.OPENAI_API_KEY) {
+        if (isLlmConfigured()) {
           try {
             // Télécharger l'image pour l'analyser
             const imgRes = await fetch(imageUrl);
@@ -1529,78 +2815,17 @@ app.post("/tag/batch", async (req, res) => {
             const imgBuffer = Buffer.from(imgArrayBuffer);
             const base64Image = imgBuffer.toString("base64");
 
-            // Utiliser GPT-4 Vision pour analyser l'image avec un prompt très détaillé
-            const analysisRes = await fetch("https://api.openai.com/v1/chat/completions", {
-              method: "POST",
-              headers: {
-                "Content-Type": "application/json",
-                Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-              },
-              body: JSON.stringify({
-                model: "gpt-4o-mini",
-                messages: [
-                  {
-                    role: "user",
-                    content: [
-                      {
-                        type: "text",
-                        text: `Analyse cette image en DÉTAIL et génère des tags SPÉCIFIQUES et UNIQUES basés sur le contenu réel de l'image. 
-
-INSTRUCTIONS:
-1. Décris précisément ce que tu vois dans l'image (personne, objet, lieu, action, style, couleurs, ambiance)
-2. Génère 5-10 tags SPÉCIFIQUES et VARIÉS (pas génériques) basés sur:
-   - Le contenu principal (visage, bureau, produit, événement, nature, etc.)
-   - Le style (formel, casual, créatif, professionnel, décontracté, etc.)
-   - Le contexte (bureau, extérieur, studio, café, événement, etc.)
-   - L'ambiance (sérieux, joyeux, inspirant, technique, etc.)
-   - Les détails visuels (couleurs dominantes, éclairage, composition)
-3. Chaque image doit avoir des tags DIFFÉRENTS selon son contenu réel
-4. Évite les tags génériques comme "image" ou "photo"
-
-Exemples de tags spécifiques: "visage_souriant", "bureau_moderne", "événement_networking", "portrait_professionnel", "selfie_casual", "produit_tech", "équipe_travail", "conférence_scène", "nature_paysage", "café_détente", etc.
-
-Réponds UNIQUEMENT en JSON valide:
-{
-  "tags": ["tag1", "tag2", "tag3", ...],
-  "context": {
-    "location": "indoor/outdoor/studio/événement/etc",
-    "formality": "formel/casual/mixte",
-    "ambiance": "description précise de l'ambiance",
-    "action": "description de l'action ou pose",
-    "hasFace": true/false,
-    "mainSubject": "description du sujet principal"
-  }
-}`,
-                      },
-                      {
-                        type: "image_url",
-                        image_url: {
-                          url: `data:image/jpeg;base64,${base64Image}`,
-                        },
-                      },
-                    ],
-                  },
-                ],
-                temperature: 0.8, // Plus de créativité pour des tags variés
-                max_tokens: 500,
-              }),
-            });
-
-            const analysisData = await analysisRes.json();
-            const analysisText = analysisData?.choices?.[0]?.message?.content || "";
+            // Analyse de l'image par le modèle vision avec un prompt très détaillé
+            const { text: analysisText } = await complete(
+              "imageTags",
+              { imageDataUrl: `data:image/jpeg;base64,${base64Image}` },
+              { email: req.user.email }
+            );
 
             // Parser la réponse JSON (gérer les cas où il y a du texte avant/après le JSON)
             try {
               // Extraire le JSON même s'il y a du texte autour
-              let jsonText = analysisText.trim();
-              
-              // Chercher le JSON entre accolades
-              const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
-              if (jsonMatch) {
-                jsonText = jsonMatch[0];
-              }
-              
-              const parsed = JSON.parse(jsonText);
+              const parsed = extractJson(analysisText);
               tags = Array.isArray(parsed.tags) ? parsed.tags : [];
               context = parsed.context || {};
               
@@ -1683,80 +2908,29 @@ Réponds UNIQUEMENT en JSON valide:
 });
 
 // ---------------------- LAB MODE: POST ANALYZE (Analyse du post) ----------------------
-app.post("/post/analyze", async (req, res) => {
+app.post("/post/analyze", authenticate, async (req, res) => {
   try {
-    const { email, postText } = req.body;
+    const { postText } = req.body;
 
     if (!postText || typeof postText !== "string") {
       return res.status(400).json({ success: false, message: "Texte du post requis." });
     }
 
-    if (!process.env.OPENAI_API_KEY) {
-      return res.status(500).json({ success: false, message: "OPENAI_API_KEY non configurée." });
+    if (!isLlmConfigured()) {
+      return res.status(500).json({ success: false, message: "LLM non configuré (LLM_API_KEY ou OPENAI_API_KEY)." });
     }
 
-    // Analyser le post avec OpenAI - prompt amélioré pour plus de précision
-    const analysisRes = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-      },
-      body: JSON.stringify({
-        model: OPENAI_MODEL,
-        messages: [
-          {
-            role: "system",
-            content: `Tu es un expert en analyse de contenu LinkedIn et en sélection d'images. 
-
-Analyse le texte du post en DÉTAIL et détermine:
-1. Les THÈMES PRINCIPAUX (3-5 thèmes spécifiques, pas génériques)
-   - Exemples: "entrepreneuriat", "formation", "événement", "témoignage", "conseil", "innovation", etc.
-   - Évite les thèmes trop génériques comme "professionnel" ou "contenu"
-
-2. La TONALITÉ précise (pas juste "neutre")
-   - Exemples: "inspirant", "pédagogique", "motivant", "formel", "décontracté", "enthousiaste", "réfléchi", etc.
-
-3. Le CONTEXTE spécifique
-   - Exemples: "bureau moderne", "événement networking", "café détente", "studio photo", "extérieur nature", "conférence scène", etc.
-
-4. Les TAGS D'IMAGES DÉSIRÉS (5-8 tags spécifiques)
-   - Basés sur le contenu réel du post
-   - Exemples: "visage_souriant", "bureau_travail", "événement_scène", "équipe_collaboration", "portrait_professionnel", etc.
-   - Chaque post doit avoir des tags DIFFÉRENTS selon son contenu
-
-IMPORTANT: Analyse le contenu RÉEL du post, pas des valeurs par défaut. Chaque post est unique.
-
-Réponds UNIQUEMENT en JSON valide:
-{
-  "themes": ["theme1", "theme2", ...],
-  "tone": "tonalité précise",
-  "context": "description précise du contexte",
-  "desiredTags": ["tag1", "tag2", ...]
-}`,
-          },
-          {
-            role: "user",
-            content: `Analyse ce post LinkedIn en détail et génère une analyse SPÉCIFIQUE basée sur son contenu réel:\n\n"""${postText}"""\n\nGénère des thèmes, une tonalité, un contexte et des tags d'images qui correspondent PRÉCISÉMENT au contenu de ce post, pas des valeurs génériques.`,
-          },
-        ],
-        temperature: 0.8, // Plus de créativité pour des analyses variées
-        max_tokens: 600,
-      }),
-    });
-
-    const analysisData = await analysisRes.json();
-    const analysisText = analysisData?.choices?.[0]?.message?.content || "";
+    // Analyser le post avec le LLM - prompt amélioré pour plus de précision
+    const { text: analysisText, template: promptTemplate } = await complete(
+      "postAnalysis",
+      { postText },
+      { email: req.user.email }
+    );
 
     let analysis = {};
     try {
       // Extraire le JSON même s'il y a du texte autour
-      let jsonText = analysisText.trim();
-      const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        jsonText = jsonMatch[0];
-      }
-      analysis = JSON.parse(jsonText);
+      analysis = extractJson(analysisText);
       
       // Valider et nettoyer les données
       if (!Array.isArray(analysis.themes)) {
@@ -1804,7 +2978,7 @@ Réponds UNIQUEMENT en JSON valide:
     }
 
     // Sauvegarder l'analyse dans Firestore
-    const userEmail = email || "anonymous";
+    const userEmail = req.user.email;
     await db.collection("posts_analysis").add({
       email: userEmail,
       postText,
@@ -1812,6 +2986,7 @@ Réponds UNIQUEMENT en JSON valide:
       tone: analysis.tone || "neutre",
       desiredTags: analysis.desiredTags || [],
       context: analysis.context || "",
+      promptTemplate,
       created_at: new Date(),
     });
 
@@ -1827,15 +3002,15 @@ Réponds UNIQUEMENT en JSON valide:
 });
 
 // ---------------------- LAB MODE: SELECT (Sélection image pertinente) ----------------------
-app.post("/select", async (req, res) => {
+app.post("/select", authenticate, resolveScope("viewer"), async (req, res) => {
   try {
-    const { email, postText } = req.body;
+    const { postText } = req.body;
 
     if (!postText || typeof postText !== "string") {
       return res.status(400).json({ success: false, message: "Texte du post requis." });
     }
 
-    const userEmail = email || "anonymous";
+    const userEmail = req.user.email;
 
     // 1. Récupérer l'analyse du post la plus récente ou analyser si nécessaire
     let desiredTags = [];
@@ -1860,41 +3035,12 @@ app.post("/select", async (req, res) => {
     
     // Si pas d'analyse trouvée, extraire les tags depuis le post
     if (desiredTags.length === 0) {
-      if (process.env.OPENAI_API_KEY) {
+      if (isLlmConfigured()) {
         try {
-          const analysisRes = await fetch("https://api.openai.com/v1/chat/completions", {
-            method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-              Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-            },
-            body: JSON.stringify({
-              model: OPENAI_MODEL,
-              messages: [
-                {
-                  role: "system",
-                  content: "Extrais les tags d'images désirés de ce post LinkedIn. Réponds uniquement avec une liste JSON de tags: [\"tag1\", \"tag2\"]",
-                },
-                {
-                  role: "user",
-                  content: postText,
-                },
-              ],
-              temperature: 0.5,
-              max_tokens: 200,
-            }),
-          });
-
-          const analysisData = await analysisRes.json();
-          const tagsText = analysisData?.choices?.[0]?.message?.content || "";
+          const { text: tagsText } = await complete("selectTags", { postText }, { email: userEmail });
           try {
             // Extraire le JSON même s'il y a du texte autour
-            let jsonText = tagsText.trim();
-            const jsonMatch = jsonText.match(/\[[\s\S]*\]/);
-            if (jsonMatch) {
-              jsonText = jsonMatch[0];
-            }
-            desiredTags = JSON.parse(jsonText);
+            desiredTags = extractJson(tagsText, "array");
           } catch {
             desiredTags = ["visage", "portrait", "professionnel"];
           }
@@ -1909,12 +3055,13 @@ app.post("/select", async (req, res) => {
     
     console.log(`🔍 Tags désirés pour la sélection: ${desiredTags.join(", ")}`);
 
-    // 2. Récupérer toutes les images de l'utilisateur avec leurs tags
-    const imagesSnapshot = await db.collection("images").where("email", "==", userEmail).get();
+    // 2. Récupérer toutes les images de l'espace (personnel ou workspace) avec leurs tags
+    const imagesSnapshot = await scopedQuery("images", req.scope).get();
     const images = [];
 
     imagesSnapshot.forEach((doc) => {
       const data = doc.data();
+      if (!inScope(data, req.scope)) return;
       if (data.url && data.tags && Array.isArray(data.tags)) {
         images.push({
           id: doc.id,
@@ -2015,4 +3162,7 @@ const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
   console.log(`Backend running at http://localhost:${PORT}`);
+  if (process.env.JOBS_WORKER !== "external") {
+    jobWorker = startWorker();
+  }
 });
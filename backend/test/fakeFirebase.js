@@ -0,0 +1,118 @@
+// In-memory stand-in for lib/firebase.js: the subset of Firestore the lib/ modules use,
+// so tests run without credentials or network. Install it before requiring the module under test.
+const path = require("path");
+
+const createFakeFirestore = () => {
+  const collections = new Map();
+  let nextId = 0;
+
+  const docsOf = (name) => {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  };
+
+  const snapshot = (id, data) => ({ id, exists: data !== undefined, data: () => (data ? { ...data } : undefined) });
+
+  const docRef = (name, id) => ({
+    id,
+    get: async () => snapshot(id, docsOf(name).get(id)),
+    set: async (data, { merge } = {}) => {
+      docsOf(name).set(id, merge ? { ...docsOf(name).get(id), ...data } : { ...data });
+    },
+    update: async (data) => {
+      if (!docsOf(name).has(id)) throw new Error(`No document to update: ${name}/${id}`);
+      docsOf(name).set(id, { ...docsOf(name).get(id), ...data });
+    },
+    delete: async () => {
+      docsOf(name).delete(id);
+    },
+  });
+
+  const OPERATORS = {
+    "==": (a, b) => a === b,
+    ">": (a, b) => a > b,
+    "<": (a, b) => a < b,
+  };
+
+  const query = (name, filters = [], order = null, max = Infinity) => ({
+    where: (field, op, value) => query(name, [...filters, { field, op, value }], order, max),
+    orderBy: (field, direction = "asc") => query(name, filters, { field, direction }, max),
+    limit: (count) => query(name, filters, order, count),
+    get: async () => {
+      let entries = [...docsOf(name)].filter(([, data]) =>
+        filters.every(({ field, op, value }) => data[field] != null && OPERATORS[op](data[field], value))
+      );
+      if (order) {
+        const sign = order.direction === "desc" ? -1 : 1;
+        entries = entries.sort(([, a], [, b]) => (a[order.field] > b[order.field] ? sign : -sign));
+      }
+      const docs = entries.slice(0, max).map(([id, data]) => snapshot(id, data));
+      return { docs, size: docs.length, empty: docs.length === 0 };
+    },
+  });
+
+  return {
+    collection: (name) => ({
+      ...query(name),
+      doc: (id = `doc-${(nextId += 1)}`) => docRef(name, id),
+      add: async (data) => {
+        const ref = docRef(name, `doc-${(nextId += 1)}`);
+        await ref.set(data);
+        return ref;
+      },
+    }),
+    // Runs the callback once: nothing else writes concurrently in a test
+    runTransaction: async (fn) =>
+      fn({
+        get: (ref) => ref.get(),
+        set: (ref, data, options) => ref.set(data, options),
+        update: (ref, data) => ref.update(data),
+        delete: (ref) => ref.delete(),
+      }),
+    // Raw documents of a collection, for assertions
+    dump: (name) => Object.fromEntries(docsOf(name)),
+  };
+};
+
+/**
+ * Make require("./firebase") from lib/ return an in-memory Firestore
+ * @returns {{ db: object, bucket: object }} bucket.files maps the paths saved in Storage to their content
+ */
+const installFakeFirebase = () => {
+  const modulePath = path.join(__dirname, "..", "lib", "firebase.js");
+  const db = createFakeFirestore();
+  const files = new Map();
+  const bucket = {
+    name: "test-bucket",
+    files,
+    file: (filePath) => ({
+      name: filePath,
+      save: async (data) => {
+        files.set(filePath, Buffer.from(data));
+      },
+      makePublic: async () => {},
+      download: async () => {
+        if (!files.has(filePath)) throw new Error(`No such object: ${filePath}`);
+        return [files.get(filePath)];
+      },
+      delete: async () => {
+        files.delete(filePath);
+      },
+    }),
+  };
+  const storagePathFromUrl = (url) => {
+    const prefix = `https://storage.googleapis.com/${bucket.name}/`;
+    if (typeof url !== "string" || !url.startsWith(prefix)) return null;
+    return decodeURIComponent(url.slice(prefix.length));
+  };
+
+  require.cache[modulePath] = {
+    id: modulePath,
+    filename: modulePath,
+    loaded: true,
+    exports: { admin: null, db, bucket, storagePathFromUrl },
+  };
+  return { db, bucket };
+};
+
+module.exports = { installFakeFirebase };
@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const sharp = require("sharp");
+const { installFakeFirebase } = require("./fakeFirebase");
+const { upstreamError } = require("../lib/retry");
+
+const { db, bucket } = installFakeFirebase();
+const { setLlmBackend, createMockBackend } = require("../lib/llm");
+const { getImageProvider } = require("../lib/imageProviders");
+const { runAutoGeneration } = require("../lib/generation");
+const { storagePathFromUrl } = require("../lib/firebase");
+
+const failuresOf = (email) =>
+  Object.values(db.dump("generation_failures")).filter((failure) => failure.email === email);
+
+const autoRequest = (email) => ({
+  email,
+  postText: "Back from the conference",
+  photos: [],
+  provider: getImageProvider("mock"),
+});
+
+test("a failing LLM call is recorded as a generation failure", async () => {
+  setLlmBackend(
+    createMockBackend([
+      () => {
+        throw upstreamError("invalid api key", { status: 401 });
+      },
+    ])
+  );
+
+  await assert.rejects(runAutoGeneration(autoRequest("llm-down@example.com")), {
+    status: 500,
+    message: "invalid api key",
+  });
+
+  const failures = failuresOf("llm-down@example.com");
+  assert.strictEqual(failures.length, 1);
+  assert.strictEqual(failures[0].stage, "prompt");
+  assert.strictEqual(failures[0].provider, "mock");
+  assert.strictEqual(failures[0].error, "invalid api key");
+});
+
+test("an empty prompt from the LLM is recorded as a generation failure", async () => {
+  setLlmBackend(createMockBackend(["   "]));
+
+  await assert.rejects(runAutoGeneration(autoRequest("empty-prompt@example.com")), { status: 500 });
+
+  const failures = failuresOf("empty-prompt@example.com");
+  assert.strictEqual(failures.length, 1);
+  assert.strictEqual(failures[0].error, "No prompt returned by the LLM");
+});
+
+// The save pipeline logs a line per image: keep it out of the test runner's output
+const quietPipeline = (t) => t.mock.method(console, "log", () => {});
+
+test("the image prompt asks for the aspect ratio of the selected format", async (t) => {
+  quietPipeline(t);
+  setLlmBackend(createMockBackend());
+  const selfie = await sharp({ create: { width: 64, height: 64, channels: 3, background: "#a07050" } })
+    .jpeg()
+    .toBuffer();
+
+  const result = await runAutoGeneration({
+    ...autoRequest("banner@example.com"),
+    photos: [selfie],
+    format: "profile_banner",
+  });
+
+  assert.match(result.prompt, /aspect ratio 4:1/);
+  assert.doesNotMatch(result.prompt, /1:1 or 4:5/);
+  assert.strictEqual(result.imageUrls.length, 2);
+
+  // Cropped to the banner, the untouched original kept alongside
+  const banner = await sharp(bucket.files.get(storagePathFromUrl(result.imageUrls[0]))).metadata();
+  const original = await sharp(bucket.files.get(storagePathFromUrl(result.originalUrls[0]))).metadata();
+  assert.strictEqual(banner.width / banner.height, 4);
+  assert.strictEqual(original.width, original.height);
+});
+
+test("without a format the image prompt keeps the feed aspect ratios", async (t) => {
+  quietPipeline(t);
+  setLlmBackend(createMockBackend());
+
+  const { prompt } = await runAutoGeneration({
+    ...autoRequest("feed@example.com"),
+    photos: [await sharp({ create: { width: 64, height: 64, channels: 3, background: "#405060" } }).png().toBuffer()],
+  });
+
+  assert.match(prompt, /aspect ratio 1:1 or 4:5/);
+});
@@ -0,0 +1,163 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const sharp = require("sharp");
+const { getImageProvider, listImageProviders, generateImages } = require("../lib/imageProviders");
+const { upstreamError } = require("../lib/retry");
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const selfie = (color) =>
+  sharp({ create: { width: 64, height: 64, channels: 3, background: color } }).jpeg().toBuffer();
+
+const decodeDataUrl = (dataUrl) => {
+  const match = dataUrl.match(/^data:image\/png;base64,(.+)$/);
+  assert.ok(match, "expected a base64 PNG data URL");
+  return Buffer.from(match[1], "base64");
+};
+
+// Provider whose generateImage is scripted per call; no backoff so retries are immediate
+const scriptedProvider = (name, script) => ({
+  name,
+  label: name,
+  model: `${name}-model`,
+  retryPolicy: { maxAttempts: 3, baseDelayMs: 0 },
+  limits: { maxConcurrent: 1 },
+  missingConfig: () => null,
+  calls: 0,
+  async generateImage(request) {
+    this.calls += 1;
+    return script.shift()(request);
+  },
+});
+
+test("the mock provider generates the requested number of PNG placeholders", async () => {
+  const provider = getImageProvider("mock");
+  const images = await generateImages(provider, { prompt: "studio portrait", photos: [await selfie("#c08060")], count: 3 });
+
+  assert.strictEqual(images.length, 3);
+  for (const image of images) {
+    const png = decodeDataUrl(image);
+    assert.ok(png.subarray(0, 8).equals(PNG_SIGNATURE));
+    const { width, height, format } = await sharp(png).metadata();
+    assert.deepStrictEqual({ width, height, format }, { width: 256, height: 256, format: "png" });
+  }
+  assert.strictEqual(new Set(images).size, 3, "each index gives a different image");
+});
+
+test("the mock provider is deterministic for the same prompt and photos", async () => {
+  const provider = getImageProvider("mock");
+  const photos = [await selfie("#c08060")];
+
+  const first = await generateImages(provider, { prompt: "café", photos, count: 2 });
+  const again = await generateImages(provider, { prompt: "café", photos, count: 2, concurrency: 2 });
+  const otherPrompt = await generateImages(provider, { prompt: "office", photos, count: 2 });
+  const otherPhoto = await generateImages(provider, { prompt: "café", photos: [await selfie("#203040")], count: 2 });
+
+  assert.deepStrictEqual(again, first);
+  assert.notDeepStrictEqual(otherPrompt, first);
+  assert.notDeepStrictEqual(otherPhoto, first);
+});
+
+test("maxPhotos limits the photos sent to the provider", async () => {
+  const seen = [];
+  const provider = scriptedProvider("scripted-photos", [
+    async ({ photos }) => {
+      seen.push(photos);
+      return { dataUrl: "data:image/png;base64,AAAA", finishReason: "STOP" };
+    },
+  ]);
+
+  await generateImages(provider, {
+    prompt: "p",
+    photos: [await selfie("#808080"), await selfie("#ffffff")],
+    count: 1,
+    maxPhotos: 1,
+  });
+  assert.strictEqual(seen.length, 1);
+  assert.strictEqual(seen[0].length, 1);
+  assert.strictEqual(seen[0][0].mimeType, "image/jpeg");
+});
+
+test("photos that are not JPEG, PNG or WebP are rejected before any call", async () => {
+  const provider = scriptedProvider("scripted-unsupported", []);
+  const notAnImage = Buffer.from("not an image").toString("base64");
+
+  await assert.rejects(generateImages(provider, { prompt: "p", photos: [notAnImage], count: 1 }), { status: 415 });
+  assert.strictEqual(provider.calls, 0);
+});
+
+test("hooks receive each image with how it was produced", async () => {
+  const provider = getImageProvider("mock");
+  const started = [];
+  const generated = [];
+
+  const images = await generateImages(
+    provider,
+    { prompt: "garden", photos: [await selfie("#808080"), await selfie("#ffffff")], count: 2, maxPhotos: 1 },
+    {
+      onImageStart: async (index, count) => started.push([index, count]),
+      onImage: async (index, dataUrl, details) => generated.push({ index, dataUrl, details }),
+    }
+  );
+
+  assert.deepStrictEqual(started, [
+    [0, 2],
+    [1, 2],
+  ]);
+  assert.deepStrictEqual(
+    generated.map(({ index, dataUrl }) => [index, dataUrl]),
+    images.map((dataUrl, index) => [index, dataUrl])
+  );
+  for (const { details } of generated) {
+    assert.strictEqual(details.model, "placeholder-gradient");
+    assert.strictEqual(details.attempts, 1);
+    assert.strictEqual(details.finishReason, "STOP");
+    assert.strictEqual(details.referencePhotoHashes.length, 1, "maxPhotos limits the photos sent");
+    assert.match(details.referencePhotoHashes[0], /^[0-9a-f]{64}$/);
+  }
+});
+
+test("retryable provider errors are retried, permanent ones skip the image", async () => {
+  const ok = async () => ({ dataUrl: "data:image/png;base64,AAAA", finishReason: "STOP" });
+  const provider = scriptedProvider("scripted-retry", [
+    async () => {
+      throw upstreamError("rate limited", { status: 429 });
+    },
+    ok,
+    async () => {
+      throw upstreamError("prompt blocked", { status: 400 });
+    },
+  ]);
+  const failed = [];
+  const attempts = [];
+
+  const images = await generateImages(
+    provider,
+    { prompt: "p", photos: [], count: 2 },
+    {
+      onImage: async (index, dataUrl, details) => attempts.push([index, details.attempts]),
+      onImageError: async (index, error) => failed.push([index, error.message]),
+    }
+  );
+
+  assert.deepStrictEqual(images, ["data:image/png;base64,AAAA"]);
+  assert.deepStrictEqual(attempts, [[0, 2]]);
+  assert.deepStrictEqual(failed, [[1, "prompt blocked"]]);
+  assert.strictEqual(provider.calls, 3);
+});
+
+test("generation fails when no image could be produced", async () => {
+  const blocked = async () => {
+    throw upstreamError("blocked", { retryable: false });
+  };
+  const provider = scriptedProvider("scripted-blocked", [blocked, blocked]);
+
+  await assert.rejects(generateImages(provider, { prompt: "p", photos: [], count: 2 }), /Failed to generate any images/);
+});
+
+test("providers are listed with their configuration, unknown names resolve to null", () => {
+  const mock = listImageProviders().find((provider) => provider.name === "mock");
+
+  assert.strictEqual(mock.configured, true);
+  assert.strictEqual(getImageProvider("does-not-exist"), null);
+});
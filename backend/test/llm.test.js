@@ -0,0 +1,121 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { installFakeFirebase } = require("./fakeFirebase");
+const { upstreamError } = require("../lib/retry");
+
+// Keep the backoff short: only the number of attempts and Retry-After matter here
+process.env.LLM_RETRY_BASE_DELAY_MS = "1";
+
+const { db } = installFakeFirebase();
+const { complete, extractJson, setLlmBackend, createMockBackend } = require("../lib/llm");
+
+const failWith = (status, retryAfter = null) => () => {
+  throw upstreamError(`upstream answered ${status}`, { status, retryAfter });
+};
+
+test("complete builds the template's messages and returns the scripted answer", async () => {
+  const backend = createMockBackend(["A photorealistic portrait on a conference stage."]);
+  setLlmBackend(backend);
+
+  const result = await complete(
+    "autoPrompt",
+    { postText: "Just gave my first keynote!", photoCount: 2, requestedCount: 2 },
+    { email: "speaker@example.com" }
+  );
+
+  assert.strictEqual(result.text, "A photorealistic portrait on a conference stage.");
+  assert.strictEqual(result.template, "autoPrompt.v2");
+  assert.strictEqual(backend.calls.length, 1);
+
+  const [request] = backend.calls;
+  assert.deepStrictEqual(
+    request.messages.map((message) => message.role),
+    ["system", "user"]
+  );
+  assert.match(request.messages[1].content, /Just gave my first keynote!/);
+  assert.match(request.messages[1].content, /2 reference selfie\(s\)/);
+  assert.strictEqual(request.temperature, 0.6);
+});
+
+test("token usage is recorded per user and template", async () => {
+  setLlmBackend(createMockBackend(['["visage"]']));
+  await complete("selectTags", { postText: "Hello" }, { email: "usage@example.com" });
+
+  const records = Object.values(db.dump("llm_usage")).filter((record) => record.email === "usage@example.com");
+  assert.strictEqual(records.length, 1);
+  assert.strictEqual(records[0].template, "selectTags.v1");
+  assert.ok(records[0].prompt_tokens > 0);
+  assert.strictEqual(records[0].total_tokens, records[0].prompt_tokens + records[0].completion_tokens);
+});
+
+test("scripted replies can depend on the request, then the template's mock answer takes over", async () => {
+  const backend = createMockBackend([(request) => `echo: ${request.variables.postText}`]);
+  setLlmBackend(backend);
+
+  const scripted = await complete("selectTags", { postText: "first" });
+  const fallback = await complete("selectTags", { postText: "second" });
+
+  assert.strictEqual(scripted.text, "echo: first");
+  assert.deepStrictEqual(extractJson(fallback.text, "array"), ["visage", "portrait", "professionnel"]);
+});
+
+test("post analysis answers wrapped in prose or code fences are parsed", async () => {
+  setLlmBackend(
+    createMockBackend([
+      'Here is the analysis:\n```json\n{"themes": ["sport"], "tone": "énergique", "desiredTags": ["salle_de_sport"]}\n```\nHope it helps!',
+    ])
+  );
+
+  const { text } = await complete("postAnalysis", { postText: "Back at the gym" });
+  assert.deepStrictEqual(extractJson(text), { themes: ["sport"], tone: "énergique", desiredTags: ["salle_de_sport"] });
+});
+
+test("extractJson finds arrays and throws when nothing parses", () => {
+  assert.deepStrictEqual(extractJson('Tags: ["a", "b"]', "array"), ["a", "b"]);
+  assert.throws(() => extractJson("no json here"), SyntaxError);
+  assert.throws(() => extractJson('{"broken": }'), SyntaxError);
+});
+
+test("non-retryable backend errors are not retried", async () => {
+  const backend = createMockBackend([failWith(401)]);
+  setLlmBackend(backend);
+
+  await assert.rejects(complete("selectTags", { postText: "x" }), { upstreamStatus: 401, attempts: 1 });
+  assert.strictEqual(backend.calls.length, 1);
+});
+
+test("throttling and server errors are retried until an answer comes", async () => {
+  const backend = createMockBackend([failWith(503), failWith(429), '["retried"]']);
+  setLlmBackend(backend);
+
+  const { text } = await complete("selectTags", { postText: "x" });
+  assert.deepStrictEqual(extractJson(text, "array"), ["retried"]);
+  assert.strictEqual(backend.calls.length, 3);
+});
+
+test("retries stop after three attempts", async () => {
+  const backend = createMockBackend([failWith(500), failWith(502), failWith(500), "never reached"]);
+  setLlmBackend(backend);
+
+  await assert.rejects(complete("selectTags", { postText: "x" }), { upstreamStatus: 500, attempts: 3 });
+  assert.strictEqual(backend.calls.length, 3);
+});
+
+test("Retry-After is waited for, and a wait over a minute is a permanent failure", async () => {
+  const backend = createMockBackend([failWith(429, "0.2"), '["after wait"]']);
+  setLlmBackend(backend);
+
+  const startedAt = Date.now();
+  await complete("selectTags", { postText: "x" });
+  assert.ok(Date.now() - startedAt >= 190, "waited for Retry-After");
+
+  const tooLong = createMockBackend([failWith(429, "120"), "never reached"]);
+  setLlmBackend(tooLong);
+  await assert.rejects(complete("selectTags", { postText: "x" }), { upstreamStatus: 429, retryAfterMs: 120000 });
+  assert.strictEqual(tooLong.calls.length, 1);
+});
+
+test("unknown templates are rejected", async () => {
+  setLlmBackend(createMockBackend());
+  await assert.rejects(complete("doesNotExist", {}), /Unknown prompt template doesNotExist/);
+});
@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { installFakeFirebase } = require("./fakeFirebase");
+
+const { db } = installFakeFirebase();
+const { getLockedUntil, registerFailedLogin, clearLockout, listLockouts } = require("../lib/lockout");
+
+const MINUTE = 60 * 1000;
+
+// Lock duration of a failure, measured from the time it was registered
+const failAndMeasure = async (email) => {
+  const before = Date.now();
+  const lockedUntil = await registerFailedLogin(email, "203.0.113.7");
+  return lockedUntil ? lockedUntil.getTime() - before : null;
+};
+
+const assertAbout = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1000, `${actual} ≈ ${expected}`);
+
+test("the fifth consecutive failure locks for a minute, each further one doubles it", async () => {
+  const email = "escalation@example.com";
+  for (let i = 0; i < 4; i += 1) {
+    assert.strictEqual(await registerFailedLogin(email, "203.0.113.7"), null);
+  }
+  assert.strictEqual(await getLockedUntil(email), null);
+
+  assertAbout(await failAndMeasure(email), MINUTE);
+  assertAbout(await failAndMeasure(email), 2 * MINUTE);
+  assertAbout(await failAndMeasure(email), 4 * MINUTE);
+  assert.ok((await getLockedUntil(email)) > new Date());
+});
+
+test("the lock is capped at one hour", async () => {
+  const email = "capped@example.com";
+  for (let i = 0; i < 12; i += 1) await registerFailedLogin(email);
+
+  assertAbout(await failAndMeasure(email), 60 * MINUTE);
+});
+
+test("lockouts are keyed by the lowercased email and keep the last IP", async () => {
+  for (let i = 0; i < 5; i += 1) await registerFailedLogin("Mixed.Case@Example.com", "198.51.100.1");
+
+  assert.ok(await getLockedUntil("mixed.case@example.com"));
+  const stored = db.dump("login_lockouts")["mixed.case@example.com"];
+  assert.strictEqual(stored.failed_attempts, 5);
+  assert.strictEqual(stored.last_ip, "198.51.100.1");
+});
+
+test("failures older than an hour are forgotten", async () => {
+  const email = "quiet@example.com";
+  for (let i = 0; i < 6; i += 1) await registerFailedLogin(email);
+
+  await db
+    .collection("login_lockouts")
+    .doc(email)
+    .set({ last_failed_at: new Date(Date.now() - 2 * 60 * MINUTE), locked_until: null }, { merge: true });
+
+  assert.strictEqual(await registerFailedLogin(email), null);
+  assert.strictEqual(db.dump("login_lockouts")[email].failed_attempts, 1);
+});
+
+test("clearLockout unlocks the account and restarts the count", async () => {
+  const email = "cleared@example.com";
+  for (let i = 0; i < 5; i += 1) await registerFailedLogin(email);
+  assert.ok(await getLockedUntil(email));
+
+  await clearLockout(email);
+  assert.strictEqual(await getLockedUntil(email), null);
+  assert.strictEqual(await registerFailedLogin(email), null);
+});
+
+test("listLockouts only returns accounts still locked, latest unlock first", async () => {
+  const lockouts = await listLockouts();
+  const emails = lockouts.map((lockout) => lockout.email);
+
+  assert.ok(emails.includes("escalation@example.com"));
+  assert.ok(!emails.includes("quiet@example.com"));
+  assert.ok(!emails.includes("cleared@example.com"));
+  assert.strictEqual(emails[0], "capped@example.com");
+  for (const lockout of lockouts) assert.ok(lockout.lockedUntil > new Date());
+});
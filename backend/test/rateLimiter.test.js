@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createMemoryStore, setDefaultStore, createRateLimiter } = require("../lib/rateLimiter");
+
+setDefaultStore(createMemoryStore());
+
+// Minimal Express req/res pair: resolves with the status sent, or "next" when the request went through
+const callMiddleware = (middleware, req) =>
+  new Promise((resolve) => {
+    const res = {
+      headers: {},
+      set(name, value) {
+        this.headers[name] = value;
+        return this;
+      },
+      status(code) {
+        return { json: (body) => resolve({ status: code, body, headers: res.headers }) };
+      },
+    };
+    middleware(req, res, () => resolve("next"));
+  });
+
+test("requests over the limit are answered 429 with Retry-After", async () => {
+  const limiter = createRateLimiter({ name: "test-login", windowMs: 60000, max: 2, keyGenerator: (req) => req.ip });
+
+  assert.strictEqual(await callMiddleware(limiter, { ip: "192.0.2.1" }), "next");
+  assert.strictEqual(await callMiddleware(limiter, { ip: "192.0.2.1" }), "next");
+  const rejected = await callMiddleware(limiter, { ip: "192.0.2.1" });
+
+  assert.strictEqual(rejected.status, 429);
+  assert.strictEqual(rejected.body.success, false);
+  assert.ok(Number(rejected.headers["Retry-After"]) >= 1);
+  // Other keys keep their own counter
+  assert.strictEqual(await callMiddleware(limiter, { ip: "192.0.2.2" }), "next");
+});
+
+test("a null key skips limiting", async () => {
+  const limiter = createRateLimiter({ name: "test-skip", windowMs: 60000, max: 0, keyGenerator: () => null });
+
+  assert.strictEqual(await callMiddleware(limiter, {}), "next");
+});
+
+test("an unavailable store lets requests through", async () => {
+  const store = {
+    increment: async () => {
+      throw new Error("store down");
+    },
+  };
+  const limiter = createRateLimiter({ name: "test-down", windowMs: 60000, max: 1, keyGenerator: () => "key", store });
+
+  assert.strictEqual(await callMiddleware(limiter, {}), "next");
+});
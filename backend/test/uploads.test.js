@@ -0,0 +1,110 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const express = require("express");
+const bodyParser = require("body-parser");
+const sharp = require("sharp");
+const { MAX_PHOTO_BYTES, MAX_PHOTO_FILES, photoUpload } = require("../lib/uploads");
+
+// Echo what the middleware left for the route: trusted files and the request body
+const app = express();
+app.use(bodyParser.json({ limit: "2mb" }));
+app.use(bodyParser.urlencoded({ limit: "2mb", extended: true }));
+app.post("/photos", photoUpload, (req, res) => {
+  const uploads = (req.uploads?.photos || []).map((file) => ({ ...file, exists: fs.existsSync(file.path) }));
+  res.json({ success: true, uploads, body: req.body });
+});
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise((resolve) => server.close(resolve)));
+
+const jpeg = () => sharp({ create: { width: 32, height: 32, channels: 3, background: "#336699" } }).jpeg().toBuffer();
+
+const postForm = (form) => fetch(`${baseUrl}/photos`, { method: "POST", body: form });
+
+const postJson = (body) =>
+  fetch(`${baseUrl}/photos`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+test("multipart images are checked and listed in req.uploads, not in req.body", async () => {
+  const form = new FormData();
+  form.append("photos", new Blob([await jpeg()]), "selfie.jpg");
+  form.append("label", "office");
+
+  const response = await postForm(form);
+  const { uploads, body } = await response.json();
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(uploads.length, 1);
+  assert.strictEqual(uploads[0].format, "jpeg");
+  assert.strictEqual(uploads[0].mimeType, "image/jpeg");
+  assert.strictEqual(uploads[0].exists, true);
+  assert.deepStrictEqual(body, { label: "office" });
+});
+
+test("JSON photos pass through when they are base64 strings", async () => {
+  const photo = (await jpeg()).toString("base64");
+  const response = await postJson({ photos: [photo] });
+  const { uploads, body } = await response.json();
+
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(uploads, []);
+  assert.deepStrictEqual(body.photos, [photo]);
+});
+
+test("file entries are never taken from the request body", async () => {
+  const json = await postJson({ photos: [{ path: "/proc/self/environ", format: "jpeg" }] });
+  assert.strictEqual(json.status, 400);
+
+  const urlencoded = await fetch(`${baseUrl}/photos`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: "photos[0][path]=/proc/self/environ",
+  });
+  assert.strictEqual(urlencoded.status, 400);
+
+  const form = new FormData();
+  form.append("photos[0][path]", "/proc/self/environ");
+  const multipart = await postForm(form);
+  assert.strictEqual(multipart.status, 400);
+  assert.strictEqual((await multipart.json()).success, false);
+});
+
+test("files that are not JPEG, PNG or WebP are answered 415, whatever their name", async () => {
+  const form = new FormData();
+  form.append("photos", new Blob(["#!/bin/sh\necho not an image\n"], { type: "image/jpeg" }), "selfie.jpg");
+
+  const response = await postForm(form);
+  assert.strictEqual(response.status, 415);
+  assert.match((await response.json()).message, /selfie\.jpg is not a JPEG, PNG or WebP image/);
+});
+
+test("a file over the size limit is answered 413", async () => {
+  const oversized = Buffer.concat([await jpeg(), Buffer.alloc(MAX_PHOTO_BYTES)]);
+  const form = new FormData();
+  form.append("photos", new Blob([oversized]), "huge.jpg");
+
+  const response = await postForm(form);
+  assert.strictEqual(response.status, 413);
+  assert.match((await response.json()).message, /must be 10MB or less/);
+});
+
+test("more files than allowed are answered 413", async () => {
+  const photo = await jpeg();
+  const form = new FormData();
+  for (let i = 0; i <= MAX_PHOTO_FILES; i += 1) form.append("photos", new Blob([photo]), `selfie-${i}.jpg`);
+
+  const response = await postForm(form);
+  assert.strictEqual(response.status, 413);
+});
@@ -0,0 +1,29 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { installFakeFirebase } = require("./fakeFirebase");
+
+const { bucket } = installFakeFirebase();
+const { deleteOwnedFiles } = require("../lib/workspaces");
+
+const storageUrl = (path) => `https://storage.googleapis.com/${bucket.name}/${path}`;
+
+test("an image's cropped and original files are deleted, files it does not own are kept", async () => {
+  for (const path of ["generated/a@example.com/1.png", "generated/a@example.com/1-original.png", "references/a.jpg"]) {
+    await bucket.file(path).save("image");
+  }
+
+  await deleteOwnedFiles("images", {
+    url: storageUrl("generated/a@example.com/1.png"),
+    originalUrl: storageUrl("generated/a@example.com/1-original.png"),
+    referenceUrl: storageUrl("references/a.jpg"),
+  });
+
+  assert.deepStrictEqual([...bucket.files.keys()], ["references/a.jpg"]);
+});
+
+test("records without Storage files are left alone", async () => {
+  await deleteOwnedFiles("images", { url: "https://example.com/external.png", originalUrl: null });
+  await deleteOwnedFiles("selections", { url: storageUrl("references/a.jpg") });
+
+  assert.ok(bucket.files.has("references/a.jpg"));
+});
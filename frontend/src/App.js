@@ -2,6 +2,38 @@ import React, { useState } from "react";
 import "./App.css";
 
 const BACKEND_URL = "https://g-n-ration-ia-texte-image.vercel.app";
+const JOB_STREAM_RETRY_MS = 3000;
+const JOB_STREAM_MAX_RETRIES = 5;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Read a Server-Sent Events response (fetch is used instead of EventSource to send the Authorization header)
+const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary = buffer.indexOf("\n\n");
+    while (boundary !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf("\n\n");
+
+      const event = { id: null, type: "message", data: "" };
+      block.split("\n").forEach((line) => {
+        if (line.startsWith("id: ")) event.id = Number(line.slice(4));
+        else if (line.startsWith("event: ")) event.type = line.slice(7);
+        else if (line.startsWith("data: ")) event.data += line.slice(6);
+      });
+      if (event.data) onEvent({ ...event, data: JSON.parse(event.data) });
+    }
+  }
+};
 
 function App() {
   const [mode, setMode] = useState("login");
@@ -13,10 +45,40 @@ function App() {
   });
   const [user, setUser] = useState(null);
   const [token, setToken] = useState("");
+  // Token courant, lu par les effets et les boucles qui ne doivent pas repartir à chaque renouvellement
+  const tokenRef = React.useRef("");
+  tokenRef.current = token;
+  const userEmail = user?.email;
+  const [refreshToken, setRefreshToken] = useState("");
+  const [tokenExpiresAt, setTokenExpiresAt] = useState(null);
   const [showPassword, setShowPassword] = useState(false);
+  const [resetToken, setResetToken] = useState("");
   const [images, setImages] = useState([]);
   const [photos, setPhotos] = useState([]);
+  const [referencePhotos, setReferencePhotos] = useState([]);
+  const [selectedReferenceIds, setSelectedReferenceIds] = useState([]);
   const [style, setStyle] = useState("professional_indoor");
+  const [styleCatalog, setStyleCatalog] = useState({ categories: [], styles: [] });
+  const [formats, setFormats] = useState([]);
+  const [imageIds, setImageIds] = useState([]);
+  const [brandingOptions, setBrandingOptions] = useState({ frames: [], fonts: [] });
+  const [brandingForm, setBrandingForm] = useState({
+    title: "",
+    subtitle: "",
+    font: "sans",
+    textColor: "#ffffff",
+    textPosition: "bottom",
+    frame: "none",
+    frameColor: "#1e3a8a",
+    logoPosition: "bottom-right",
+  });
+  const [brandingLogo, setBrandingLogo] = useState(null);
+  const [branding, setBranding] = useState(false);
+  const [editInstruction, setEditInstruction] = useState("");
+  const [editing, setEditing] = useState(false);
+  const [format, setFormat] = useState("");
+  const [customStyles, setCustomStyles] = useState([]);
+  const [customStyleForm, setCustomStyleForm] = useState({ label: "", prompt: "", defaultCount: 2 });
   const [flowType, setFlowType] = useState("style"); // "style" | "auto"
   const [postText, setPostText] = useState("");
   const [postInputMode, setPostInputMode] = useState("manual"); // "select" | "manual"
@@ -68,9 +130,233 @@ function App() {
   ];
 
   const [numberOfImages, setNumberOfImages] = useState(3);
+  // Nombre choisi par l'utilisateur : le style ne le remplace plus ensuite
+  const [numberOfImagesChosen, setNumberOfImagesChosen] = useState(false);
   const [loading, setLoading] = useState(false);
   const [progress, setProgress] = useState(0);
+  const [progressLabel, setProgressLabel] = useState("");
   const [selectedImageIndex, setSelectedImageIndex] = useState(null);
+  const [showSettings, setShowSettings] = useState(false);
+  const [settingsForm, setSettingsForm] = useState({
+    nom: "",
+    prenom: "",
+    currentPassword: "",
+    newPassword: "",
+    newEmail: "",
+    emailPassword: "",
+  });
+  const [apiKeys, setApiKeys] = useState([]);
+  const [apiKeyForm, setApiKeyForm] = useState({ name: "", scopes: ["generate"] });
+  const [newApiKey, setNewApiKey] = useState("");
+  const [workspaces, setWorkspaces] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [workspaceForm, setWorkspaceForm] = useState({
+    name: "",
+    workspaceId: "",
+    inviteEmail: "",
+    inviteRole: "viewer",
+  });
+
+  const storeTokens = (data) => {
+    setToken(data.token);
+    setRefreshToken(data.refreshToken);
+    setTokenExpiresAt(Date.now() + data.expiresIn * 1000);
+  };
+
+  const clearSession = () => {
+    setUser(null);
+    setToken("");
+    setRefreshToken("");
+    setTokenExpiresAt(null);
+    setCustomStyles([]);
+    setReferencePhotos([]);
+    setSelectedReferenceIds([]);
+  };
+
+  // Renouvellement silencieux du token une minute avant son expiration
+  React.useEffect(() => {
+    if (!refreshToken || !tokenExpiresAt) return undefined;
+
+    const delay = Math.max(tokenExpiresAt - Date.now() - 60 * 1000, 0);
+    const timer = setTimeout(async () => {
+      try {
+        const res = await fetch(`${BACKEND_URL}/token/refresh`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ refreshToken }),
+        });
+        const data = await res.json();
+
+        if (data.success) {
+          storeTokens(data);
+        } else {
+          alert("Your session has expired, please log in again.");
+          clearSession();
+        }
+      } catch (err) {
+        console.error("Token refresh failed:", err);
+      }
+    }, delay);
+
+    return () => clearTimeout(timer);
+  }, [refreshToken, tokenExpiresAt]);
+
+  // Liens reçus par email : vérification d'adresse ou réinitialisation du mot de passe
+  React.useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const verifyToken = params.get("verifyToken");
+    const passwordResetToken = params.get("resetToken");
+
+    if (!verifyToken && !passwordResetToken) return;
+    window.history.replaceState({}, "", window.location.pathname);
+
+    if (passwordResetToken) {
+      setResetToken(passwordResetToken);
+      setMode("reset");
+      return;
+    }
+
+    fetch(`${BACKEND_URL}/email/verify`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ token: verifyToken }),
+    })
+      .then((res) => res.json())
+      .then((data) => alert(data.message))
+      .catch((err) => {
+        console.error(err);
+        alert("Server error");
+      });
+  }, []);
+
+  // Catalogue des styles servi par le backend
+  React.useEffect(() => {
+    fetch(`${BACKEND_URL}/styles`)
+      .then((res) => res.json())
+      .then((data) => {
+        if (data.success) {
+          setStyleCatalog({ categories: data.categories, styles: data.styles });
+        }
+      })
+      .catch((err) => console.error("Styles fetch failed:", err));
+  }, []);
+
+  // Formats LinkedIn (recadrage côté serveur)
+  React.useEffect(() => {
+    fetch(`${BACKEND_URL}/formats`)
+      .then((res) => res.json())
+      .then((data) => {
+        if (data.success) {
+          setFormats(data.formats);
+        }
+      })
+      .catch((err) => console.error("Formats fetch failed:", err));
+  }, []);
+
+  // Options de mise aux couleurs (cadres, polices)
+  React.useEffect(() => {
+    fetch(`${BACKEND_URL}/branding/options`)
+      .then((res) => res.json())
+      .then((data) => {
+        if (data.success) {
+          setBrandingOptions({ frames: data.frames, fonts: data.fonts });
+        }
+      })
+      .catch((err) => console.error("Branding options fetch failed:", err));
+  }, []);
+
+  // Styles personnalisés de l'utilisateur connecté (rechargés à la connexion, pas au renouvellement du token)
+  React.useEffect(() => {
+    if (!userEmail || !tokenRef.current) return;
+
+    fetch(`${BACKEND_URL}/custom-styles`, {
+      headers: {
+        Authorization: `Bearer ${tokenRef.current}`,
+      },
+    })
+      .then((res) => res.json())
+      .then((data) => {
+        if (data.success) {
+          setCustomStyles(data.styles);
+        }
+      })
+      .catch((err) => console.error("Custom styles fetch failed:", err));
+  }, [userEmail]);
+
+  // Bibliothèque de photos de référence, les photos par défaut sont présélectionnées
+  React.useEffect(() => {
+    if (!userEmail || !tokenRef.current) return;
+
+    fetch(`${BACKEND_URL}/reference-photos`, {
+      headers: {
+        Authorization: `Bearer ${tokenRef.current}`,
+      },
+    })
+      .then((res) => res.json())
+      .then((data) => {
+        if (data.success) {
+          setReferencePhotos(data.photos);
+          setSelectedReferenceIds(data.photos.filter((p) => p.isDefault).map((p) => p.id));
+        }
+      })
+      .catch((err) => console.error("Reference photos fetch failed:", err));
+  }, [userEmail]);
+
+  const handleStyleChange = (styleId) => {
+    setStyle(styleId);
+    const selected = [...customStyles, ...styleCatalog.styles].find((s) => s.id === styleId);
+    if (selected?.defaultCount && !numberOfImagesChosen) {
+      setNumberOfImages(selected.defaultCount);
+    }
+  };
+
+  const selectedStyle = styleCatalog.styles.find((s) => s.id === style);
+
+  const handleCreateCustomStyle = async (e) => {
+    e.preventDefault();
+
+    const res = await fetch(`${BACKEND_URL}/custom-styles`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify(customStyleForm),
+    });
+    const data = await res.json();
+
+    if (data.success) {
+      setCustomStyles([...customStyles, data.style]);
+      setCustomStyleForm({ label: "", prompt: "", defaultCount: 2 });
+    } else {
+      alert(data.message);
+    }
+  };
+
+  const handleDeleteCustomStyle = async (styleId) => {
+    if (!window.confirm("Delete this custom style?")) return;
+
+    const res = await fetch(`${BACKEND_URL}/custom-styles/${encodeURIComponent(styleId)}`, {
+      method: "DELETE",
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+    const data = await res.json();
+
+    if (data.success) {
+      setCustomStyles(customStyles.filter((s) => s.id !== styleId));
+      if (style === styleId) {
+        setStyle("professional_indoor");
+      }
+    } else {
+      alert(data.message);
+    }
+  };
 
   const handleChange = (e) => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
@@ -110,19 +396,73 @@ function App() {
     const data = await res.json();
 
     if (data.success) {
-      setUser({ email: formData.email, nom: data.nom, prenom: data.prenom });
-      setToken(data.token);
+      setUser({
+        email: formData.email,
+        nom: data.nom,
+        prenom: data.prenom,
+        emailVerified: data.emailVerified,
+      });
+      storeTokens(data);
     } else {
-      alert("Login failed");
+      alert(data.message || "Login failed");
     }
   };
 
+  // ---------------- PASSWORD RESET ----------------
+  const handleForgotPassword = async () => {
+    const email = formData.email || window.prompt("Enter your account email:");
+    if (!email) return;
+
+    const res = await fetch(`${BACKEND_URL}/password/forgot`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ email }),
+    });
+    const data = await res.json();
+    alert(data.message);
+  };
+
+  const handleResetPassword = async (e) => {
+    e.preventDefault();
+
+    const res = await fetch(`${BACKEND_URL}/password/reset`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ token: resetToken, password: formData.password }),
+    });
+    const data = await res.json();
+    alert(data.message);
+
+    if (data.success) {
+      setResetToken("");
+      setFormData({ ...formData, password: "" });
+      setMode("login");
+    }
+  };
+
+  const handleResendVerification = async () => {
+    const res = await fetch(`${BACKEND_URL}/email/verify/resend`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+    const data = await res.json();
+    alert(data.message);
+  };
+
   // ---------------- UPLOAD PHOTOS ----------------
+  const maxPhotos = flowType === "auto" ? 2 : 10;
+  const totalPhotos = photos.length + selectedReferenceIds.length;
+
   const handleUpload = (event) => {
     const files = Array.from(event.target.files);
-    const maxPhotos = flowType === "auto" ? 2 : 10;
 
-    if (files.length + photos.length > maxPhotos) {
+    if (files.length + totalPhotos > maxPhotos) {
       alert(`You can upload a maximum of ${maxPhotos} photos for this mode.`);
       return;
     }
@@ -136,22 +476,102 @@ function App() {
     setPhotos(newPhotos);
   };
 
+  // ---------------- REFERENCE PHOTO LIBRARY ----------------
+  const handleSaveToLibrary = async () => {
+    const body = new FormData();
+    photos.forEach((file) => body.append("photos", file));
+
+    const res = await fetch(`${BACKEND_URL}/reference-photos`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+      body,
+    });
+    const data = await res.json();
+
+    if (data.success) {
+      // The uploads now live in the library, selected for the next generation
+      setReferencePhotos([...data.photos, ...referencePhotos]);
+      setSelectedReferenceIds([...selectedReferenceIds, ...data.photos.map((p) => p.id)]);
+      setPhotos([]);
+    } else {
+      alert(data.message);
+    }
+  };
+
+  const handleToggleReferencePhoto = (photoId) => {
+    if (selectedReferenceIds.includes(photoId)) {
+      setSelectedReferenceIds(selectedReferenceIds.filter((id) => id !== photoId));
+    } else if (totalPhotos >= maxPhotos) {
+      alert(`You can use a maximum of ${maxPhotos} photos for this mode.`);
+    } else {
+      setSelectedReferenceIds([...selectedReferenceIds, photoId]);
+    }
+  };
+
+  const updateReferencePhoto = async (photoId, changes) => {
+    const res = await fetch(`${BACKEND_URL}/reference-photos/${photoId}`, {
+      method: "PUT",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify(changes),
+    });
+    const data = await res.json();
+
+    if (data.success) {
+      setReferencePhotos(referencePhotos.map((p) => (p.id === photoId ? data.photo : p)));
+    } else {
+      alert(data.message);
+    }
+  };
+
+  const handleRenameReferencePhoto = (photo) => {
+    const label = window.prompt("Label of this photo", photo.label);
+    if (label === null) return;
+    updateReferencePhoto(photo.id, { label });
+  };
+
+  const handleDeleteReferencePhoto = async (photoId) => {
+    if (!window.confirm("Delete this photo from your library?")) return;
+
+    const res = await fetch(`${BACKEND_URL}/reference-photos/${photoId}`, {
+      method: "DELETE",
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+    const data = await res.json();
+
+    if (data.success) {
+      setReferencePhotos(referencePhotos.filter((p) => p.id !== photoId));
+      setSelectedReferenceIds(selectedReferenceIds.filter((id) => id !== photoId));
+    } else {
+      alert(data.message);
+    }
+  };
+
   // Ajustement auto-prompt
   React.useEffect(() => {
     if (flowType === "auto") {
       if (photos.length > 2) {
         setPhotos((prev) => prev.slice(0, 2));
       }
+      if (photos.length + selectedReferenceIds.length > 2) {
+        setSelectedReferenceIds((prev) => prev.slice(0, Math.max(2 - photos.length, 0)));
+      }
       if (numberOfImages !== 2) {
         setNumberOfImages(2);
       }
     }
-  }, [flowType, photos.length, numberOfImages]);
+  }, [flowType, photos.length, selectedReferenceIds.length, numberOfImages]);
 
   // ---------------- GENERATE IMAGE ----------------
   const handleGenerate = async () => {
-    if (photos.length === 0) {
-      alert("Upload at least one photo");
+    if (totalPhotos === 0) {
+      alert("Upload or select at least one photo");
       return;
     }
 
@@ -165,11 +585,11 @@ function App() {
         alert("Ajoute le texte du post pour générer un prompt.");
         return;
       }
-      if (photos.length < 1) {
+      if (totalPhotos < 1) {
         alert("Ajoute au moins 1 selfie (max 2) pour le mode auto-prompt.");
         return;
       }
-      if (photos.length > 2) {
+      if (totalPhotos > 2) {
         alert("Max 2 selfies en mode auto-prompt.");
         return;
       }
@@ -177,87 +597,225 @@ function App() {
 
     setLoading(true);
     setImages([]);
+    setImageIds([]);
     setGeneratedPrompt("");
     setSelectedImageIndex(null);
     setProgress(0);
-
-    const progressInterval = setInterval(() => {
-      setProgress((prev) => (prev >= 90 ? 90 : prev + 2));
-    }, 100);
-
-    const base64Photos = await Promise.all(
-      photos.map(
-        (file) =>
-          new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = () =>
-              resolve(reader.result.split(",")[1]);
-            reader.onerror = reject;
-            reader.readAsDataURL(file);
-          })
-      )
-    );
+    setProgressLabel("");
 
     try {
       const desiredCount = flowType === "auto" ? 2 : numberOfImages;
-      const endpoint = flowType === "auto" ? "generate-auto" : "generate";
-
-      const body =
-        flowType === "auto"
-          ? {
-              email: user?.email || "anonymous",
-              postText,
-              photos: base64Photos,
-              numberOfImages: desiredCount,
-            }
-          : {
-              email: user?.email || "anonymous",
-              style,
-              photos: base64Photos,
-              numberOfImages: desiredCount,
-            };
-
-      const res = await fetch(`${BACKEND_URL}/${endpoint}`, {
+
+      // Photos are sent as files (multipart), not as base64 JSON
+      const body = new FormData();
+      body.append("type", flowType === "auto" ? "auto" : "style");
+      if (flowType === "auto") {
+        body.append("postText", postText);
+      } else {
+        body.append("style", style);
+      }
+      body.append("numberOfImages", String(desiredCount));
+      if (format) {
+        body.append("format", format);
+      }
+      photos.forEach((file) => body.append("photos", file));
+      selectedReferenceIds.forEach((id) => body.append("referencePhotoIds", id));
+
+      const res = await fetch(`${BACKEND_URL}/jobs`, {
         method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(body),
+        headers: { Authorization: `Bearer ${token}` },
+        body,
       });
 
       const data = await res.json();
-      clearInterval(progressInterval);
-      setProgress(100);
-
-      if (data.success) {
-        if (data.prompt) {
-          setGeneratedPrompt(data.prompt);
-        } else if (data.optimizedPrompt) {
-          setGeneratedPrompt(data.optimizedPrompt);
+      if (!data.success) {
+        alert("Error generating image: " + (data.message || "Unknown error"));
+      } else {
+        // Follow the job's event stream, showing each image as soon as it is uploaded.
+        // Images can finish out of order (parallel generation): each one is placed at its index.
+        const run = { lastEventId: 0, total: 0, settled: 0, slots: [], urls: [], result: null };
+        const onJobEvent = ({ id, type, data: payload }) => {
+          run.lastEventId = id;
+          if (type === "started") {
+            // A job restarted by the server begins again from scratch
+            Object.assign(run, { total: 0, settled: 0, slots: [], urls: [] });
+            setImages([]);
+            setProgress(0);
+          } else if (type === "prompt") {
+            run.total += payload.total;
+            setGeneratedPrompt(payload.prompt);
+          } else if (type === "image-started") {
+            setProgressLabel(`Image ${payload.index + 1}/${payload.total}`);
+          } else if (type === "image-uploaded" || type === "image-failed") {
+            run.settled += 1;
+            if (type === "image-uploaded") {
+              run.slots[payload.index] = payload.url;
+              run.urls = run.slots.filter(Boolean).slice(0, desiredCount);
+              setImages(run.urls);
+            }
+            setProgress(Math.round((run.settled / run.total) * 100));
+          } else if (type === "done") {
+            run.result = payload;
+            // Final URLs and ids come in the same order: images[i] and imageIds[i] are the same image
+            if (payload.status === "succeeded") {
+              run.urls = (payload.imageUrls || []).slice(0, desiredCount);
+              setImages(run.urls);
+              setImageIds((payload.imageIds || []).slice(0, desiredCount));
+            }
+          }
+        };
+
+        let retries = 0;
+        while (!run.result) {
+          const seenBefore = run.lastEventId;
+          try {
+            // Current token: a long job outlives the one this generation started with
+            const streamRes = await fetch(`${BACKEND_URL}/jobs/${data.jobId}/events`, {
+              headers: {
+                Authorization: `Bearer ${tokenRef.current}`,
+                ...(run.lastEventId ? { "Last-Event-ID": String(run.lastEventId) } : {}),
+              },
+            });
+            if (!streamRes.ok) {
+              throw new Error(`Event stream answered ${streamRes.status}`);
+            }
+            await readEventStream(streamRes, onJobEvent);
+          } catch (streamErr) {
+            console.warn("Generation stream interrupted:", streamErr);
+          }
+
+          if (!run.result) {
+            retries = run.lastEventId > seenBefore ? 0 : retries + 1;
+            if (retries > JOB_STREAM_MAX_RETRIES) {
+              throw new Error("Lost connection to the generation");
+            }
+            await wait(JOB_STREAM_RETRY_MS);
+          }
         }
 
-        if (data.imageUrls && Array.isArray(data.imageUrls)) {
-          const unique = Array.from(new Set(data.imageUrls));
-          const limited = unique.slice(0, desiredCount);
-          setImages(limited);
-        } else if (data.imageUrl || data.url) {
-          setImages([data.imageUrl || data.url]);
-        } else {
+        setProgress(100);
+        if (run.result.status === "failed") {
+          alert("Error generating image: " + (run.result.error || "Unknown error"));
+        } else if (run.urls.length === 0) {
           alert("Error: No images received");
         }
-      } else {
-        alert("Error generating image: " + (data.message || "Unknown error"));
       }
     } catch (err) {
       console.error(err);
-      clearInterval(progressInterval);
       alert("Server error");
     }
 
     setLoading(false);
+    setProgressLabel("");
     setTimeout(() => setProgress(0), 500);
   };
 
+  // ---------------- BRANDING ----------------
+  const handleBrandingChange = (e) => {
+    setBrandingForm({ ...brandingForm, [e.target.name]: e.target.value });
+  };
+
+  const handleApplyBranding = async () => {
+    const imageId = imageIds[selectedImageIndex];
+    if (!imageId) {
+      alert("This image cannot be branded.");
+      return;
+    }
+
+    const body = new FormData();
+    Object.entries(brandingForm).forEach(([field, value]) => body.append(field, value));
+    if (brandingLogo) {
+      body.append("logo", brandingLogo);
+    }
+
+    setBranding(true);
+    try {
+      const res = await fetch(`${BACKEND_URL}/images/${imageId}/branding`, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+        body,
+      });
+      const data = await res.json();
+
+      if (data.success) {
+        // The branded version is a new image, shown next to its source
+        setImages([...images, data.image.url]);
+        setImageIds([...imageIds, data.image.id]);
+        setSelectedImageIndex(images.length);
+      } else {
+        alert(data.message);
+      }
+    } catch (err) {
+      console.error(err);
+      alert("Server error");
+    }
+    setBranding(false);
+  };
+
+  // ---------------- EDIT IMAGE ----------------
+  // Chaque retouche crée une nouvelle version liée à l'image source (parentId)
+  const handleEditImage = async () => {
+    const imageId = imageIds[selectedImageIndex];
+    if (!imageId || !editInstruction.trim()) {
+      return;
+    }
+
+    setEditing(true);
+    try {
+      const res = await fetch(`${BACKEND_URL}/images/${imageId}/edit`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ instruction: editInstruction.trim() }),
+      });
+      const data = await res.json();
+
+      if (data.success) {
+        setImages([...images, data.image.url]);
+        setImageIds([...imageIds, data.image.id]);
+        setSelectedImageIndex(images.length);
+        setEditInstruction("");
+      } else {
+        alert(data.message);
+      }
+    } catch (err) {
+      console.error(err);
+      alert("Server error");
+    }
+    setEditing(false);
+  };
+
+  const handleShowVersions = async () => {
+    const imageId = imageIds[selectedImageIndex];
+    if (!imageId) {
+      return;
+    }
+
+    try {
+      const res = await fetch(`${BACKEND_URL}/images/${imageId}/versions`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+      const data = await res.json();
+
+      if (data.success) {
+        setImages(data.versions.map((v) => v.url));
+        setImageIds(data.versions.map((v) => v.id));
+        setSelectedImageIndex(null);
+      } else {
+        alert(data.message);
+      }
+    } catch (err) {
+      console.error(err);
+      alert("Server error");
+    }
+  };
+
   // ---------------- SAVE SELECTED IMAGE ----------------
   const handleSaveSelection = async () => {
     if (!user?.email) {
@@ -277,9 +835,9 @@ function App() {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
         },
         body: JSON.stringify({
-          email: user.email,
           imageUrl: selectedUrl,
           prompt: generatedPrompt || style,
           flowType,
@@ -287,66 +845,360 @@ function App() {
       });
 
       const data = await res.json();
-      alert(data.message || "Sélection enregistrée.");
+      alert(data.message || "Sélection enregistrée.");
+    } catch (err) {
+      console.error(err);
+      alert("Erreur lors de la sauvegarde.");
+    }
+  };
+
+  // ---------------- DOWNLOAD IMAGE ----------------
+  const handleDownloadImage = (imageUrl, index) => {
+    const link = document.createElement("a");
+    link.href = imageUrl;
+    link.download = `generated-image-${index + 1}-${Date.now()}.png`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  };
+
+  const handleDownloadAll = async () => {
+    if (images.length === 0) {
+      alert("No images to download.");
+      return;
+    }
+    for (let i = 0; i < images.length; i += 1) {
+      handleDownloadImage(images[i], i);
+      await new Promise((resolve) => setTimeout(resolve, 500)); // Delay to prevent browser blocking multiple downloads
+    }
+  };
+
+  const handleSelectImage = (index) => {
+    setSelectedImageIndex(index);
+  };
+
+  const handleDeleteAll = async () => {
+    if (!user?.email) {
+      alert("No user email found.");
+      return;
+    }
+
+    if (
+      !window.confirm(
+        "Delete your account, all your images and all your data? This cannot be undone."
+      )
+    ) {
+      return;
+    }
+
+    const res = await fetch(`${BACKEND_URL}/me`, {
+      method: "DELETE",
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+
+    const data = await res.json();
+    alert(data.message);
+
+    if (data.success) {
+      setPhotos([]);
+      setImages([]);
+      clearSession();
+    }
+  };
+
+  // ---------------- ACCOUNT SETTINGS ----------------
+  const handleSettingsChange = (e) => {
+    setSettingsForm({ ...settingsForm, [e.target.name]: e.target.value });
+  };
+
+  const handleOpenSettings = async () => {
+    if (showSettings) {
+      setShowSettings(false);
+      return;
+    }
+
+    try {
+      const res = await fetch(`${BACKEND_URL}/me`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+      const data = await res.json();
+
+      if (data.success) {
+        setSettingsForm({
+          nom: data.profile.nom,
+          prenom: data.profile.prenom,
+          currentPassword: "",
+          newPassword: "",
+          newEmail: "",
+          emailPassword: "",
+        });
+        setShowSettings(true);
+        setNewApiKey("");
+        loadApiKeys();
+        loadWorkspaces();
+      } else {
+        alert(data.message);
+      }
+    } catch (err) {
+      console.error(err);
+      alert("Server error");
+    }
+  };
+
+  const handleSaveProfile = async (e) => {
+    e.preventDefault();
+
+    const res = await fetch(`${BACKEND_URL}/me`, {
+      method: "PUT",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ nom: settingsForm.nom, prenom: settingsForm.prenom }),
+    });
+    const data = await res.json();
+    alert(data.message);
+
+    if (data.success) {
+      setUser({ ...user, nom: data.profile.nom, prenom: data.profile.prenom });
+    }
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+
+    const res = await fetch(`${BACKEND_URL}/me/password`, {
+      method: "PUT",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({
+        currentPassword: settingsForm.currentPassword,
+        newPassword: settingsForm.newPassword,
+      }),
+    });
+    const data = await res.json();
+    alert(data.message);
+
+    if (data.success) {
+      setSettingsForm({ ...settingsForm, currentPassword: "", newPassword: "" });
+    }
+  };
+
+  const handleChangeEmail = async (e) => {
+    e.preventDefault();
+
+    const res = await fetch(`${BACKEND_URL}/me/email`, {
+      method: "PUT",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({
+        newEmail: settingsForm.newEmail,
+        password: settingsForm.emailPassword,
+      }),
+    });
+    const data = await res.json();
+    alert(data.message);
+
+    if (data.success) {
+      setUser({ ...user, email: data.email, emailVerified: false });
+      storeTokens(data);
+      setSettingsForm({ ...settingsForm, newEmail: "", emailPassword: "" });
+    }
+  };
+
+  // ---------------- API KEYS ----------------
+  const loadApiKeys = async () => {
+    try {
+      const res = await fetch(`${BACKEND_URL}/api-keys`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+      const data = await res.json();
+
+      if (data.success) {
+        setApiKeys(data.apiKeys);
+      }
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  const handleApiKeyScopeToggle = (scope) => {
+    const scopes = apiKeyForm.scopes.includes(scope)
+      ? apiKeyForm.scopes.filter((s) => s !== scope)
+      : [...apiKeyForm.scopes, scope];
+    setApiKeyForm({ ...apiKeyForm, scopes });
+  };
+
+  const handleCreateApiKey = async (e) => {
+    e.preventDefault();
+
+    const res = await fetch(`${BACKEND_URL}/api-keys`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify(apiKeyForm),
+    });
+    const data = await res.json();
+
+    if (data.success) {
+      setNewApiKey(data.key);
+      setApiKeyForm({ name: "", scopes: ["generate"] });
+      loadApiKeys();
+    } else {
+      alert(data.message);
+    }
+  };
+
+  const handleRevokeApiKey = async (keyId) => {
+    if (!window.confirm("Revoke this API key? Scripts using it will stop working.")) return;
+
+    const res = await fetch(`${BACKEND_URL}/api-keys/${keyId}`, {
+      method: "DELETE",
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+    const data = await res.json();
+
+    if (data.success) {
+      loadApiKeys();
+    } else {
+      alert(data.message);
+    }
+  };
+
+  // ---------------- WORKSPACES ----------------
+  const handleWorkspaceFormChange = (e) => {
+    setWorkspaceForm({ ...workspaceForm, [e.target.name]: e.target.value });
+  };
+
+  const loadWorkspaces = async () => {
+    try {
+      const res = await fetch(`${BACKEND_URL}/workspaces`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+      const data = await res.json();
+
+      if (data.success) {
+        setWorkspaces(data.workspaces);
+        setInvitations(data.invitations);
+      }
     } catch (err) {
       console.error(err);
-      alert("Erreur lors de la sauvegarde.");
     }
   };
 
-  // ---------------- DOWNLOAD IMAGE ----------------
-  const handleDownloadImage = (imageUrl, index) => {
-    const link = document.createElement("a");
-    link.href = imageUrl;
-    link.download = `generated-image-${index + 1}-${Date.now()}.png`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-  };
+  const handleCreateWorkspace = async (e) => {
+    e.preventDefault();
 
-  const handleDownloadAll = async () => {
-    if (images.length === 0) {
-      alert("No images to download.");
-      return;
-    }
-    for (let i = 0; i < images.length; i += 1) {
-      handleDownloadImage(images[i], i);
-      await new Promise((resolve) => setTimeout(resolve, 500)); // Delay to prevent browser blocking multiple downloads
+    const res = await fetch(`${BACKEND_URL}/workspaces`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ name: workspaceForm.name }),
+    });
+    const data = await res.json();
+
+    if (data.success) {
+      setWorkspaceForm({ ...workspaceForm, name: "" });
+      loadWorkspaces();
+    } else {
+      alert(data.message);
     }
   };
 
-  const handleSelectImage = (index) => {
-    setSelectedImageIndex(index);
-  };
+  const handleInviteMember = async (e) => {
+    e.preventDefault();
 
-  const handleDeleteAll = async () => {
-    if (!user?.email) {
-      alert("No user email found.");
-      return;
+    const res = await fetch(`${BACKEND_URL}/workspaces/${workspaceForm.workspaceId}/invitations`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ email: workspaceForm.inviteEmail, role: workspaceForm.inviteRole }),
+    });
+    const data = await res.json();
+    alert(data.message);
+
+    if (data.success) {
+      setWorkspaceForm({ ...workspaceForm, inviteEmail: "" });
     }
+  };
 
-    const res = await fetch(`${BACKEND_URL}/delete/${user.email}`, {
-      method: "DELETE",
+  const handleAcceptInvitation = async (workspaceId) => {
+    const res = await fetch(`${BACKEND_URL}/workspaces/${workspaceId}/join`, {
+      method: "POST",
       headers: {
         Authorization: `Bearer ${token}`,
       },
     });
-
     const data = await res.json();
     alert(data.message);
 
     if (data.success) {
-      setPhotos([]);
-      setImages([]);
-      setUser(null);
-      setToken("");
+      loadWorkspaces();
+    }
+  };
+
+  const handleExportData = async () => {
+    try {
+      const res = await fetch(`${BACKEND_URL}/me/export`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      if (!res.ok) {
+        const data = await res.json();
+        alert(data.message || "Export failed");
+        return;
+      }
+
+      const blob = await res.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `lyter-export-${new Date().toISOString().slice(0, 10)}.zip`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error(err);
+      alert("Server error");
     }
   };
 
-  const handleLogout = () => {
+  const handleLogout = async () => {
+    try {
+      await fetch(`${BACKEND_URL}/logout`, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+    } catch (err) {
+      console.error("Logout request failed:", err);
+    }
     alert("You have been logged out.");
-    setUser(null);
-    setToken("");
+    clearSession();
   };
 
   // ---------------- RENDER ----------------
@@ -373,62 +1225,100 @@ function App() {
             </button>
           </div>
 
-          <form
-            className="form"
-            onSubmit={mode === "signup" ? handleSignup : handleLogin}
-          >
-            {mode === "signup" && (
-              <>
-                <input
-                  type="text"
-                  name="nom"
-                  placeholder="Last Name"
-                  value={formData.nom}
-                  onChange={handleChange}
-                  required
-                />
+          {mode === "reset" ? (
+            <form className="form" onSubmit={handleResetPassword}>
+              <h3>Choose a new password</h3>
+              <div className="password-container">
                 <input
-                  type="text"
-                  name="prenom"
-                  placeholder="First Name"
-                  value={formData.prenom}
+                  type={showPassword ? "text" : "password"}
+                  name="password"
+                  placeholder="New password"
+                  value={formData.password}
                   onChange={handleChange}
+                  minLength={8}
                   required
                 />
-              </>
-            )}
-
-            <input
-              type="email"
-              name="email"
-              placeholder="Email"
-              value={formData.email}
-              onChange={handleChange}
-              required
-            />
-
-            <div className="password-container">
+                <button
+                  type="button"
+                  className="eye-btn"
+                  onClick={() => setShowPassword(!showPassword)}
+                >
+                  {showPassword ? "🙈" : "👁️"}
+                </button>
+              </div>
+
+              <button type="submit" className="submit-btn">
+                Reset password
+              </button>
+            </form>
+          ) : (
+            <form
+              className="form"
+              onSubmit={mode === "signup" ? handleSignup : handleLogin}
+            >
+              {mode === "signup" && (
+                <>
+                  <input
+                    type="text"
+                    name="nom"
+                    placeholder="Last Name"
+                    value={formData.nom}
+                    onChange={handleChange}
+                    required
+                  />
+                  <input
+                    type="text"
+                    name="prenom"
+                    placeholder="First Name"
+                    value={formData.prenom}
+                    onChange={handleChange}
+                    required
+                  />
+                </>
+              )}
+
               <input
-                type={showPassword ? "text" : "password"}
-                name="password"
-                placeholder="Password"
-                value={formData.password}
+                type="email"
+                name="email"
+                placeholder="Email"
+                value={formData.email}
                 onChange={handleChange}
                 required
               />
-              <button
-                type="button"
-                className="eye-btn"
-                onClick={() => setShowPassword(!showPassword)}
-              >
-                {showPassword ? "🙈" : "👁️"}
+
+              <div className="password-container">
+                <input
+                  type={showPassword ? "text" : "password"}
+                  name="password"
+                  placeholder="Password"
+                  value={formData.password}
+                  onChange={handleChange}
+                  required
+                />
+                <button
+                  type="button"
+                  className="eye-btn"
+                  onClick={() => setShowPassword(!showPassword)}
+                >
+                  {showPassword ? "🙈" : "👁️"}
+                </button>
+              </div>
+
+              <button type="submit" className="submit-btn">
+                {mode === "signup" ? "Sign Up" : "Login"}
               </button>
-            </div>
 
-            <button type="submit" className="submit-btn">
-              {mode === "signup" ? "Sign Up" : "Login"}
-            </button>
-          </form>
+              {mode === "login" && (
+                <button
+                  type="button"
+                  className="link-btn"
+                  onClick={handleForgotPassword}
+                >
+                  Forgot password?
+                </button>
+              )}
+            </form>
+          )}
         </>
       ) : (
         <div className="dashboard">
@@ -436,6 +1326,17 @@ function App() {
             Welcome {user.prenom} {user.nom} 🎉
           </h2>
 
+          {!user.emailVerified && (
+            <div className="verify-banner">
+              <p>
+                📧 Confirm your email address to start generating images.
+              </p>
+              <button className="btn" onClick={handleResendVerification}>
+                Resend verification email
+              </button>
+            </div>
+          )}
+
           <div className="layout">
             {/* Left side */}
             <div className="upload-section">
@@ -490,7 +1391,9 @@ function App() {
                 onChange={handleUpload}
               />
 
-              <p>{photos.length} / 10 photos uploaded</p>
+              <p>
+                {totalPhotos} / {maxPhotos} photos selected
+              </p>
 
               <div className="preview-grid">
                 {photos.map((file, index) => (
@@ -510,63 +1413,93 @@ function App() {
                 ))}
               </div>
 
+              {photos.length > 0 && (
+                <button className="btn" onClick={handleSaveToLibrary}>
+                  💾 Save to my reference photos
+                </button>
+              )}
+
+              {referencePhotos.length > 0 && (
+                <div className="reference-library">
+                  <h4>🗂️ My reference photos</h4>
+                  <div className="preview-grid">
+                    {referencePhotos.map((photo) => (
+                      <div
+                        key={photo.id}
+                        className={`preview-item reference-item ${
+                          selectedReferenceIds.includes(photo.id) ? "selected" : ""
+                        }`}
+                      >
+                        <img
+                          src={photo.url}
+                          alt={photo.label || "Reference"}
+                          className="preview-img"
+                          title={photo.label}
+                          onClick={() => handleToggleReferencePhoto(photo.id)}
+                        />
+                        <button
+                          className="remove-btn"
+                          onClick={() => handleDeleteReferencePhoto(photo.id)}
+                        >
+                          ❌
+                        </button>
+                        <div className="reference-actions">
+                          <button
+                            title={photo.isDefault ? "Default photo" : "Set as default"}
+                            onClick={() =>
+                              updateReferencePhoto(photo.id, { isDefault: !photo.isDefault })
+                            }
+                          >
+                            {photo.isDefault ? "⭐" : "☆"}
+                          </button>
+                          <button title="Rename" onClick={() => handleRenameReferencePhoto(photo)}>
+                            ✏️
+                          </button>
+                        </div>
+                        {photo.label && <p className="reference-label">{photo.label}</p>}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               <div className="style-select">
                 <h4>🎨 Choose a style</h4>
                 <select
                   value={style}
-                  onChange={(e) => setStyle(e.target.value)}
+                  onChange={(e) => handleStyleChange(e.target.value)}
                   disabled={flowType === "auto"}
                 >
-                  <option value="professional_indoor">
-                    Professional Indoor
-                  </option>
-                  <option value="professional_outdoor">
-                    Professional Outdoor
-                  </option>
-                  <option value="corporate_studio">Corporate Studio</option>
-                  <option value="modern_workspace">Modern Workspace</option>
-                  <option value="personal_office">Personal Office</option>
-                  <option value="street">Street Casual</option>
-                  <option value="working_computer">Working on Computer</option>
-                  <option value="writing_notes">Writing Notes</option>
-                  <option value="presenting_screen">
-                    Presenting Screen
-                  </option>
-                  <option value="meeting">Meeting / Conference</option>
-                  <option value="walking_street">Walking in the Street</option>
-                  <option value="selfie_transport">
-                    Selfie in Transport
-                  </option>
-                  <option value="selfie_office">Selfie at Office</option>
-                  <option value="selfie_outdoor">Selfie Outdoor</option>
-                  <option value="selfie_pointing">
-                    Selfie Pointing Something
-                  </option>
-                  <option value="coffee_break">Coffee Break</option>
-                  <option value="eating">Eating</option>
-                  <option value="software_interface">
-                    Software Interface
-                  </option>
-                  <option value="app_showcase">App Showcase</option>
-                  <option value="digital_product_context">
-                    Digital Product Context
-                  </option>
-                  <option value="product_neutral">
-                    Product Neutral Background
-                  </option>
-                  <option value="product_real_context">
-                    Product Real Context
-                  </option>
-                  <option value="product_used">Product Used</option>
-                  <option value="mentor_leader">
-                    Mentor / Leader Portrait
-                  </option>
-                  <option value="creative_portrait">
-                    Creative Portrait
-                  </option>
-                  <option value="subtle_humor">Subtle Humor Scene</option>
+                  {customStyles.length > 0 && (
+                    <optgroup label="⭐ My styles">
+                      {customStyles.map((s) => (
+                        <option key={s.id} value={s.id}>
+                          {s.label}
+                        </option>
+                      ))}
+                    </optgroup>
+                  )}
+                  {styleCatalog.categories.map((category) => (
+                    <optgroup key={category.id} label={`${category.emoji} ${category.label}`}>
+                      {styleCatalog.styles
+                        .filter((s) => s.category === category.id)
+                        .map((s) => (
+                          <option key={s.id} value={s.id}>
+                            {s.label}
+                          </option>
+                        ))}
+                    </optgroup>
+                  ))}
                 </select>
 
+                {selectedStyle && flowType !== "auto" && (
+                  <img
+                    className="style-preview"
+                    src={`${BACKEND_URL}${selectedStyle.preview}`}
+                    alt={selectedStyle.label}
+                  />
+                )}
+
                 {flowType === "auto" && (
                   <p className="disabled-hint">
                     Le style est désactivé en mode auto-prompt.
@@ -653,14 +1586,15 @@ function App() {
                 <h4>🖼️ Nombre d'images</h4>
                 <select
                   value={flowType === "auto" ? 2 : numberOfImages}
-                  onChange={(e) =>
+                  onChange={(e) => {
+                    setNumberOfImagesChosen(true);
                     setNumberOfImages(
                       Math.min(
                         Math.max(parseInt(e.target.value, 10), 1),
                         4
                       )
-                    )
-                  }
+                    );
+                  }}
                   disabled={flowType === "auto"}
                 >
                   {[1, 2, 3, 4].map((n) => (
@@ -678,6 +1612,18 @@ function App() {
                 )}
               </div>
 
+              <div className="images-count">
+                <h4>📐 Format</h4>
+                <select value={format} onChange={(e) => setFormat(e.target.value)}>
+                  <option value="">Original (no crop)</option>
+                  {formats.map((f) => (
+                    <option key={f.id} value={f.id}>
+                      {f.label} – {f.width}×{f.height}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
               <button
                 className="btn generate"
                 onClick={handleGenerate}
@@ -694,7 +1640,9 @@ function App() {
                       style={{ width: `${progress}%` }}
                     ></div>
                   </div>
-                  <p className="progress-text">{progress}%</p>
+                  <p className="progress-text">
+                    {progress}%{progressLabel && ` · ${progressLabel}`}
+                  </p>
                 </div>
               )}
             </div>
@@ -808,10 +1756,365 @@ function App() {
                   </button>
                 </div>
               )}
+
+              {selectedImageIndex !== null && imageIds[selectedImageIndex] && (
+                <div className="branding-panel">
+                  <h4>✏️ Edit this image</h4>
+                  <input
+                    type="text"
+                    placeholder="e.g. make the background an office, warmer light"
+                    value={editInstruction}
+                    onChange={(e) => setEditInstruction(e.target.value)}
+                    maxLength={500}
+                  />
+                  <div className="branding-row">
+                    <button
+                      className="btn"
+                      onClick={handleEditImage}
+                      disabled={editing || !editInstruction.trim()}
+                    >
+                      {editing ? "Editing..." : "✏️ Create edited version"}
+                    </button>
+                    <button className="btn" onClick={handleShowVersions} disabled={editing}>
+                      🕘 Show all versions
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {selectedImageIndex !== null && imageIds[selectedImageIndex] && (
+                <div className="branding-panel">
+                  <h4>🏷️ Add your branding</h4>
+                  <input
+                    type="text"
+                    name="title"
+                    placeholder="Title"
+                    value={brandingForm.title}
+                    onChange={handleBrandingChange}
+                  />
+                  <input
+                    type="text"
+                    name="subtitle"
+                    placeholder="Subtitle"
+                    value={brandingForm.subtitle}
+                    onChange={handleBrandingChange}
+                  />
+                  <div className="branding-row">
+                    <select name="font" value={brandingForm.font} onChange={handleBrandingChange}>
+                      {brandingOptions.fonts.map((f) => (
+                        <option key={f} value={f}>
+                          {f}
+                        </option>
+                      ))}
+                    </select>
+                    <select
+                      name="textPosition"
+                      value={brandingForm.textPosition}
+                      onChange={handleBrandingChange}
+                    >
+                      <option value="top">Text at the top</option>
+                      <option value="center">Text in the center</option>
+                      <option value="bottom">Text at the bottom</option>
+                    </select>
+                    <label>
+                      Text{" "}
+                      <input
+                        type="color"
+                        name="textColor"
+                        value={brandingForm.textColor}
+                        onChange={handleBrandingChange}
+                      />
+                    </label>
+                  </div>
+                  <div className="branding-row">
+                    <select name="frame" value={brandingForm.frame} onChange={handleBrandingChange}>
+                      {brandingOptions.frames.map((f) => (
+                        <option key={f.id} value={f.id}>
+                          {f.label}
+                        </option>
+                      ))}
+                    </select>
+                    <label>
+                      Frame{" "}
+                      <input
+                        type="color"
+                        name="frameColor"
+                        value={brandingForm.frameColor}
+                        onChange={handleBrandingChange}
+                      />
+                    </label>
+                  </div>
+                  <div className="branding-row">
+                    <input
+                      type="file"
+                      accept="image/png,image/jpeg,image/webp"
+                      onChange={(e) => setBrandingLogo(e.target.files[0] || null)}
+                    />
+                    <select
+                      name="logoPosition"
+                      value={brandingForm.logoPosition}
+                      onChange={handleBrandingChange}
+                    >
+                      <option value="top-left">Logo top left</option>
+                      <option value="top-right">Logo top right</option>
+                      <option value="bottom-left">Logo bottom left</option>
+                      <option value="bottom-right">Logo bottom right</option>
+                    </select>
+                  </div>
+                  <button className="btn" onClick={handleApplyBranding} disabled={branding}>
+                    {branding ? "Applying..." : "✨ Create branded version"}
+                  </button>
+                </div>
+              )}
             </div>
           </div>
 
+          {showSettings && (
+            <div className="settings-panel">
+              <h3>⚙️ Account settings</h3>
+
+              <form className="settings-form" onSubmit={handleSaveProfile}>
+                <h4>Profile</h4>
+                <input
+                  type="text"
+                  name="prenom"
+                  placeholder="First Name"
+                  value={settingsForm.prenom}
+                  onChange={handleSettingsChange}
+                />
+                <input
+                  type="text"
+                  name="nom"
+                  placeholder="Last Name"
+                  value={settingsForm.nom}
+                  onChange={handleSettingsChange}
+                />
+                <button type="submit" className="btn">
+                  Save profile
+                </button>
+              </form>
+
+              <form className="settings-form" onSubmit={handleChangePassword}>
+                <h4>Password</h4>
+                <input
+                  type="password"
+                  name="currentPassword"
+                  placeholder="Current password"
+                  value={settingsForm.currentPassword}
+                  onChange={handleSettingsChange}
+                  required
+                />
+                <input
+                  type="password"
+                  name="newPassword"
+                  placeholder="New password"
+                  value={settingsForm.newPassword}
+                  onChange={handleSettingsChange}
+                  minLength={8}
+                  required
+                />
+                <button type="submit" className="btn">
+                  Change password
+                </button>
+              </form>
+
+              <form className="settings-form" onSubmit={handleChangeEmail}>
+                <h4>Email ({user.email})</h4>
+                <input
+                  type="email"
+                  name="newEmail"
+                  placeholder="New email"
+                  value={settingsForm.newEmail}
+                  onChange={handleSettingsChange}
+                  required
+                />
+                <input
+                  type="password"
+                  name="emailPassword"
+                  placeholder="Password"
+                  value={settingsForm.emailPassword}
+                  onChange={handleSettingsChange}
+                  required
+                />
+                <button type="submit" className="btn">
+                  Change email
+                </button>
+              </form>
+
+              <form className="settings-form" onSubmit={handleCreateCustomStyle}>
+                <h4>Custom styles</h4>
+                {customStyles.map((s) => (
+                  <p key={s.id} className="hint">
+                    ⭐ {s.label} ({s.defaultCount} images){" "}
+                    <button type="button" className="link-btn" onClick={() => handleDeleteCustomStyle(s.id)}>
+                      Delete
+                    </button>
+                  </p>
+                ))}
+                <input
+                  type="text"
+                  placeholder="Style name (e.g. Office lobby)"
+                  value={customStyleForm.label}
+                  onChange={(e) => setCustomStyleForm({ ...customStyleForm, label: e.target.value })}
+                  maxLength={60}
+                  required
+                />
+                <textarea
+                  placeholder="Scene description (e.g. Portrait of the user in our office lobby with the blue wall)"
+                  value={customStyleForm.prompt}
+                  onChange={(e) => setCustomStyleForm({ ...customStyleForm, prompt: e.target.value })}
+                  maxLength={2000}
+                  required
+                />
+                <select
+                  value={customStyleForm.defaultCount}
+                  onChange={(e) => setCustomStyleForm({ ...customStyleForm, defaultCount: parseInt(e.target.value, 10) })}
+                >
+                  {[1, 2, 3, 4].map((n) => (
+                    <option key={n} value={n}>
+                      {n} image{n > 1 ? "s" : ""} by default
+                    </option>
+                  ))}
+                </select>
+                <button type="submit" className="btn">
+                  Save style
+                </button>
+              </form>
+
+              <form className="settings-form" onSubmit={handleCreateApiKey}>
+                <h4>API keys</h4>
+                {apiKeys.map((apiKey) => (
+                  <p key={apiKey.id} className="hint">
+                    🔑 {apiKey.name} (…{apiKey.hint}) - {apiKey.scopes.join(", ")} - used {apiKey.usage_count} times
+                    {apiKey.last_used_at && `, last ${new Date(apiKey.last_used_at).toLocaleString()}`}{" "}
+                    {apiKey.revoked_at ? (
+                      "(revoked)"
+                    ) : (
+                      <button type="button" className="link-btn" onClick={() => handleRevokeApiKey(apiKey.id)}>
+                        Revoke
+                      </button>
+                    )}
+                  </p>
+                ))}
+                {newApiKey && (
+                  <p className="hint">
+                    Copy your new key now, it will not be shown again: <code>{newApiKey}</code>
+                  </p>
+                )}
+                <input
+                  type="text"
+                  placeholder="Key name (e.g. Nightly script)"
+                  value={apiKeyForm.name}
+                  onChange={(e) => setApiKeyForm({ ...apiKeyForm, name: e.target.value })}
+                  required
+                />
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={apiKeyForm.scopes.includes("generate")}
+                    onChange={() => handleApiKeyScopeToggle("generate")}
+                  />{" "}
+                  Generate images
+                </label>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={apiKeyForm.scopes.includes("gallery:read")}
+                    onChange={() => handleApiKeyScopeToggle("gallery:read")}
+                  />{" "}
+                  Read gallery
+                </label>
+                <button type="submit" className="btn" disabled={apiKeyForm.scopes.length === 0}>
+                  Create API key
+                </button>
+              </form>
+
+              <div className="settings-form">
+                <h4>Workspaces</h4>
+                {workspaces.length === 0 && <p className="hint">You are not a member of any workspace yet.</p>}
+                {workspaces.map((workspace) => (
+                  <p key={workspace.id} className="hint">
+                    👥 {workspace.name} ({workspace.role})
+                  </p>
+                ))}
+                {invitations.map((invitation) => (
+                  <p key={invitation.id} className="hint">
+                    ✉️ {invitation.name} - invited as {invitation.role} by {invitation.invited_by}{" "}
+                    <button type="button" className="link-btn" onClick={() => handleAcceptInvitation(invitation.id)}>
+                      Accept
+                    </button>
+                  </p>
+                ))}
+              </div>
+
+              <form className="settings-form" onSubmit={handleCreateWorkspace}>
+                <h4>New workspace</h4>
+                <input
+                  type="text"
+                  name="name"
+                  placeholder="Team name"
+                  value={workspaceForm.name}
+                  onChange={handleWorkspaceFormChange}
+                  required
+                />
+                <button type="submit" className="btn">
+                  Create workspace
+                </button>
+              </form>
+
+              {workspaces.some((workspace) => workspace.role === "owner") && (
+                <form className="settings-form" onSubmit={handleInviteMember}>
+                  <h4>Invite a member</h4>
+                  <select
+                    name="workspaceId"
+                    value={workspaceForm.workspaceId}
+                    onChange={handleWorkspaceFormChange}
+                    required
+                  >
+                    <option value="">Choose a workspace</option>
+                    {workspaces
+                      .filter((workspace) => workspace.role === "owner")
+                      .map((workspace) => (
+                        <option key={workspace.id} value={workspace.id}>
+                          {workspace.name}
+                        </option>
+                      ))}
+                  </select>
+                  <input
+                    type="email"
+                    name="inviteEmail"
+                    placeholder="Member email"
+                    value={workspaceForm.inviteEmail}
+                    onChange={handleWorkspaceFormChange}
+                    required
+                  />
+                  <select name="inviteRole" value={workspaceForm.inviteRole} onChange={handleWorkspaceFormChange}>
+                    <option value="viewer">Viewer (view and download)</option>
+                    <option value="editor">Editor (add and delete)</option>
+                    <option value="owner">Owner</option>
+                  </select>
+                  <button type="submit" className="btn">
+                    Send invitation
+                  </button>
+                </form>
+              )}
+
+              <div className="settings-form">
+                <h4>My data</h4>
+                <p className="hint">
+                  Download a ZIP archive of your profile, images and analyses.
+                </p>
+                <button type="button" className="btn" onClick={handleExportData}>
+                  📦 Export my data
+                </button>
+              </div>
+            </div>
+          )}
+
           <div className="bottom-actions">
+            <button className="btn" onClick={handleOpenSettings}>
+              ⚙️ Settings
+            </button>
             <button className="btn delete" onClick={handleDeleteAll}>
               🗑️ Delete my profile
             </button>